@@ -1,5 +1,45 @@
+import { useEffect, useState } from "react";
 import ChristmasTree3D from "./components/ChristmasTree3D";
+import UpdateBanner from "./components/UpdateBanner";
+import { applyUpdate, register } from "./serviceWorkerRegistration";
+
+// #kiosk (the installed app's start URL): the scene alone, full screen
+const isKiosk = () => window.location.hash === "#kiosk";
+
+// a browser tab can't start full screen by itself; the first touch does it
+function useFullscreenOnTouch(enabled) {
+  useEffect(() => {
+    if (!enabled || !document.fullscreenEnabled) return;
+    const enter = () => {
+      if (!document.fullscreenElement)
+        document.documentElement.requestFullscreen().catch(() => {});
+    };
+    window.addEventListener("pointerdown", enter, { once: true });
+    return () => window.removeEventListener("pointerdown", enter);
+  }, [enabled]);
+}
 
 export default function App() {
-  return <ChristmasTree3D />;
+  const [kiosk, setKiosk] = useState(isKiosk);
+  const [update, setUpdate] = useState(null);
+
+  useEffect(() => register({ onUpdate: setUpdate }), []);
+  useEffect(() => {
+    const onHash = () => setKiosk(isKiosk());
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
+  useFullscreenOnTouch(kiosk);
+
+  return (
+    <div className={kiosk ? "kiosk" : undefined}>
+      <ChristmasTree3D header={!kiosk} />
+      {update && (
+        <UpdateBanner
+          onReload={() => applyUpdate(update)}
+          onDismiss={() => setUpdate(null)}
+        />
+      )}
+    </div>
+  );
 }
@@ -1,8 +1,31 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, waitFor } from "@testing-library/react";
+import App from "./App";
 
-test('renders learn react link', () => {
+// jsdom has no ResizeObserver; the canvas just never gets a size (no WebGL)
+beforeAll(() => {
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+afterEach(() => {
+  window.location.hash = "";
+});
+
+test("renders the scene with the theme tabs", async () => {
+  render(<App />);
+  const tabs = await screen.findByRole("tablist", { name: "Tree themes" });
+  expect(tabs).toBeInTheDocument();
+  expect(screen.getAllByRole("tab").length).toBeGreaterThan(1);
+});
+
+test("#kiosk shows the scene without the header", async () => {
+  window.location.hash = "#kiosk";
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await waitFor(() =>
+    expect(screen.queryByRole("tablist")).not.toBeInTheDocument()
+  );
+  expect(screen.queryByRole("tab")).not.toBeInTheDocument();
 });
@@ -0,0 +1,114 @@
+import { useRef, useState } from "react";
+import { SENSITIVITY_RANGE, canUseMicrophone } from "./audioReactive";
+import { Slider } from "./PanelControls";
+
+/* =========================
+   Music-reactive panel
+========================= */
+
+export default function AudioPanel({
+  source,
+  sensitivity,
+  onSensitivity,
+  onOpenFile,
+  onOpenMic,
+  onStop,
+  onClose,
+}) {
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const fileRef = useRef(null);
+
+  const run = async (open) => {
+    setBusy(true);
+    try {
+      await open();
+      setPaused(false);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) run(() => onOpenFile(file));
+  };
+
+  const togglePause = () => {
+    const el = source?.element;
+    if (!el) return;
+    if (el.paused) el.play().catch(() => {});
+    else el.pause();
+    setPaused(!el.paused);
+  };
+
+  return (
+    <aside className="theme-editor audio-panel" aria-label="Music settings">
+      <div className="te-head">
+        <div className="te-title">🎵 음악 반응</div>
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <div className="audio-now">
+        {source ? `▶ ${source.label}` : "오디오 없음 · 기본 연출"}
+      </div>
+
+      <div className="te-actions">
+        <button
+          className="te-btn"
+          type="button"
+          disabled={busy}
+          onClick={() => fileRef.current?.click()}
+        >
+          파일 열기
+        </button>
+        <button
+          className="te-btn"
+          type="button"
+          disabled={busy || !canUseMicrophone()}
+          onClick={() => run(onOpenMic)}
+        >
+          마이크
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="audio/*"
+          hidden
+          onChange={onFile}
+        />
+      </div>
+
+      {source && (
+        <div className="te-actions">
+          {source.element && (
+            <button className="te-btn" type="button" onClick={togglePause}>
+              {paused ? "▶ 재생" : "⏸ 일시정지"}
+            </button>
+          )}
+          <button className="te-btn danger" type="button" onClick={onStop}>
+            ⏹ 끄기
+          </button>
+        </div>
+      )}
+
+      <div className="te-section">감도</div>
+      <Slider
+        label="감도"
+        value={sensitivity}
+        range={SENSITIVITY_RANGE}
+        step={0.05}
+        onChange={onSensitivity}
+      />
+
+      {error && <div className="te-error">{error}</div>}
+    </aside>
+  );
+}
@@ -0,0 +1,81 @@
+import { useState } from "react";
+import { CAPTURE_SIZES, CAPTURE_SIZE_KEYS, DEFAULT_CAPTURE } from "./capture";
+
+/* =========================
+   Screenshot panel
+========================= */
+
+// sizeFor(config) -> { width, height } in pixels; onCapture(config)
+// renders and downloads
+export default function CapturePanel({ sizeFor, onCapture, onClose }) {
+  const [config, setConfig] = useState(DEFAULT_CAPTURE);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const set = (patch) => setConfig((c) => ({ ...c, ...patch }));
+  const { width, height } = sizeFor(config);
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      await onCapture(config);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <aside className="theme-editor capture-panel" aria-label="Screenshot">
+      <div className="te-head">
+        <div className="te-title">📷 스크린샷</div>
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <label className="te-row">
+        <span>크기</span>
+        <select
+          value={config.size}
+          onChange={(e) => set({ size: e.target.value })}
+        >
+          {CAPTURE_SIZE_KEYS.map((k) => (
+            <option key={k} value={k}>
+              {CAPTURE_SIZES[k].label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="te-row">
+        <span>세로</span>
+        <input
+          type="checkbox"
+          checked={config.portrait}
+          disabled={!CAPTURE_SIZES[config.size].width}
+          onChange={(e) => set({ portrait: e.target.checked })}
+        />
+      </label>
+      <label className="te-row">
+        <span>투명 배경</span>
+        <input
+          type="checkbox"
+          checked={config.transparent}
+          onChange={(e) => set({ transparent: e.target.checked })}
+        />
+      </label>
+      <div className="te-hint">
+        {width} × {height} px · 현재 카메라 시점, 헤더 제외
+      </div>
+
+      <div className="te-actions">
+        <button className="te-btn" type="button" disabled={busy} onClick={save}>
+          {busy ? "렌더링 중…" : "PNG 저장"}
+        </button>
+      </div>
+
+      {error && <div className="te-error">{error}</div>}
+    </aside>
+  );
+}
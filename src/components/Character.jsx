@@ -0,0 +1,281 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useCursor } from "@react-three/drei";
+import * as THREE from "three";
+import { smoothstep } from "./math";
+import { placeModel } from "./customModels";
+import {
+  byTheme,
+  characterColors,
+  makeMotionState,
+  stepMotion,
+} from "./characters";
+
+/* =========================
+   Character (renders a declaration from characters.js)
+========================= */
+
+function PartGeometry({ geo, args }) {
+  switch (geo) {
+    case "box":
+      return <boxGeometry args={args} />;
+    case "cone":
+      return <coneGeometry args={args} />;
+    case "cylinder":
+      return <cylinderGeometry args={args} />;
+    case "torus":
+      return <torusGeometry args={args} />;
+    default:
+      return <sphereGeometry args={args} />;
+  }
+}
+
+function ModelPart({ part, register }) {
+  const object = useMemo(() => placeModel(part.model), [part.model]);
+  return (
+    <primitive
+      ref={register}
+      object={object}
+      position={part.position}
+      rotation={part.rotation}
+      scale={part.scale}
+    />
+  );
+}
+
+function Part({ part, colors, themeKey, partsRef }) {
+  const color = (v) => colors[v] ?? v;
+  const register = part.name
+    ? (el) => (partsRef.current[part.name] = el)
+    : undefined;
+
+  if (part.model) return <ModelPart part={part} register={register} />;
+
+  if (part.children) {
+    return (
+      <group ref={register} position={part.position} rotation={part.rotation}>
+        {part.children.map((child, i) => (
+          <Part
+            key={i}
+            part={child}
+            colors={colors}
+            themeKey={themeKey}
+            partsRef={partsRef}
+          />
+        ))}
+      </group>
+    );
+  }
+
+  return (
+    <mesh
+      ref={register}
+      position={part.position}
+      rotation={part.rotation}
+      scale={part.scale}
+    >
+      <PartGeometry geo={part.geo} args={part.args} />
+      <meshStandardMaterial
+        color={color(part.color)}
+        roughness={byTheme(part.roughness ?? 0.9, themeKey)}
+        metalness={byTheme(part.metalness ?? 0, themeKey)}
+        emissive={part.emissive ? color(part.emissive) : "#000000"}
+        emissiveIntensity={byTheme(part.emissiveIntensity ?? 0, themeKey)}
+        transparent={part.opacity != null}
+        opacity={part.opacity ?? 1}
+      />
+    </mesh>
+  );
+}
+
+// awayRef: while awayRef.current.active the character is elsewhere (Santa
+// in the sleigh): hidden and not clickable. onAction runs on each click.
+// events (sceneEvents.js): a click emits characterClicked.
+// crowd (steering.js): shared floor state the character steers through.
+export default function Character({
+  def,
+  themeKey,
+  events,
+  awayRef,
+  onAction,
+  crowd,
+}) {
+  const rootRef = useRef(null);
+  const bodyRef = useRef(null);
+  const partsRef = useRef({});
+  const motionRef = useRef(null);
+  if (!motionRef.current) motionRef.current = makeMotionState(def);
+
+  useEffect(() => {
+    if (!crowd) return;
+    crowd.agents.set(def.key, motionRef.current);
+    return () => crowd.agents.delete(def.key);
+  }, [crowd, def.key]);
+
+  const [hovered, setHovered] = useState(false);
+  useCursor(hovered);
+
+  const actionRef = useRef({ requested: false, start: 0, until: 0 });
+  const lookRef = useRef({ next: 0, start: 0, end: 0 });
+  const tmp = useMemo(
+    () => ({
+      target: new THREE.Vector3(),
+      head: new THREE.Vector3(),
+      q: new THREE.Quaternion(),
+    }),
+    []
+  );
+
+  const colors = useMemo(() => characterColors(def, themeKey), [def, themeKey]);
+
+  useFrame(({ clock }, delta) => {
+    const root = rootRef.current;
+    if (!root) return;
+    const t = clock.getElapsedTime();
+    const dt = Math.min(delta, 0.05);
+
+    root.visible = !awayRef?.current.active;
+
+    const act = actionRef.current;
+    const { reaction } = def;
+    if (act.requested) {
+      act.requested = false;
+      act.start = t;
+      act.until = t + reaction.duration;
+    }
+    const active = t < act.until;
+    const p = active ? (t - act.start) / reaction.duration : 0;
+
+    const m = motionRef.current;
+    m.away = !!awayRef?.current.active;
+    stepMotion(def.behavior, m, dt, active, crowd);
+
+    // root: behavior position + bob, reaction hop/wiggle/spin/scale
+    let y = def.y;
+    if (def.bob && (!def.bob.moving || m.moving))
+      y += Math.sin(t * def.bob.speed) * def.bob.amp;
+    if (active && reaction.jump)
+      y += Math.sin((t - act.start) * reaction.jump.speed) * reaction.jump.amp;
+    root.position.set(m.x, y, m.z);
+
+    let yaw = m.heading + def.yaw;
+    if (active && reaction.wiggle)
+      yaw += Math.sin(t * reaction.wiggle.speed) * reaction.wiggle.amp;
+    if (active && reaction.spin)
+      yaw += reaction.spin * Math.PI * 2 * smoothstep(0, 1, p);
+    root.rotation.y = yaw;
+    root.scale.setScalar(
+      THREE.MathUtils.lerp(
+        root.scale.x,
+        active ? (reaction.scale ?? 1) : 1,
+        0.12
+      )
+    );
+
+    for (const anim of def.idle) {
+      const el =
+        anim.part === "body" ? bodyRef.current : partsRef.current[anim.part];
+      if (!el) continue;
+
+      if (anim.type === "wave") {
+        const speed = (active && anim.active?.speed) || anim.speed;
+        let amp = (active && anim.active?.amp) || anim.amp;
+        if (anim.moving && !m.moving) amp = 0;
+        el.rotation[anim.axis] =
+          (anim.offset ?? 0) + Math.sin(t * speed + (anim.phase ?? 0)) * amp;
+      } else if (anim.type === "pulse") {
+        const pulse =
+          0.7 + 0.5 * (0.5 + 0.5 * Math.sin(t * byTheme(anim.speed, themeKey)));
+        el.material.emissiveIntensity =
+          byTheme(anim.intensity, themeKey) *
+          pulse *
+          (active ? (anim.boost ?? 1) : 1);
+      } else if (anim.type === "look") {
+        lookAt(anim, el, root, t, active);
+      }
+    }
+  });
+
+  // occasionally turn a part (head) toward a world point
+  const lookAt = (anim, head, root, t, active) => {
+    const lk = lookRef.current;
+    const [e0, e1] = anim.every;
+    const [h0, h1] = anim.hold;
+    if (lk.next === 0) lk.next = t + 2 + Math.random() * 3;
+    if (t >= lk.next) {
+      lk.start = t;
+      lk.end = t + h0 + Math.random() * (h1 - h0);
+      lk.next = t + e0 + Math.random() * (e1 - e0);
+    }
+
+    let w = 0;
+    if (t < lk.end) {
+      const inT = smoothstep(lk.start, lk.start + 0.18, t);
+      const outT = 1 - smoothstep(lk.end - 0.18, lk.end, t);
+      w = inT * outT;
+    }
+    if (active) w = Math.max(w, anim.activeWeight ?? 0);
+
+    tmp.target.fromArray(anim.target);
+    head.getWorldPosition(tmp.head);
+    const dir = tmp.target.sub(tmp.head).normalize();
+    dir.applyQuaternion(root.getWorldQuaternion(tmp.q).invert());
+
+    const yaw = THREE.MathUtils.clamp(Math.atan2(dir.x, dir.z), -0.9, 0.9);
+    const pitch = THREE.MathUtils.clamp(
+      -Math.atan2(dir.y, Math.hypot(dir.x, dir.z)),
+      -0.35,
+      0.25
+    );
+    const targetYaw = Math.sin(t * 2.2) * 0.05 + yaw * w;
+    const targetPitch = Math.sin(t * 1.9) * 0.03 + pitch * w;
+    head.rotation.y = THREE.MathUtils.lerp(head.rotation.y, targetYaw, 0.12);
+    head.rotation.x = THREE.MathUtils.lerp(head.rotation.x, targetPitch, 0.12);
+  };
+
+  const away = () => awayRef?.current.active;
+
+  return (
+    <group
+      ref={rootRef}
+      name={def.key}
+      onPointerOver={(e) => {
+        if (away()) return;
+        e.stopPropagation();
+        setHovered(true);
+      }}
+      onPointerOut={(e) => {
+        e.stopPropagation();
+        setHovered(false);
+      }}
+      onPointerDown={(e) => {
+        // away: let the click through
+        if (away()) return;
+        e.stopPropagation();
+        actionRef.current.requested = true;
+        const m = motionRef.current;
+        const { burst } = def.reaction;
+        events?.emit("characterClicked", {
+          key: def.key,
+          label: def.label,
+          role: burst?.role ?? null,
+          position: [m.x, burst?.y ?? def.y, m.z],
+          color: colors.burst,
+        });
+        onAction?.();
+      }}
+    >
+      <group ref={bodyRef}>
+        {def.parts.map((part, i) => (
+          <Part
+            key={i}
+            part={part}
+            colors={colors}
+            themeKey={themeKey}
+            partsRef={partsRef}
+          />
+        ))}
+      </group>
+    </group>
+  );
+}
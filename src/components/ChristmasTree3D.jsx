@@ -1,13 +1,137 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
 import { Canvas, useFrame, useThree } from "@react-three/fiber";
 import {
   OrbitControls,
-  Environment,
   ContactShadows,
+  Html,
   Sparkles,
   useCursor,
 } from "@react-three/drei";
 import * as THREE from "three";
+import AudioPanel from "./AudioPanel";
+import CapturePanel from "./CapturePanel";
+import Character from "./Character";
+import DecorToolbar from "./DecorToolbar";
+import ExportPanel from "./ExportPanel";
+import GiftCard from "./GiftCard";
+import GiftPanel from "./GiftPanel";
+import LightPanel from "./LightPanel";
+import ModelPanel from "./ModelPanel";
+import RecordPanel from "./RecordPanel";
+import SceneEnvironment from "./SceneEnvironment";
+import SleighPanel from "./SleighPanel";
+import ThemeEditor from "./ThemeEditor";
+import { mulberry32, smoothstep } from "./math";
+import {
+  DEFAULT_SENSITIVITY,
+  makeAudioState,
+  openAudioFile,
+  openMicrophone,
+} from "./audioReactive";
+import {
+  QUALITY_MODES,
+  QUALITY_TIERS,
+  createFrameGovernor,
+  loadQualityMode,
+  saveQualityMode,
+  stepTier,
+} from "./quality";
+import { ENV_MODES, loadEnvMode, saveEnvMode } from "./environments";
+import {
+  BURST_LAYERS,
+  DEFAULT_BURSTS,
+  buildBurstGeometries,
+  burstRoleFor,
+  createBurstPools,
+  particleFade,
+  particleScale,
+  spawnBurst,
+  stepBursts,
+} from "./bursts";
+import {
+  deliveredBoxes,
+  giftBoxes,
+  initialGiftState,
+  loadGifts,
+  saveGifts,
+} from "./gifts";
+import { generatePresentLayout, lidThickness } from "./presentLayout";
+import {
+  CHARACTERS,
+  CHARACTER_KEEP_OUT,
+  ELVES,
+  characterColors,
+  modelCharacter,
+} from "./characters";
+import { createCrowd } from "./steering";
+import { createSceneEvents, eventPropName } from "./sceneEvents";
+import { canvasToBlob, captureSize, renderCapture } from "./capture";
+import { RECORD_EXTENSIONS, normalizeRecording, recordScene } from "./recorder";
+import { exportSceneGlb, nodeName } from "./gltfExport";
+import {
+  assignModels,
+  forgetModel,
+  loadModelScene,
+  loadSessionModels,
+  placeModel,
+  pruneModelFiles,
+  readModelFile,
+  saveSessionModels,
+  storeModelFile,
+} from "./customModels";
+import {
+  MAX_DELIVERED,
+  buildFlightPath,
+  loadSleigh,
+  normalizeSleigh,
+  saveSleigh,
+} from "./sleigh";
+import {
+  DEFAULT_LIGHTS,
+  helixPositions,
+  makeLightEvaluator,
+} from "./lightPatterns";
+import {
+  ORNAMENT_KINDS,
+  buildOrnamentGeometries,
+  buildOrnaments,
+  disposeOrnamentGeometries,
+  surfacePose,
+} from "./ornaments";
+import {
+  HAND_ORNAMENT_SIZE,
+  decorReducer,
+  initHistory,
+  layoutFromFile,
+  layoutToFile,
+  loadLayout,
+  mergeLayout,
+  nextHandId,
+  saveLayout,
+} from "./decorations";
+import {
+  DEFAULT_TREE_STYLE,
+  TREE_STYLES,
+  TREE_STYLE_KEYS,
+  generateTree,
+} from "./treeGenerator";
+import {
+  downloadBlob,
+  downloadText,
+  loadCustomThemes,
+  normalizeTheme,
+  saveCustomThemes,
+} from "./themeStore";
 import "./ChristmasTree3D.css";
 
 /* =========================
@@ -36,6 +160,10 @@ const THEME_TOKENS = {
     sway: { ax: 0.018, ay: 0.028, speed: 0.55 },
     fog: { color: "#0b1020", near: 14, far: 52 },
     env: "warehouse",
+    bursts: { gift: "snow", santa: "sparkle", rudolph: "heart", beat: "ring" },
+    wind: { angle: 35, strength: 0.25 },
+    lights: { pattern: "twinkle", count: 44 },
+    ornaments: { sphere: 4, teardrop: 2, star: 1 },
   },
   lux: {
     bg: "#070a13",
@@ -51,6 +179,15 @@ const THEME_TOKENS = {
     sway: { ax: 0.03, ay: 0.045, speed: 0.75 },
     fog: { color: "#070a13", near: 14, far: 50 },
     env: "city",
+    bursts: {
+      gift: "confetti",
+      santa: "firework",
+      rudolph: "heart",
+      beat: "sparkle",
+    },
+    wind: { angle: 0, strength: 0.15 },
+    lights: { pattern: "twinkle", count: 54 },
+    ornaments: { sphere: 3, teardrop: 1, star: 1, bell: 2, cane: 1, bow: 2 },
   },
   snow: {
     bg: "#0a1225",
@@ -66,6 +203,10 @@ const THEME_TOKENS = {
     sway: { ax: 0.022, ay: 0.03, speed: 0.6 },
     fog: { color: "#0a1225", near: 14, far: 56 },
     env: "park",
+    bursts: { gift: "snow", santa: "sparkle", rudolph: "heart", beat: "snow" },
+    wind: { angle: 200, strength: 0.45 },
+    lights: { pattern: "twinkle", count: 44 },
+    ornaments: { sphere: 3, teardrop: 2, star: 3, bell: 1 },
   },
   neon: {
     bg: "#05050a",
@@ -81,6 +222,10 @@ const THEME_TOKENS = {
     sway: { ax: 0.028, ay: 0.055, speed: 0.95 },
     fog: { color: "#05050a", near: 14, far: 48 },
     env: "night",
+    bursts: { gift: "firework", santa: "ring", rudolph: "heart", beat: "ring" },
+    wind: { angle: 90, strength: 0.15 },
+    lights: { pattern: "chase", count: 44 },
+    ornaments: { sphere: 3, teardrop: 2, star: 2, cane: 1 },
   },
 };
 
@@ -116,111 +261,496 @@ const CAMERA_PRESETS = {
   },
 };
 
+const ORNAMENT_MIN = 10;
+const ORNAMENT_MAX = 3000;
+const ORNAMENT_SLIDER_STEPS = 1000;
+
+// log-scale slider so 10..70 keeps the same feel next to 3000
+function countToSlider(n) {
+  const u = Math.log(n / ORNAMENT_MIN) / Math.log(ORNAMENT_MAX / ORNAMENT_MIN);
+  return Math.round(u * ORNAMENT_SLIDER_STEPS);
+}
+
+function sliderToCount(v) {
+  const u = v / ORNAMENT_SLIDER_STEPS;
+  return Math.round(ORNAMENT_MIN * Math.pow(ORNAMENT_MAX / ORNAMENT_MIN, u));
+}
+
+const DEFAULT_SCENE = {
+  theme: "minimal",
+  seed: 20251225,
+  ornamentCount: 36,
+  treeStyle: DEFAULT_TREE_STYLE,
+  showSanta: true,
+  showRudolph: true,
+  showSnowman: true,
+  showElves: true,
+  showSnow: true,
+  showPresents: true,
+  autoRotate: CAMERA_PRESETS.minimal.autoRotate,
+};
+
+const BASE_THEME_KEYS = THEMES.map((t) => t.key);
+
+// builtin or user theme -> { key, label, base, tokens, camera }
+function resolveTheme(key, customThemes) {
+  const custom = customThemes.find((t) => t.key === key);
+  if (custom) return custom;
+  const builtin = THEMES.find((t) => t.key === key) ?? THEMES[0];
+  return {
+    key: builtin.key,
+    label: builtin.label,
+    base: builtin.key,
+    tokens: THEME_TOKENS[builtin.key],
+    camera: CAMERA_PRESETS[builtin.key],
+  };
+}
+
 /* =========================
-   Utilities
+   Share link (URL state)
 ========================= */
 
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return () => {
-    t += 0x6d2b79f5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
+// query key <-> scene field
+const URL_FLAGS = {
+  santa: "showSanta",
+  rudolph: "showRudolph",
+  snowman: "showSnowman",
+  elves: "showElves",
+  snow: "showSnow",
+  gifts: "showPresents",
+  rotate: "autoRotate",
+};
+
+// fields whose change deserves its own history entry
+const HISTORY_FIELDS = [
+  "theme",
+  "seed",
+  "treeStyle",
+  "showSanta",
+  "showRudolph",
+  "showSnowman",
+  "showElves",
+  "showSnow",
+  "showPresents",
+];
+
+export function parseSceneParams(search, customThemes = []) {
+  const q = new URLSearchParams(search);
+  const out = {};
+
+  const theme = q.get("theme");
+  if (
+    theme &&
+    (THEME_TOKENS[theme] || customThemes.some((t) => t.key === theme))
+  )
+    out.theme = theme;
+
+  const seed = Number.parseInt(q.get("seed"), 10);
+  if (Number.isFinite(seed)) out.seed = seed >>> 0;
+
+  const n = Number.parseInt(q.get("n"), 10);
+  if (Number.isFinite(n))
+    out.ornamentCount = THREE.MathUtils.clamp(n, ORNAMENT_MIN, ORNAMENT_MAX);
+
+  const tree = q.get("tree");
+  if (tree && TREE_STYLES[tree]) out.treeStyle = tree;
+
+  for (const [key, field] of Object.entries(URL_FLAGS)) {
+    const v = q.get(key);
+    if (v === "1" || v === "0") out[field] = v === "1";
+  }
+  return out;
+}
+
+export function serializeScene(scene) {
+  const q = new URLSearchParams();
+  q.set("theme", scene.theme);
+  q.set("seed", String(scene.seed));
+  q.set("n", String(scene.ornamentCount));
+  q.set("tree", scene.treeStyle);
+  for (const [key, field] of Object.entries(URL_FLAGS)) {
+    q.set(key, scene[field] ? "1" : "0");
+  }
+  return `?${q.toString()}`;
+}
+
+// defaults: the host's defaultScene over DEFAULT_SCENE
+function sceneFromSearch(search, customThemes, defaults = DEFAULT_SCENE) {
+  const fromUrl = parseSceneParams(search, customThemes);
+  const scene = { ...defaults, ...fromUrl };
+  // without an explicit flag, follow the theme's camera preset
+  if (!("autoRotate" in fromUrl) && !("autoRotate" in defaults))
+    scene.autoRotate = Boolean(
+      resolveTheme(scene.theme, customThemes).camera.autoRotate
+    );
+  return scene;
 }
 
-function smoothstep(edge0, edge1, x) {
-  const t = THREE.MathUtils.clamp((x - edge0) / (edge1 - edge0), 0, 1);
-  return t * t * (3 - 2 * t);
+function readInitialScene(customThemes, defaults, syncUrl) {
+  if (typeof window === "undefined" || !syncUrl) return { ...defaults };
+  return sceneFromSearch(window.location.search, customThemes, defaults);
 }
 
 /* =========================
-   Ornaments
+   Embedding (controlled scene fields)
 ========================= */
 
-function buildOrnaments(seed, count, palette) {
-  const rnd = mulberry32(seed);
-  const items = [];
-  for (let i = 0; i < count; i++) {
-    const y = 0.35 + rnd() * 1.7;
-    const t = THREE.MathUtils.clamp((y - 0.35) / 1.7, 0, 1);
-    const radius = (1 - t) * 0.18 + t * 0.75;
-    const angle = rnd() * Math.PI * 2;
-
-    const jitter = (rnd() - 0.5) * 0.12;
-    const x = Math.cos(angle) * (radius + jitter);
-    const z = Math.sin(angle) * (radius + jitter);
-
-    const size = 0.03 + rnd() * 0.035;
-    const color = palette[Math.floor(rnd() * palette.length)];
-    items.push({ id: i, x, y, z, size, color });
+// one scene field: props.scene[field] wins when the host gives it,
+// otherwise local state. Every change is reported through
+// onSceneChange({ [field]: value }) so a controlling host can follow.
+function useSceneField({ props, initialScene, handlersRef }, field) {
+  const [own, setOwn] = useState(initialScene[field]);
+  const value = props.scene?.[field] ?? own;
+  const valueRef = useRef(value);
+  useEffect(() => {
+    valueRef.current = value;
+  });
+
+  const set = useCallback(
+    (next) => {
+      const prev = valueRef.current;
+      const v = typeof next === "function" ? next(prev) : next;
+      if (Object.is(v, prev)) return;
+      valueRef.current = v;
+      setOwn(v);
+      handlersRef.current.onSceneChange?.({ [field]: v });
+    },
+    [field, handlersRef]
+  );
+  return [value, set];
+}
+
+// parsed scenes of the imported models by id, filled in as they load;
+// onError(message) for entries that fail
+function useModelScenes(models, onError) {
+  const [scenes, setScenes] = useState({});
+  useEffect(() => {
+    let live = true;
+    Promise.allSettled(models.map(loadModelScene)).then((results) => {
+      if (!live) return;
+      const next = {};
+      results.forEach((res, i) => {
+        if (res.status === "fulfilled") next[models[i].id] = res.value;
+        else onError(res.reason.message);
+      });
+      setScenes(next);
+    });
+    return () => {
+      live = false;
+    };
+  }, [models, onError]);
+  return scenes;
+}
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
   }
-  return items;
+  const ta = document.createElement("textarea");
+  ta.value = text;
+  ta.setAttribute("readonly", "");
+  ta.style.position = "fixed";
+  ta.style.opacity = "0";
+  document.body.appendChild(ta);
+  ta.select();
+  document.execCommand("copy");
+  document.body.removeChild(ta);
 }
 
 /* =========================
-   Lights (Neon chase)
+   Ornaments (instanced)
 ========================= */
 
-function ChaseLights({ themeKey, tokens, count = 44 }) {
-  const matsRef = useRef([]);
-  const pos = useMemo(() => {
-    const arr = [];
-    for (let i = 0; i < count; i++) {
-      const u = i / count;
-      const y = 0.35 + u * 1.65;
-      const tt = THREE.MathUtils.clamp((y - 0.35) / 1.65, 0, 1);
-      const radius = (1 - tt) * 0.22 + tt * 0.82;
-      const angle = u * Math.PI * 8.0;
-      arr.push([Math.cos(angle) * radius, y, Math.sin(angle) * radius]);
+// instanceColor only tints diffuse; make it tint emissive too
+function tintEmissiveByInstance(shader) {
+  shader.fragmentShader = shader.fragmentShader.replace(
+    "#include <emissivemap_fragment>",
+    `#include <emissivemap_fragment>
+#ifdef USE_INSTANCING_COLOR
+  totalEmissiveRadiance *= vColor;
+#endif`
+  );
+}
+
+function OrnamentKind({ items, geo, themeKey, onPointerDown, onContextMenu }) {
+  const meshRef = useRef(null);
+  const accentRef = useRef(null);
+
+  const mat = useMemo(() => {
+    const m = new THREE.MeshStandardMaterial({
+      roughness: 0.25,
+      metalness: 0.35,
+      emissive: "#ffffff",
+    });
+    m.onBeforeCompile = tintEmissiveByInstance;
+    return m;
+  }, []);
+  const accentMat = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: "#ffffff",
+        roughness: 0.35,
+        metalness: 0.1,
+      }),
+    []
+  );
+  useEffect(
+    () => () => {
+      mat.dispose();
+      accentMat.dispose();
+    },
+    [mat, accentMat]
+  );
+
+  useEffect(() => {
+    mat.emissiveIntensity = themeKey === "neon" ? 0.45 : 0.22;
+  }, [mat, themeKey]);
+
+  useLayoutEffect(() => {
+    const m = meshRef.current;
+    if (!m) return;
+    const dummy = new THREE.Object3D();
+    const color = new THREE.Color();
+    for (let i = 0; i < items.length; i++) {
+      const o = items[i];
+      dummy.position.set(o.x, o.y, o.z);
+      dummy.rotation.set(o.rot[0], o.rot[1], o.rot[2]);
+      dummy.scale.setScalar(o.size);
+      dummy.updateMatrix();
+      m.setMatrixAt(i, dummy.matrix);
+      accentRef.current?.setMatrixAt(i, dummy.matrix);
+      m.setColorAt(i, color.set(o.color));
     }
-    return arr;
-  }, [count]);
+    m.instanceMatrix.needsUpdate = true;
+    if (m.instanceColor) m.instanceColor.needsUpdate = true;
+    m.computeBoundingSphere();
+
+    const a = accentRef.current;
+    if (a) {
+      a.instanceMatrix.needsUpdate = true;
+      a.computeBoundingSphere();
+    }
+    // a new geometry (quality change) rebuilds the meshes
+  }, [items, geo]);
+
+  return (
+    <group userData={{ ornaments: items }}>
+      <instancedMesh
+        ref={meshRef}
+        name="body"
+        args={[geo.geometry, mat, items.length]}
+        onPointerDown={
+          onPointerDown && ((e) => onPointerDown(items[e.instanceId], e))
+        }
+        onContextMenu={
+          onContextMenu && ((e) => onContextMenu(items[e.instanceId], e))
+        }
+      />
+      {geo.accent && (
+        <instancedMesh
+          ref={accentRef}
+          name="accent"
+          args={[geo.accent, accentMat, items.length]}
+        />
+      )}
+    </group>
+  );
+}
 
-  const baseColor = useMemo(
-    () => new THREE.Color(tokens.light),
-    [tokens.light]
+// an imported model (customModels.js) in place of a shape: a copy per
+// ornament with the model's own materials, so no instancing or tint
+function OrnamentModels({ items, model, onPointerDown, onContextMenu }) {
+  const copies = useMemo(
+    () => items.map(() => placeModel(model)),
+    [items, model]
   );
 
-  useFrame(({ clock }) => {
-    const t = clock.getElapsedTime();
+  return (
+    <group userData={{ ornaments: items, model: true }}>
+      {items.map((o, i) => (
+        <primitive
+          key={o.id}
+          object={copies[i]}
+          position={[o.x, o.y, o.z]}
+          rotation={o.rot}
+          scale={o.size}
+          onPointerDown={onPointerDown && ((e) => onPointerDown(o, e))}
+          onContextMenu={onContextMenu && ((e) => onContextMenu(o, e))}
+        />
+      ))}
+    </group>
+  );
+}
+
+// one draw call per ornament shape; models: { [kind]: fitted model }
+function OrnamentInstances({
+  ornaments,
+  geos,
+  models,
+  themeKey,
+  onPointerDown,
+  onContextMenu,
+}) {
+  const byKind = useMemo(() => {
+    const out = {};
+    for (const o of ornaments) (out[o.kind] ??= []).push(o);
+    return out;
+  }, [ornaments]);
+
+  return ORNAMENT_KINDS.filter((k) => byKind[k]?.length).map((k) =>
+    models[k] ? (
+      <OrnamentModels
+        key={k}
+        items={byKind[k]}
+        model={models[k]}
+        onPointerDown={onPointerDown}
+        onContextMenu={onContextMenu}
+      />
+    ) : (
+      // instance count is fixed at creation, so remount on size change
+      <OrnamentKind
+        key={`${k}-${byKind[k].length}`}
+        items={byKind[k]}
+        geo={geos[k]}
+        themeKey={themeKey}
+        onPointerDown={onPointerDown}
+        onContextMenu={onContextMenu}
+      />
+    )
+  );
+}
+
+/* =========================
+   Decorating (drag preview + selection)
+========================= */
+
+// tree-local (y, angle) under a world-space hit, clamped to the decor band
+function treeSpot(groupRef, shape, point) {
+  const local = groupRef.current.worldToLocal(point.clone());
+  return {
+    y: THREE.MathUtils.clamp(local.y, shape.decorMin, shape.decorMax),
+    angle: Math.atan2(local.z, local.x),
+  };
+}
 
-    if (themeKey !== "neon") {
-      for (let i = 0; i < matsRef.current.length; i++) {
-        const m = matsRef.current[i];
-        if (!m) continue;
-        const tw = 0.35 + 0.25 * Math.sin(t * 2.1 + i * 0.6);
-        m.emissiveIntensity = 0.35 + tw;
-        m.opacity = 0.78;
+function DragPreview({
+  ornament,
+  geos,
+  model,
+  shape,
+  groupRef,
+  meshesRef,
+  dragRef,
+}) {
+  const ref = useRef(null);
+  const g = geos[ornament.kind];
+  const copy = useMemo(() => model && placeModel(model), [model]);
+
+  useFrame(({ raycaster, pointer, camera }) => {
+    const d = dragRef.current;
+    const root = ref.current;
+    if (!d || !root) return;
+
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(
+      meshesRef.current.filter(Boolean),
+      false
+    )[0];
+    if (hit) {
+      const spot = treeSpot(groupRef, shape, hit.point);
+      if (
+        Math.abs(spot.y - d.y) > 1e-3 ||
+        Math.abs(spot.angle - d.angle) > 1e-3
+      ) {
+        d.y = spot.y;
+        d.angle = spot.angle;
+        d.moved = true;
       }
-      return;
     }
 
-    const speed = 2.2;
-    const width = 0.12;
-    const head = (t * speed) % 1;
+    const pose = surfacePose(shape, d.y, d.angle, ornament.size, ornament.tilt);
+    root.position.set(pose.x, pose.y, pose.z);
+    root.rotation.set(pose.rot[0], pose.rot[1], pose.rot[2]);
+  });
 
-    for (let i = 0; i < matsRef.current.length; i++) {
-      const m = matsRef.current[i];
-      if (!m) continue;
-      const u = i / matsRef.current.length;
+  return (
+    <group ref={ref} scale={ornament.size}>
+      {copy ? (
+        <primitive object={copy} />
+      ) : (
+        <mesh geometry={g.geometry}>
+          <meshStandardMaterial
+            color={ornament.color}
+            emissive={ornament.color}
+            emissiveIntensity={0.6}
+            roughness={0.25}
+            metalness={0.35}
+          />
+        </mesh>
+      )}
+      {!copy && g.accent && (
+        <mesh geometry={g.accent}>
+          <meshStandardMaterial color="#ffffff" roughness={0.35} />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+function SelectionMarker({ ornament, color }) {
+  return (
+    <mesh position={[ornament.x, ornament.y, ornament.z]}>
+      <sphereGeometry args={[ornament.size * 1.7, 14, 10]} />
+      <meshBasicMaterial
+        color={color}
+        wireframe
+        transparent
+        opacity={0.55}
+        depthWrite={false}
+      />
+    </mesh>
+  );
+}
 
-      let d = Math.abs(u - head);
-      d = Math.min(d, 1 - d);
+/* =========================
+   Lights (Neon chase)
+========================= */
+
+function ChaseLights({ tokens, shape, lights, audioRef, segments = 16 }) {
+  const matsRef = useRef([]);
+  const pos = useMemo(() => helixPositions(shape, lights), [shape, lights]);
+
+  const evaluate = useMemo(() => {
+    const colors = [tokens.light, ...tokens.palette].map(
+      (c) => new THREE.Color(c)
+    );
+    return makeLightEvaluator(lights, colors);
+  }, [lights, tokens.light, tokens.palette]);
+
+  useFrame(({ clock }) => {
+    const t = clock.getElapsedTime();
+    const mats = matsRef.current;
+    const n = pos.length;
+    const a = audioRef?.current;
+    const boost = a?.active ? 0.6 + a.mid * 0.9 + a.beat * 1.3 : 1;
 
-      const glow = Math.exp(-(d * d) / (2 * width * width));
-      m.emissive.copy(baseColor);
-      m.emissiveIntensity = 0.35 + glow * 2.2;
-      m.opacity = 0.55 + glow * 0.45;
+    for (let i = 0; i < n; i++) {
+      const m = mats[i];
+      if (!m) continue;
+      const { level, color } = evaluate(i, n, t);
+      m.color.copy(color);
+      m.emissive.copy(color);
+      m.emissiveIntensity = (0.35 + level * 2.2) * boost;
+      m.opacity = 0.55 + level * 0.45;
     }
   });
 
   return (
-    <group>
+    <group name="lights">
       {pos.map((p, i) => (
-        <mesh key={i} position={p}>
-          <sphereGeometry args={[0.028, 16, 16]} />
+        <mesh key={i} name={nodeName("light", i)} position={p}>
+          <sphereGeometry args={[0.028, segments, segments]} />
           <meshStandardMaterial
             ref={(el) => (matsRef.current[i] = el)}
             color={tokens.light}
@@ -238,168 +768,453 @@ function ChaseLights({ themeKey, tokens, count = 44 }) {
 }
 
 /* =========================
-   Snowfall (instanced)
+   Music-reactive driver
 ========================= */
 
-function Snowfall({ enabled, count = 900 }) {
-  const meshRef = useRef(null);
-  const data = useMemo(() => {
+// samples the audio source once per frame and emits a beat event per beat
+function AudioDriver({ source, sensitivity, audioRef, events, tokens }) {
+  const seenBeatsRef = useRef(0);
+
+  useEffect(() => {
+    if (source) return;
+    Object.assign(audioRef.current, makeAudioState());
+    seenBeatsRef.current = 0;
+  }, [source, audioRef]);
+
+  useFrame(({ clock }) => {
+    if (!source) return;
+    const a = audioRef.current;
+    source.sample(a, sensitivity, clock.getElapsedTime());
+    if (a.beats === seenBeatsRef.current) return;
+    seenBeatsRef.current = a.beats;
+
+    const angle = Math.random() * Math.PI * 2;
+    const r = 0.35 + Math.random() * 0.4;
+    events.emit("beat", {
+      position: [
+        Math.cos(angle) * r,
+        0.1 + Math.random() * 1.4,
+        Math.sin(angle) * r,
+      ],
+      color: tokens.palette[Math.floor(Math.random() * tokens.palette.length)],
+    });
+  });
+
+  return null;
+}
+
+// drei Sparkles with its drift clock sped up by the music
+function ReactiveSparkles({ audioRef, ...props }) {
+  const ref = useRef(null);
+  const phaseRef = useRef(0);
+
+  // runs after Sparkles' own frame callback, so this time wins
+  useFrame(({ clock }, dt) => {
+    const a = audioRef.current;
+    const mat = ref.current?.material;
+    if (!a.active || !mat) {
+      phaseRef.current = clock.getElapsedTime();
+      return;
+    }
+    phaseRef.current += dt * (1 + a.treble * 2.5 + a.beat * 3);
+    mat.time = phaseRef.current;
+  });
+
+  return <Sparkles ref={ref} {...props} />;
+}
+
+/* =========================
+   Quality governor
+========================= */
+
+// measures frame time and asks for a tier step; mounted only in Auto
+function QualityGovernor({ tier, onStep }) {
+  const governor = useMemo(() => createFrameGovernor(), []);
+  useFrame((_, dt) => {
+    const step = governor.sample(dt, tier);
+    if (step) onStep(step);
+  });
+  return null;
+}
+
+/* =========================
+   Snowfall (GPU)
+========================= */
+
+const SNOW_TOP = 7.0;
+const SNOW_FLOOR = -0.25;
+const SNOW_HALF = 6.0;
+// seconds of steady snow to a full cover, and to melt it again
+const SNOW_BUILD_TIME = 45;
+const SNOW_MELT_TIME = 20;
+
+const SNOW_VERTEX = /* glsl */ `
+  uniform float uTime;
+  uniform vec2 uWind;
+  uniform float uTop;
+  uniform float uSpan;
+  uniform float uHalf;
+  uniform float uViewScale;
+  attribute vec3 aStart;
+  attribute float aSpeed;
+  attribute float aSize;
+  attribute vec3 aFlutter;
+  varying float vAlpha;
+
+  float wrapCoord(float v) {
+    return mod(v + uHalf, uHalf * 2.0) - uHalf;
+  }
+
+  void main() {
+    float travel = aStart.y + uTime * aSpeed;
+    float cycle = floor(travel / uSpan);
+    float y = uTop - mod(travel, uSpan);
+
+    // each fall starts somewhere else, so the pattern never repeats
+    float respawn = fract(sin(cycle * 12.9898 + aStart.x * 78.233) * 43758.5453);
+    float drift = 0.6 + aSize * 40.0;
+    float phase = uTime * aFlutter.y + aFlutter.z;
+    float x = aStart.x + respawn * uHalf * 2.0 + uWind.x * drift
+      - cos(phase) * aFlutter.x / aFlutter.y;
+    float z = aStart.z + uWind.y * drift
+      + sin(phase * 0.8) * aFlutter.x * 0.75 / aFlutter.y;
+
+    vec4 mv = modelViewMatrix * vec4(wrapCoord(x), y, wrapCoord(z), 1.0);
+    gl_Position = projectionMatrix * mv;
+    gl_PointSize = max(1.0, aSize * 2.0 * uViewScale / -mv.z);
+    vAlpha = smoothstep(0.0, 0.3, uTop - y) * 0.75;
+  }
+`;
+
+const SNOW_FRAGMENT = /* glsl */ `
+  varying float vAlpha;
+
+  void main() {
+    float d = length(gl_PointCoord - 0.5);
+    float a = vAlpha * (1.0 - smoothstep(0.3, 0.5, d));
+    if (a < 0.01) discard;
+    gl_FragColor = vec4(0.93, 0.95, 1.0, a);
+  }
+`;
+
+// flakes are simulated in the vertex shader from time and per-flake
+// attributes; the CPU only advances the clock and the wind offset
+function Snowfall({ enabled, count = 900, wind }) {
+  const geometry = useMemo(() => {
     const rnd = mulberry32(777);
-    const arr = [];
+    const start = new Float32Array(count * 3);
+    const speed = new Float32Array(count);
+    const size = new Float32Array(count);
+    const flutter = new Float32Array(count * 3);
+    const span = SNOW_TOP - SNOW_FLOOR;
+
     for (let i = 0; i < count; i++) {
-      arr.push({
-        x: (rnd() * 2 - 1) * 6.0,
-        y: rnd() * 7.0 + 0.2,
-        z: (rnd() * 2 - 1) * 6.0,
-        v: 0.35 + rnd() * 0.95,
-        s: 0.006 + rnd() * 0.013,
-      });
+      const z = (rnd() * 2 - 1) * SNOW_HALF;
+      // the camera looks from +z: nearer flakes are bigger and faster
+      const depth = (z + SNOW_HALF) / (SNOW_HALF * 2);
+      const s = (0.005 + rnd() * 0.008) * THREE.MathUtils.lerp(0.6, 1.7, depth);
+      start[i * 3] = (rnd() * 2 - 1) * SNOW_HALF;
+      start[i * 3 + 1] = rnd() * span;
+      start[i * 3 + 2] = z;
+      speed[i] = (0.3 + rnd() * 0.6) * (0.6 + s * 40);
+      size[i] = s;
+      // flutter: sideways wobble with its own amplitude, rate and phase
+      flutter[i * 3] = 0.08 + rnd() * 0.22;
+      flutter[i * 3 + 1] = 0.8 + rnd() * 2.2;
+      flutter[i * 3 + 2] = rnd() * Math.PI * 2;
     }
-    return arr;
+
+    const geo = new THREE.BufferGeometry();
+    // positions come from the shader (hence no culling); this only sizes the draw
+    geo.setAttribute(
+      "position",
+      new THREE.BufferAttribute(new Float32Array(count * 3), 3)
+    );
+    geo.setAttribute("aStart", new THREE.BufferAttribute(start, 3));
+    geo.setAttribute("aSpeed", new THREE.BufferAttribute(speed, 1));
+    geo.setAttribute("aSize", new THREE.BufferAttribute(size, 1));
+    geo.setAttribute("aFlutter", new THREE.BufferAttribute(flutter, 3));
+    return geo;
   }, [count]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
 
-  useFrame((_, dt) => {
-    if (!enabled) return;
-    const m = meshRef.current;
-    if (!m) return;
+  const material = useMemo(
+    () =>
+      new THREE.ShaderMaterial({
+        uniforms: {
+          uTime: { value: 0 },
+          uWind: { value: new THREE.Vector2() },
+          uTop: { value: SNOW_TOP },
+          uSpan: { value: SNOW_TOP - SNOW_FLOOR },
+          uHalf: { value: SNOW_HALF },
+          uViewScale: { value: 1 },
+        },
+        vertexShader: SNOW_VERTEX,
+        fragmentShader: SNOW_FRAGMENT,
+        transparent: true,
+        depthWrite: false,
+      }),
+    []
+  );
+  useEffect(() => () => material.dispose(), [material]);
 
-    const dummy = new THREE.Object3D();
-    for (let i = 0; i < data.length; i++) {
-      const d = data[i];
-      d.y -= d.v * dt;
-      if (d.y < -0.25) d.y = 7.0;
+  // sim time only moves while snowing, so toggling resumes where it left
+  const simRef = useRef({ t: 0 });
 
-      dummy.position.set(d.x, d.y, d.z);
-      dummy.scale.setScalar(d.s);
-      dummy.updateMatrix();
-      m.setMatrixAt(i, dummy.matrix);
-    }
-    m.instanceMatrix.needsUpdate = true;
+  useFrame(({ camera, size, viewport }, dt) => {
+    if (!enabled) return;
+    const sim = simRef.current;
+    const step = Math.min(dt, 0.1);
+    sim.t += step;
+
+    const u = material.uniforms;
+    const a = THREE.MathUtils.degToRad(wind.angle);
+    // slow gusts on top of the steady wind, integrated so they never jump
+    const gust =
+      1 + 0.35 * Math.sin(sim.t * 0.37) + 0.2 * Math.sin(sim.t * 1.13 + 2);
+    u.uWind.value.x += Math.cos(a) * wind.strength * gust * step;
+    u.uWind.value.y += Math.sin(a) * wind.strength * gust * step;
+    u.uTime.value = sim.t;
+    u.uViewScale.value =
+      (size.height * viewport.dpr) /
+      (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
   });
 
   if (!enabled) return null;
 
   return (
-    <instancedMesh ref={meshRef} args={[null, null, count]}>
-      <sphereGeometry args={[1, 8, 8]} />
+    <points geometry={geometry} material={material} frustumCulled={false} />
+  );
+}
+
+// grows the shared snow cover while it snows, melts it otherwise
+function SnowCover({ snowing, cover }) {
+  useFrame((_, dt) => {
+    const rate = snowing ? 1 / SNOW_BUILD_TIME : -1 / SNOW_MELT_TIME;
+    cover.value = THREE.MathUtils.clamp(cover.value + rate * dt, 0, 1);
+  });
+  return null;
+}
+
+// blends upward-facing surfaces toward snow white by the cover uniform
+function addSnowCover(material, cover) {
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uSnow = cover;
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", "#include <common>\nvarying float vSnowUp;")
+      .replace(
+        "#include <beginnormal_vertex>",
+        "#include <beginnormal_vertex>\nvSnowUp = normalize(mat3(modelMatrix) * objectNormal).y;"
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nuniform float uSnow;\nvarying float vSnowUp;"
+      )
+      .replace(
+        "#include <color_fragment>",
+        `#include <color_fragment>
+        float snowAmt = uSnow * smoothstep(0.75 - uSnow * 0.45, 0.95 - uSnow * 0.3, vSnowUp);
+        diffuseColor.rgb = mix(diffuseColor.rgb, vec3(0.92, 0.95, 1.0), snowAmt);`
+      );
+  };
+  material.customProgramCacheKey = () => "snow-cover";
+  return material;
+}
+
+function SnowFloor({ cover }) {
+  const matRef = useRef(null);
+  useFrame(() => {
+    const m = matRef.current;
+    if (!m) return;
+    m.opacity = cover.value * 0.85;
+    m.visible = cover.value > 0.001;
+  });
+  return (
+    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -0.515, 0]}>
+      <circleGeometry args={[3.2, 64]} />
       <meshStandardMaterial
-        color="#ffffff"
-        roughness={0.9}
-        metalness={0.0}
+        ref={matRef}
+        color="#eef4ff"
+        roughness={1}
+        metalness={0}
         transparent
-        opacity={0.75}
+        opacity={0}
+        depthWrite={false}
       />
-    </instancedMesh>
+    </mesh>
   );
 }
 
 /* =========================
-   Burst particles controller
+   Burst effects (pooled)
 ========================= */
 
-function BurstParticles({ tokens, themeKey, controllerRef, count = 96 }) {
-  const meshRef = useRef(null);
-  const particlesRef = useRef([]);
-  const colorRef = useRef(new THREE.Color(tokens.spark));
+// additive layers fade by darkening their instance color
+const BURST_MATERIALS = {
+  spark: () =>
+    new THREE.MeshBasicMaterial({
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      toneMapped: false,
+    }),
+  confetti: () =>
+    new THREE.MeshStandardMaterial({
+      side: THREE.DoubleSide,
+      roughness: 0.45,
+      metalness: 0.35,
+    }),
+  heart: () =>
+    new THREE.MeshBasicMaterial({
+      side: THREE.DoubleSide,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      toneMapped: false,
+    }),
+  ring: () =>
+    new THREE.MeshBasicMaterial({
+      side: THREE.DoubleSide,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      toneMapped: false,
+    }),
+};
 
-  useEffect(() => {
-    colorRef.current = new THREE.Color(tokens.spark);
-  }, [tokens.spark]);
+// a subscriber of the scene events: bursts go off where things happen.
+// controllerRef.current.fire([x, y, z], color, { role, preset }) fires
+// one directly (the ref handle's fireBurst).
+function BurstEffects({
+  tokens,
+  themeKey,
+  events,
+  controllerRef,
+  segments = 10,
+}) {
+  const pools = useMemo(() => createBurstPools(), []);
+  const meshRefs = useRef({});
+  const geos = useMemo(() => buildBurstGeometries(segments), [segments]);
+  useEffect(
+    () => () => Object.values(geos).forEach((g) => g.dispose()),
+    [geos]
+  );
+  const mats = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(BURST_MATERIALS).map(([k, make]) => [k, make()])
+      ),
+    []
+  );
+  useEffect(
+    () => () => Object.values(mats).forEach((m) => m.dispose()),
+    [mats]
+  );
 
+  const tokensRef = useRef(tokens);
   useEffect(() => {
-    const arr = [];
-    for (let i = 0; i < count; i++) {
-      arr.push({
-        pos: new THREE.Vector3(0, -999, 0),
-        vel: new THREE.Vector3(0, 0, 0),
-        life: 0,
-        maxLife: 1,
-        size: 0.02,
-      });
-    }
-    particlesRef.current = arr;
-  }, [count]);
+    tokensRef.current = tokens;
+  }, [tokens]);
 
   useEffect(() => {
-    if (!controllerRef) return;
-    controllerRef.current = {
-      fire: (origin, colorHex) => {
-        if (colorHex) colorRef.current = new THREE.Color(colorHex);
-        const rnd = mulberry32(Math.floor(Math.random() * 1e9));
-        const p = particlesRef.current;
-
-        for (let i = 0; i < p.length; i++) {
-          const dir = new THREE.Vector3(
-            rnd() * 2 - 1,
-            rnd() * 1.3 + 0.2,
-            rnd() * 2 - 1
-          ).normalize();
-          const sp = 1.6 + rnd() * 2.2;
-          p[i].pos.copy(origin);
-          p[i].vel.copy(dir.multiplyScalar(sp));
-          p[i].life = 0.9 + rnd() * 0.7;
-          p[i].maxLife = p[i].life;
-          p[i].size = 0.02 + rnd() * 0.02;
-        }
-      },
+    const toRGB = (hex) => {
+      const c = new THREE.Color(hex);
+      return { r: c.r, g: c.g, b: c.b };
     };
-  }, [controllerRef]);
+    // opts.preset picks an effect directly; otherwise the theme's preset
+    // for opts.role is used
+    const fire = (position, colorHex, opts = {}) => {
+      const tk = tokensRef.current;
+      const preset =
+        opts.preset ??
+        tk.bursts?.[opts.role] ??
+        DEFAULT_BURSTS[opts.role] ??
+        "sparkle";
+      const rnd = mulberry32(Math.floor(Math.random() * 1e9));
+      spawnBurst(
+        pools,
+        preset,
+        Array.isArray(position)
+          ? new THREE.Vector3().fromArray(position)
+          : position.clone(),
+        {
+          color: toRGB(colorHex ?? tk.spark),
+          palette: tk.palette.map(toRGB),
+        },
+        rnd
+      );
+    };
+    if (controllerRef) controllerRef.current = { fire };
+    const off = events.on("*", (e) => {
+      const role = burstRoleFor(e);
+      if (role) fire(e.position, e.color, { role });
+    });
+    return () => {
+      off();
+      if (controllerRef) controllerRef.current = null;
+    };
+  }, [events, pools, controllerRef]);
 
-  useFrame((_, dt) => {
-    const m = meshRef.current;
-    if (!m) return;
+  const dummy = useMemo(() => new THREE.Object3D(), []);
+  const color = useMemo(() => new THREE.Color(), []);
+  const axis = useMemo(() => new THREE.Vector3(), []);
 
-    const dummy = new THREE.Object3D();
-    const p = particlesRef.current;
+  useFrame(({ camera }, dt) => {
+    stepBursts(pools, Math.min(dt, 0.1));
+    const glow = themeKey === "neon" ? 1.25 : 0.9;
+
+    for (const [layer, pool] of Object.entries(pools)) {
+      const m = meshRefs.current[layer];
+      if (!m) continue;
+      const items = pool.items;
+
+      for (let i = 0; i < items.length; i++) {
+        const p = items[i];
+        if (!p.alive) {
+          dummy.position.set(0, -999, 0);
+          dummy.scale.setScalar(0.0001);
+          dummy.updateMatrix();
+          m.setMatrixAt(i, dummy.matrix);
+          continue;
+        }
 
-    for (let i = 0; i < p.length; i++) {
-      const it = p[i];
-      if (it.life <= 0) {
-        dummy.position.set(0, -999, 0);
-        dummy.scale.setScalar(0.0001);
+        dummy.position.set(p.x, p.y, p.z);
+        if (layer === "heart") {
+          dummy.quaternion.copy(camera.quaternion);
+          dummy.rotateZ(p.angle);
+        } else if (layer === "confetti") {
+          dummy.quaternion.setFromAxisAngle(
+            axis.set(p.ax, p.ay, p.az),
+            p.angle
+          );
+        } else {
+          dummy.quaternion.identity();
+        }
+        dummy.scale.setScalar(particleScale(p));
         dummy.updateMatrix();
         m.setMatrixAt(i, dummy.matrix);
-        continue;
-      }
-
-      it.life -= dt;
-      it.vel.y -= 2.4 * dt;
-      it.vel.multiplyScalar(0.985);
-      it.pos.addScaledVector(it.vel, dt);
-
-      const a = THREE.MathUtils.clamp(it.life / it.maxLife, 0, 1);
-      const scale = it.size * (0.6 + (1 - a) * 0.8);
-
-      dummy.position.copy(it.pos);
-      dummy.scale.setScalar(scale);
-      dummy.updateMatrix();
-      m.setMatrixAt(i, dummy.matrix);
-    }
 
-    m.instanceMatrix.needsUpdate = true;
+        const k = layer === "confetti" ? 1 : particleFade(p) * glow;
+        m.setColorAt(i, color.setRGB(p.r * k, p.g * k, p.b * k));
+      }
 
-    if (m.material) {
-      const mat = m.material;
-      mat.color.copy(colorRef.current);
-      mat.emissive.copy(colorRef.current);
-      mat.emissiveIntensity = themeKey === "neon" ? 1.0 : 0.55;
-      mat.opacity = themeKey === "neon" ? 0.95 : 0.8;
+      m.instanceMatrix.needsUpdate = true;
+      if (m.instanceColor) m.instanceColor.needsUpdate = true;
     }
   });
 
   return (
-    <instancedMesh ref={meshRef} args={[null, null, count]}>
-      <sphereGeometry args={[1, 10, 10]} />
-      <meshStandardMaterial
-        color={tokens.spark}
-        emissive={tokens.spark}
-        emissiveIntensity={themeKey === "neon" ? 1.0 : 0.55}
-        roughness={0.2}
-        metalness={0.15}
-        transparent
-        opacity={0.85}
-      />
-    </instancedMesh>
+    <group>
+      {Object.entries(BURST_LAYERS).map(([layer, capacity]) => (
+        <instancedMesh
+          key={layer}
+          ref={(el) => (meshRefs.current[layer] = el)}
+          args={[geos[layer], mats[layer], capacity]}
+          frustumCulled={false}
+        />
+      ))}
+    </group>
   );
 }
 
@@ -407,72 +1222,231 @@ function BurstParticles({ tokens, themeKey, controllerRef, count = 96 }) {
    Presents (random + click event)
 ========================= */
 
-function Presents({ themeKey, burstControllerRef }) {
-  const groupRef = useRef(null);
-  const lidRef = useRef([]);
-  const openStateRef = useRef([]);
-  const schedulerRef = useRef({ next: 0 });
+const PRESENT_FLOOR_R = 3.1;
+
+const LID_OPEN = -1.9;
+const DROP_GRAVITY = 5;
+
+// what rises out of an opened box: an image card or an ornament shape
+function GiftContent({ gift, geos, color, height }) {
+  const ref = useRef(null);
+  const texture = useMemo(() => {
+    if (!gift.image) return null;
+    const tex = new THREE.TextureLoader().load(gift.image);
+    tex.colorSpace = THREE.SRGBColorSpace;
+    return tex;
+  }, [gift.image]);
+  useEffect(() => () => texture?.dispose(), [texture]);
+
+  useFrame(({ clock }, dt) => {
+    const g = ref.current;
+    if (!g) return;
+    const t = clock.getElapsedTime();
+    const k = 1 - Math.exp(-dt * 3);
+    const top = height / 2 + 0.2 + Math.sin(t * 1.6) * 0.02;
+    g.position.y = THREE.MathUtils.lerp(g.position.y, top, k);
+    g.scale.setScalar(THREE.MathUtils.lerp(g.scale.x, 1, k));
+    g.rotation.y += dt * 0.8;
+  });
+
+  if (!texture && gift.item === "none") return null;
+
+  return (
+    <group ref={ref} position={[0, height / 2 - 0.05, 0]} scale={0.2}>
+      {texture ? (
+        <mesh>
+          <planeGeometry args={[0.22, 0.22]} />
+          <meshBasicMaterial map={texture} side={THREE.DoubleSide} />
+        </mesh>
+      ) : (
+        <mesh geometry={geos[gift.item].geometry} scale={0.07}>
+          <meshStandardMaterial
+            color={color}
+            emissive={color}
+            emissiveIntensity={0.35}
+            roughness={0.25}
+            metalness={0.4}
+          />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+function Presents({
+  themeKey,
+  tokens,
+  seed,
+  treeStyle,
+  layoutConfig,
+  events,
+  boxes,
+  openedKeys,
+  onOpened,
+  onReveal,
+  dropRef,
+  onDelivered,
+  crowd,
+  openRef,
+}) {
+  const groupRef = useRef(null);
+  const fallRef = useRef(null);
+  const fallStateRef = useRef({ active: false, landed: false });
+  const lidRef = useRef([]);
+  const openStateRef = useRef([]);
+  const schedulerRef = useRef({ next: 0 });
 
   const [hovered, setHovered] = useState(false);
   useCursor(hovered);
 
-  // click queue
+  // click queue; openRef (the ref handle's openGift) feeds it too
   const pendingClickRef = useRef(null);
 
-  const items = useMemo(() => {
-    const base = [];
-    const ring = 1.35;
-    for (let i = 0; i < 10; i++) {
-      const a = (i / 10) * Math.PI * 2;
-      const x = Math.cos(a) * ring * (0.82 + (i % 3) * 0.08);
-      const z = Math.sin(a) * ring * (0.82 + (i % 2) * 0.1);
-      const h = 0.12 + (i % 4) * 0.03;
-      const w = 0.18 + (i % 3) * 0.05;
-      base.push({ p: [x, -0.47 - (i % 2) * 0.02, z], s: [w, h, w] });
-    }
-    base.push({ p: [0.35, -0.44, 0.1], s: [0.36, 0.22, 0.36] });
-    base.push({ p: [-0.35, -0.46, -0.1], s: [0.32, 0.18, 0.32] });
-    return base;
-  }, []);
+  const shape = useMemo(() => generateTree(seed, treeStyle), [seed, treeStyle]);
+  // one spare spot past the last box is where a sleigh drop lands; the
+  // layout is sequential, so the boxes before it keep their places
+  const [items, landing] = useMemo(() => {
+    const all = generatePresentLayout(seed, boxes.length + 1, layoutConfig, {
+      shape,
+      treeY: -0.25,
+      keepOut: CHARACTER_KEEP_OUT,
+      floorRadius: PRESENT_FLOOR_R,
+    });
+    return [all.slice(0, boxes.length), all[boxes.length] ?? null];
+  }, [seed, boxes.length, layoutConfig, shape]);
+
+  // characters steer around the boxes (bounding circles)
+  useEffect(() => {
+    if (!crowd) return;
+    crowd.obstacles = items.map((it) => ({
+      x: it.p[0],
+      z: it.p[2],
+      r: Math.hypot(it.s[0], it.s[2]) / 2,
+    }));
+    return () => {
+      crowd.obstacles = [];
+    };
+  }, [crowd, items]);
+
+  const itemGeos = useMemo(() => buildOrnamentGeometries(12), []);
+  useEffect(() => () => disposeOrnamentGeometries(itemGeos), [itemGeos]);
 
-  const palette = useMemo(() => {
-    if (themeKey === "neon") return ["#00ffb4", "#ff46ff", "#7a4dff"];
-    if (themeKey === "snow") return ["#dcf6ff", "#bfe4ff", "#ffffff"];
-    if (themeKey === "lux") return ["#ff4d4d", "#ffd57c", "#48d18d"];
-    return ["#ffffff", "#ffe49a", "#d7e3ff"];
-  }, [themeKey]);
+  // wrapping paper and ribbons: the theme's first palette colors
+  const palette = useMemo(() => tokens.palette.slice(0, 3), [tokens.palette]);
 
   useEffect(() => {
     openStateRef.current = items.map(() => ({
       active: false,
+      opening: false,
       start: 0,
       dur: 1.2,
       strength: 1.0,
     }));
     lidRef.current = items.map(() => null);
     schedulerRef.current.next = 0;
+    // a landed drop shows until the pile has grown by its box
+    fallStateRef.current.landed = false;
   }, [items]);
 
+  const emitGift = (type, idx) => {
+    const it = items[idx];
+    events?.emit(type, {
+      index: idx,
+      key: boxes[idx].key,
+      position: [it.p[0], it.p[1] + it.s[1] + 0.08, it.p[2]],
+      color: palette[idx % palette.length],
+    });
+  };
+
   const triggerGift = (idx, t, strong = false) => {
     const st = openStateRef.current[idx];
-    if (!st) return;
+    if (!st || st.opening) return;
 
     st.active = true;
     st.start = t;
     st.dur = strong ? 1.6 : 1.1 + Math.random() * 0.6;
     st.strength = strong ? 1.25 : 1.0;
+    emitGift("giftAutoOpened", idx);
+  };
 
-    const it = items[idx];
-    const origin = new THREE.Vector3(
-      it.p[0],
-      it.p[1] + it.s[1] + 0.08,
-      it.p[2]
+  // a click opens the lid all the way; the content shows once it's open
+  const openGift = (idx, t) => {
+    const st = openStateRef.current[idx];
+    if (!st) return;
+    if (openedKeys.has(boxes[idx].key)) {
+      onReveal(idx);
+      return;
+    }
+    if (st.opening) return;
+    st.opening = true;
+    st.active = false;
+    st.start = t;
+    st.dur = 0.9;
+    emitGift("giftOpened", idx);
+  };
+
+  // sleigh drop: fall toward the spare spot, bounce, then join the pile
+  const stepDrop = (g, dt) => {
+    const drop = dropRef?.current;
+    const fs = fallStateRef.current;
+    if (drop?.pending) {
+      drop.pending = false;
+      if (landing && g) {
+        const from = g.worldToLocal(drop.from.clone());
+        const [tx, ty, tz] = landing.p;
+        const T = Math.sqrt((2 * Math.max(0.2, from.y - ty)) / DROP_GRAVITY);
+        Object.assign(fs, {
+          active: true,
+          landed: false,
+          bounces: 0,
+          x: from.x,
+          y: from.y,
+          z: from.z,
+          vx: (tx - from.x) / T,
+          vy: 0,
+          vz: (tz - from.z) / T,
+        });
+      }
+    }
+
+    const fall = fallRef.current;
+    if (!fall) return;
+    fall.visible = Boolean(landing) && (fs.active || fs.landed);
+    if (!fs.active || !landing) return;
+
+    const [tx, ty, tz] = landing.p;
+    fs.vy -= DROP_GRAVITY * dt;
+    fs.x += fs.vx * dt;
+    fs.y += fs.vy * dt;
+    fs.z += fs.vz * dt;
+    if (fs.y <= ty && fs.vy < 0) {
+      Object.assign(fs, { x: tx, y: ty, z: tz, vx: 0, vz: 0 });
+      if (fs.bounces === 0) {
+        events?.emit("giftDelivered", {
+          index: boxes.length,
+          position: [tx, ty + landing.s[1], tz],
+          color: palette[boxes.length % palette.length],
+        });
+      }
+      if (fs.bounces < 2) {
+        fs.vy = -fs.vy * 0.35;
+        fs.bounces += 1;
+      } else {
+        fs.active = false;
+        fs.landed = true;
+        onDelivered?.();
+      }
+    }
+    fall.position.set(fs.x, fs.y, fs.z);
+    // tumble on the way down, square up on the bounces
+    fall.rotation.set(
+      fs.bounces ? 0 : fs.y * 1.3,
+      landing.yaw + (fs.bounces ? 0 : fs.y * 2),
+      0
     );
-    const burstColor = palette[idx % palette.length];
-    burstControllerRef?.current?.fire(origin, burstColor);
   };
 
-  useFrame(({ clock }) => {
+  useFrame(({ clock }, dt) => {
     const t = clock.getElapsedTime();
 
     const g = groupRef.current;
@@ -480,20 +1454,26 @@ function Presents({ themeKey, burstControllerRef }) {
       g.position.y = Math.sin(t * 0.8) * 0.01;
       g.rotation.y = Math.sin(t * 0.35) * 0.06;
     }
+    stepDrop(g, Math.min(dt, 0.05));
+
+    if (openRef?.current != null) {
+      pendingClickRef.current = openRef.current;
+      openRef.current = null;
+    }
 
     // click triggered
     if (pendingClickRef.current != null) {
       const idx = pendingClickRef.current;
       pendingClickRef.current = null;
-      triggerGift(idx, t, true);
+      openGift(idx, t);
     }
 
-    // random schedule
+    // random schedule (closed boxes only)
     const sch = schedulerRef.current;
     if (sch.next === 0) sch.next = t + 2.5 + Math.random() * 2.5;
     if (t >= sch.next) {
       const idx = Math.floor(Math.random() * items.length);
-      triggerGift(idx, t, false);
+      if (!openedKeys.has(boxes[idx]?.key)) triggerGift(idx, t, false);
       sch.next = t + 3.2 + Math.random() * 3.0;
     }
 
@@ -503,6 +1483,25 @@ function Presents({ themeKey, burstControllerRef }) {
       const st = openStateRef.current[i];
       if (!pivot || !st) continue;
 
+      if (st.opening) {
+        const p = Math.min(1, (t - st.start) / st.dur);
+        pivot.rotation.x = LID_OPEN * smoothstep(0, 1, p);
+        if (p >= 1) {
+          st.opening = false;
+          onOpened(i);
+        }
+        continue;
+      }
+
+      if (openedKeys.has(boxes[i]?.key)) {
+        pivot.rotation.x = THREE.MathUtils.lerp(
+          pivot.rotation.x,
+          LID_OPEN,
+          0.12
+        );
+        continue;
+      }
+
       if (!st.active) {
         pivot.rotation.x = THREE.MathUtils.lerp(pivot.rotation.x, 0, 0.12);
         continue;
@@ -523,19 +1522,23 @@ function Presents({ themeKey, burstControllerRef }) {
   });
 
   return (
-    <group ref={groupRef}>
+    <group ref={groupRef} name="presents">
       {items.map((it, idx) => {
         const c = palette[idx % palette.length];
         const ribbon = palette[(idx + 1) % palette.length];
 
         const [w, h, d] = it.s;
-        const lidTh = Math.max(0.03, h * 0.18);
+        const lidTh = lidThickness(h);
         const emiss = themeKey === "neon" ? 0.55 : 0.14;
+        const box = boxes[idx];
+        const opened = openedKeys.has(box.key);
 
         return (
           <group
-            key={idx}
+            key={box.key}
+            name={nodeName("present", idx)}
             position={it.p}
+            rotation={[0, it.yaw, 0]}
             onPointerOver={(e) => {
               e.stopPropagation();
               setHovered(true);
@@ -597,436 +1600,304 @@ function Presents({ themeKey, burstControllerRef }) {
                 />
               </mesh>
             </group>
+
+            {opened && (
+              <GiftContent
+                gift={box.gift}
+                geos={itemGeos}
+                color={ribbon}
+                height={h}
+              />
+            )}
+
+            {box.label && (
+              <Html
+                center
+                position={[0, h / 2 + 0.16, 0]}
+                className={`gift-tag ${opened ? "opened" : ""}`}
+              >
+                {box.label}
+              </Html>
+            )}
           </group>
         );
       })}
+
+      {landing && (
+        <group ref={fallRef} visible={false}>
+          <mesh>
+            <boxGeometry args={landing.s} />
+            <meshStandardMaterial
+              color={palette[boxes.length % palette.length]}
+              roughness={0.35}
+              metalness={0.22}
+            />
+          </mesh>
+          <mesh
+            position={[0, landing.s[1] / 2 + lidThickness(landing.s[1]) / 2, 0]}
+          >
+            <boxGeometry
+              args={[
+                landing.s[0] * 1.02,
+                lidThickness(landing.s[1]),
+                landing.s[2] * 1.02,
+              ]}
+            />
+            <meshStandardMaterial
+              color={themeKey === "neon" ? "#101020" : "#ffffff"}
+              roughness={0.32}
+              metalness={0.18}
+            />
+          </mesh>
+        </group>
+      )}
     </group>
   );
 }
 
 /* =========================
-   Santa (click action)
+   Sleigh flight + delivery
 ========================= */
 
-function Santa({ enabled, themeKey, burstControllerRef }) {
-  const rootRef = useRef(null);
-  const armRef = useRef(null);
-
-  const [hovered, setHovered] = useState(false);
-  useCursor(hovered);
-
-  const actionRef = useRef({ requested: false, until: 0 });
-
-  const colors = useMemo(() => {
-    if (themeKey === "neon") {
-      return {
-        suit: "#ff46ff",
-        hat: "#00ffb4",
-        skin: "#ffd7c2",
-        beard: "#ffffff",
-      };
-    }
-    return {
-      suit: "#e63b3b",
-      hat: "#e63b3b",
-      skin: "#ffd7c2",
-      beard: "#ffffff",
-    };
-  }, [themeKey]);
-
-  useFrame(({ clock }) => {
-    if (!enabled) return;
-    const t = clock.getElapsedTime();
-
-    // orbit
-    const r = 1.65;
-    const sp = 0.35;
-    const ang = t * sp;
-
-    const x = Math.cos(ang) * r;
-    const z = Math.sin(ang) * r;
-
-    const root = rootRef.current;
-    if (root) {
-      // click action window
-      if (actionRef.current.requested) {
-        actionRef.current.requested = false;
-        actionRef.current.until = t + 1.2;
-
-        // burst
-        const origin = new THREE.Vector3(x, -0.05, z);
-        burstControllerRef?.current?.fire(
-          origin,
-          themeKey === "neon" ? "#ff46ff" : "#ffd57c"
-        );
-      }
-
-      const active = t < actionRef.current.until;
-      const jump = active ? Math.sin(t * 8.0) * 0.05 : 0;
-
-      root.position.set(x, -0.44 + Math.sin(t * 2.2) * 0.02 + jump, z);
-      root.rotation.y =
-        -ang + Math.PI / 2 + (active ? Math.sin(t * 10.0) * 0.08 : 0);
-      root.scale.setScalar(
-        THREE.MathUtils.lerp(root.scale.x, active ? 1.08 : 1.0, 0.12)
-      );
-    }
-
-    // arm wave (bigger when active)
-    const arm = armRef.current;
-    if (arm) {
-      const active = t < actionRef.current.until;
-      const amp = active ? 0.95 : 0.6;
-      arm.rotation.z = Math.sin(t * (active ? 7.5 : 5.0)) * amp + 0.2;
-      arm.rotation.x = -0.2;
-    }
-  });
-
-  if (!enabled) return null;
+// team in front of the sleigh (local +z is forward); the lead is Rudolph
+const SLEIGH_TEAM = [
+  [0, 0.02, 1.9],
+  [-0.17, 0, 1.45],
+  [0.17, 0, 1.45],
+  [-0.17, 0, 1.0],
+  [0.17, 0, 1.0],
+];
 
+function FlyingReindeer({ position, colors, neon, lead, legsRef }) {
   return (
-    <group
-      ref={rootRef}
-      onPointerOver={(e) => {
-        e.stopPropagation();
-        setHovered(true);
-      }}
-      onPointerOut={(e) => {
-        e.stopPropagation();
-        setHovered(false);
-      }}
-      onPointerDown={(e) => {
-        e.stopPropagation();
-        actionRef.current.requested = true;
-      }}
-    >
-      <mesh position={[0, 0.18, 0]}>
-        <cylinderGeometry args={[0.14, 0.18, 0.32, 18]} />
-        <meshStandardMaterial
-          color={colors.suit}
-          roughness={0.5}
-          metalness={0.1}
-          emissive={colors.suit}
-          emissiveIntensity={themeKey === "neon" ? 0.25 : 0.06}
-        />
-      </mesh>
-
-      <mesh position={[0, 0.44, 0]}>
-        <sphereGeometry args={[0.11, 18, 18]} />
-        <meshStandardMaterial
-          color={colors.skin}
-          roughness={0.6}
-          metalness={0.05}
-        />
-      </mesh>
-
-      <mesh position={[0, 0.39, 0.08]}>
-        <sphereGeometry args={[0.095, 18, 18]} />
-        <meshStandardMaterial
-          color={colors.beard}
-          roughness={0.8}
-          metalness={0.0}
-        />
-      </mesh>
-
-      <mesh position={[0, 0.55, 0]}>
-        <coneGeometry args={[0.12, 0.22, 18]} />
-        <meshStandardMaterial
-          color={colors.hat}
-          roughness={0.45}
-          metalness={0.08}
-          emissive={colors.hat}
-          emissiveIntensity={themeKey === "neon" ? 0.22 : 0.04}
-        />
-      </mesh>
-      <mesh position={[0, 0.66, 0.06]}>
-        <sphereGeometry args={[0.04, 14, 14]} />
-        <meshStandardMaterial color="#ffffff" roughness={0.9} metalness={0.0} />
-      </mesh>
-
-      <mesh position={[-0.06, -0.02, 0]}>
-        <cylinderGeometry args={[0.045, 0.05, 0.22, 12]} />
-        <meshStandardMaterial color="#1b1b22" roughness={0.9} metalness={0.0} />
+    <group position={position}>
+      <mesh scale={[0.08, 0.08, 0.15]}>
+        <sphereGeometry args={[1, 14, 14]} />
+        <meshStandardMaterial color={colors.fur} roughness={0.75} />
       </mesh>
-      <mesh position={[0.06, -0.02, 0]}>
-        <cylinderGeometry args={[0.045, 0.05, 0.22, 12]} />
-        <meshStandardMaterial color="#1b1b22" roughness={0.9} metalness={0.0} />
+      <mesh position={[0, 0.1, 0.15]}>
+        <sphereGeometry args={[0.06, 14, 14]} />
+        <meshStandardMaterial color={colors.fur} roughness={0.72} />
       </mesh>
-
-      <group ref={armRef} position={[0.18, 0.28, 0]}>
-        <mesh position={[0.06, 0, 0]}>
-          <cylinderGeometry args={[0.04, 0.04, 0.22, 12]} />
-          <meshStandardMaterial
-            color={colors.suit}
-            roughness={0.55}
-            metalness={0.08}
-          />
-        </mesh>
-        <mesh position={[0.12, -0.11, 0]}>
-          <sphereGeometry args={[0.045, 14, 14]} />
+      {[-1, 1].map((side) => (
+        <mesh
+          key={side}
+          position={[side * 0.035, 0.18, 0.13]}
+          rotation={[0, 0, side * -0.5]}
+        >
+          <cylinderGeometry args={[0.008, 0.01, 0.1, 6]} />
           <meshStandardMaterial
-            color="#ffffff"
-            roughness={0.9}
-            metalness={0.0}
+            color={colors.horn}
+            emissive={colors.horn}
+            emissiveIntensity={neon ? 0.6 : 0}
           />
         </mesh>
-      </group>
-
-      <mesh position={[-0.18, 0.28, 0]} rotation={[0, 0, -0.25]}>
-        <cylinderGeometry args={[0.04, 0.04, 0.22, 12]} />
+      ))}
+      <mesh position={[0, 0.09, 0.21]}>
+        <sphereGeometry args={[lead ? 0.024 : 0.015, 12, 12]} />
         <meshStandardMaterial
-          color={colors.suit}
-          roughness={0.55}
-          metalness={0.08}
+          color={lead ? colors.nose : "#1b1b22"}
+          emissive={lead ? colors.nose : "#000000"}
+          emissiveIntensity={lead ? 2 : 0}
         />
       </mesh>
+      <group ref={legsRef}>
+        {[
+          [-0.04, 0.08],
+          [0.04, 0.08],
+          [-0.04, -0.08],
+          [0.04, -0.08],
+        ].map(([x, z], i) => (
+          <mesh key={i} position={[x, -0.1, z]}>
+            <cylinderGeometry args={[0.012, 0.014, 0.12, 6]} />
+            <meshStandardMaterial color="#1b1b22" roughness={0.9} />
+          </mesh>
+        ))}
+      </group>
     </group>
   );
 }
 
-/* =========================
-   Rudolph (click action + occasional look)
-========================= */
-
-function Rudolph({ enabled, themeKey, burstControllerRef }) {
+// Flies the editable waypoint path on a timer or when flightRef.requested
+// is set, and hands a present to the pile through dropRef at the drop point
+function Sleigh({ config, tokens, themeKey, flightRef, dropRef, canDeliver }) {
   const rootRef = useRef(null);
-  const headRef = useRef(null);
-  const noseMatRef = useRef(null);
-
-  const [hovered, setHovered] = useState(false);
-  useCursor(hovered);
+  const bodyRef = useRef(null);
+  const legsRef = useRef([]);
+  const bankRef = useRef(0);
 
-  const clickRef = useRef({ requested: false, until: 0 });
-  const lookRef = useRef({ next: 0, start: 0, end: 0 });
+  const { curve, dropU } = useMemo(
+    () => buildFlightPath(config.waypoints, config.drop),
+    [config.waypoints, config.drop]
+  );
+  const tmp = useMemo(
+    () => ({
+      pos: new THREE.Vector3(),
+      tan: new THREE.Vector3(),
+      ahead: new THREE.Vector3(),
+      look: new THREE.Vector3(),
+    }),
+    []
+  );
 
-  const colors = useMemo(() => {
-    if (themeKey === "neon")
-      return { fur: "#7a4dff", horn: "#00ffb4", nose: "#ff46ff" };
-    return { fur: "#8b5a3c", horn: "#d8c7b7", nose: "#ff3b3b" };
-  }, [themeKey]);
+  const suit = characterColors(CHARACTERS.santa, themeKey);
+  const fur = characterColors(CHARACTERS.rudolph, themeKey);
+  const neon = themeKey === "neon";
+  const trim = tokens.star;
+  const sack = tokens.palette[1 % tokens.palette.length];
 
   useFrame(({ clock }) => {
-    if (!enabled) return;
-    const t = clock.getElapsedTime();
-
-    // click action window (dash + nose super glow)
-    if (clickRef.current.requested) {
-      clickRef.current.requested = false;
-      clickRef.current.until = t + 1.4;
-    }
-    const active = t < clickRef.current.until;
-
-    // orbit (dash when active)
-    const r = active ? 2.55 : 2.25;
-    const sp = active ? 0.55 : 0.28;
-    const ang = t * sp + 1.2;
-
-    const x = Math.cos(ang) * r;
-    const z = Math.sin(ang) * r;
-
     const root = rootRef.current;
-    if (root) {
-      root.position.set(x, -0.46 + Math.sin(t * 2.0) * 0.015, z);
-      root.rotation.y = -ang + Math.PI / 2;
-      root.rotation.x = Math.sin(t * 3.2) * 0.03;
-      root.scale.setScalar(
-        THREE.MathUtils.lerp(root.scale.x, active ? 1.08 : 1.0, 0.12)
-      );
-    }
-
-    // nose pulse (+ super glow when active)
-    const nm = noseMatRef.current;
-    if (nm) {
-      const basePulse =
-        0.7 +
-        0.5 * (0.5 + 0.5 * Math.sin(t * (themeKey === "neon" ? 6.0 : 4.2)));
-      const boost = active ? 2.2 : 1.0;
-      nm.emissiveIntensity =
-        (themeKey === "neon" ? 2.2 : 1.35) * basePulse * boost;
-    }
-
-    // burst on click start (approx: when active just began -> use t near until)
-    if (active && Math.abs(clickRef.current.until - t - 1.4) < 0.02) {
-      burstControllerRef?.current?.fire(
-        new THREE.Vector3(x, -0.05, z),
-        themeKey === "neon" ? "#00ffb4" : "#ff3b3b"
-      );
+    if (!root) return;
+    const t = clock.getElapsedTime();
+    const f = flightRef.current;
+
+    if (!f.active) {
+      if (f.next === 0) f.next = t + 4;
+      const due = config.interval > 0 && t >= f.next;
+      if (!f.requested && !due) {
+        root.visible = false;
+        return;
+      }
+      f.requested = false;
+      f.active = true;
+      f.start = t;
+      f.dropped = false;
     }
 
-    // occasional "look at tree"
-    const lk = lookRef.current;
-    if (lk.next === 0) lk.next = t + 2 + Math.random() * 3;
-    if (t >= lk.next) {
-      const dur = 0.9 + Math.random() * 1.2;
-      lk.start = t;
-      lk.end = t + dur;
-      lk.next = t + 3.0 + Math.random() * 4.5;
+    const u = (t - f.start) / config.duration;
+    if (u >= 1) {
+      f.active = false;
+      f.next = t + config.interval;
+      root.visible = false;
+      return;
     }
-
-    const head = headRef.current;
-    if (head && root) {
-      const activeLook = t < lk.end;
-      let w = 0;
-      if (activeLook) {
-        const inT = smoothstep(lk.start, lk.start + 0.18, t);
-        const outT = 1 - smoothstep(lk.end - 0.18, lk.end, t);
-        w = inT * outT;
-      }
-
-      // during click action, force stronger look toward tree
-      if (active) w = Math.max(w, 0.8);
-
-      const originWorld = new THREE.Vector3(0, 0.9, 0);
-      const headWorld = new THREE.Vector3();
-      head.getWorldPosition(headWorld);
-
-      const dirWorld = originWorld.clone().sub(headWorld).normalize();
-      const invRootQ = root.getWorldQuaternion(new THREE.Quaternion()).invert();
-      const dirLocal = dirWorld.clone().applyQuaternion(invRootQ);
-
-      const desiredYaw = Math.atan2(dirLocal.x, dirLocal.z);
-      const desiredPitch = -Math.atan2(
-        dirLocal.y,
-        Math.sqrt(dirLocal.x * dirLocal.x + dirLocal.z * dirLocal.z)
-      );
-
-      const yaw = THREE.MathUtils.clamp(desiredYaw, -0.9, 0.9);
-      const pitch = THREE.MathUtils.clamp(desiredPitch, -0.35, 0.25);
-
-      const baseYaw = Math.sin(t * 2.2) * 0.05;
-      const basePitch = Math.sin(t * 1.9) * 0.03;
-
-      const targetYaw = baseYaw + yaw * w;
-      const targetPitch = basePitch + pitch * w;
-
-      head.rotation.y = THREE.MathUtils.lerp(head.rotation.y, targetYaw, 0.12);
-      head.rotation.x = THREE.MathUtils.lerp(
-        head.rotation.x,
-        targetPitch,
-        0.12
-      );
+    root.visible = true;
+
+    const { pos, tan, ahead, look } = tmp;
+    curve.getPointAt(u, pos);
+    curve.getTangentAt(u, tan);
+    curve.getTangentAt(Math.min(1, u + 0.03), ahead);
+    root.position.copy(pos);
+    root.lookAt(look.copy(pos).add(tan));
+
+    // bank into turns, bob a little
+    const turn = tan.x * ahead.z - tan.z * ahead.x;
+    bankRef.current = THREE.MathUtils.lerp(
+      bankRef.current,
+      THREE.MathUtils.clamp(turn * 6, -0.45, 0.45),
+      0.08
+    );
+    root.rotateZ(bankRef.current);
+    if (bodyRef.current) bodyRef.current.position.y = Math.sin(t * 3) * 0.03;
+
+    legsRef.current.forEach((legs, i) => {
+      if (legs) legs.rotation.x = Math.sin(t * 11 + i * 0.9) * 0.45;
+    });
+
+    if (!f.dropped && u >= dropU) {
+      f.dropped = true;
+      if (canDeliver)
+        dropRef.current = {
+          pending: true,
+          from: root.localToWorld(new THREE.Vector3(0, 0.05, -0.2)),
+        };
     }
   });
 
-  if (!enabled) return null;
-
   return (
-    <group
-      ref={rootRef}
-      onPointerOver={(e) => {
-        e.stopPropagation();
-        setHovered(true);
-      }}
-      onPointerOut={(e) => {
-        e.stopPropagation();
-        setHovered(false);
-      }}
-      onPointerDown={(e) => {
-        e.stopPropagation();
-        clickRef.current.requested = true;
-      }}
-    >
-      {/* body */}
-      <mesh position={[0, 0.18, 0]}>
-        <sphereGeometry args={[0.18, 18, 18]} />
-        <meshStandardMaterial
-          color={colors.fur}
-          roughness={0.75}
-          metalness={0.05}
-        />
-      </mesh>
-      <mesh position={[-0.18, 0.18, 0]}>
-        <sphereGeometry args={[0.14, 18, 18]} />
-        <meshStandardMaterial
-          color={colors.fur}
-          roughness={0.78}
-          metalness={0.04}
-        />
-      </mesh>
-
-      {/* legs */}
-      {[
-        [-0.08, -0.05, 0.1],
-        [0.05, -0.05, 0.1],
-        [-0.14, -0.05, -0.1],
-        [-0.01, -0.05, -0.1],
-      ].map((p, i) => (
-        <mesh key={i} position={p}>
-          <cylinderGeometry args={[0.03, 0.035, 0.28, 12]} />
+    <group ref={rootRef} visible={false}>
+      <group ref={bodyRef} scale={0.8}>
+        {/* sleigh */}
+        <mesh position={[0, 0.12, 0]}>
+          <boxGeometry args={[0.46, 0.2, 0.66]} />
           <meshStandardMaterial
-            color="#1b1b22"
-            roughness={0.9}
-            metalness={0.0}
+            color={suit.suit}
+            roughness={0.4}
+            metalness={0.25}
+            emissive={suit.suit}
+            emissiveIntensity={neon ? 0.35 : 0.05}
           />
         </mesh>
-      ))}
-
-      {/* head group */}
-      <group ref={headRef} position={[0.28, 0.34, 0]}>
-        <mesh position={[-0.06, -0.08, 0]}>
-          <sphereGeometry args={[0.11, 18, 18]} />
+        <mesh position={[0, 0.3, -0.3]}>
+          <boxGeometry args={[0.46, 0.26, 0.07]} />
+          <meshStandardMaterial
+            color={suit.suit}
+            roughness={0.4}
+            metalness={0.25}
+          />
+        </mesh>
+        <mesh position={[0, 0.225, 0]}>
+          <boxGeometry args={[0.48, 0.025, 0.68]} />
           <meshStandardMaterial
-            color={colors.fur}
-            roughness={0.72}
-            metalness={0.05}
+            color={trim}
+            roughness={0.25}
+            metalness={0.7}
+            emissive={trim}
+            emissiveIntensity={neon ? 0.6 : 0.12}
           />
         </mesh>
+        {[-1, 1].map((side) => (
+          <mesh key={side} position={[side * 0.2, -0.04, 0.05]}>
+            <boxGeometry args={[0.03, 0.03, 0.86]} />
+            <meshStandardMaterial
+              color={trim}
+              roughness={0.25}
+              metalness={0.8}
+              emissive={trim}
+              emissiveIntensity={neon ? 0.8 : 0.1}
+            />
+          </mesh>
+        ))}
 
-        <mesh position={[0.08, -0.02, 0]}>
-          <sphereGeometry args={[0.12, 18, 18]} />
+        {/* Santa + sack */}
+        <mesh position={[0, 0.34, -0.08]}>
+          <cylinderGeometry args={[0.1, 0.13, 0.24, 14]} />
+          <meshStandardMaterial color={suit.suit} roughness={0.5} />
+        </mesh>
+        <mesh position={[0, 0.53, -0.08]}>
+          <sphereGeometry args={[0.08, 14, 14]} />
+          <meshStandardMaterial color={suit.skin} roughness={0.6} />
+        </mesh>
+        <mesh position={[0, 0.49, -0.02]}>
+          <sphereGeometry args={[0.07, 14, 14]} />
+          <meshStandardMaterial color={suit.beard} roughness={0.8} />
+        </mesh>
+        <mesh position={[0, 0.64, -0.08]}>
+          <coneGeometry args={[0.085, 0.16, 14]} />
           <meshStandardMaterial
-            color={colors.fur}
-            roughness={0.7}
-            metalness={0.05}
+            color={suit.hat}
+            roughness={0.45}
+            emissive={suit.hat}
+            emissiveIntensity={neon ? 0.3 : 0.04}
           />
         </mesh>
+        <mesh position={[0.1, 0.36, -0.24]} scale={[0.14, 0.16, 0.12]}>
+          <sphereGeometry args={[1, 14, 14]} />
+          <meshStandardMaterial color={sack} roughness={0.85} />
+        </mesh>
 
-        <mesh position={[0.22, -0.04, 0]}>
-          <sphereGeometry args={[0.04, 16, 16]} />
+        {/* reins */}
+        <mesh position={[0, 0.1, 1.1]} rotation={[Math.PI / 2, 0, 0]}>
+          <cylinderGeometry args={[0.006, 0.006, 1.5, 4]} />
           <meshStandardMaterial
-            ref={noseMatRef}
-            color={colors.nose}
-            emissive={colors.nose}
-            emissiveIntensity={1.2}
-            roughness={0.25}
-            metalness={0.2}
+            color={tokens.light}
+            emissive={tokens.light}
+            emissiveIntensity={0.6}
           />
         </mesh>
 
-        <group position={[0.05, 0.13, 0]}>
-          <mesh rotation={[0, 0, 0.25]} position={[0.02, 0, 0.06]}>
-            <coneGeometry args={[0.035, 0.18, 10]} />
-            <meshStandardMaterial
-              color={colors.horn}
-              roughness={0.65}
-              metalness={0.05}
-              emissive={colors.horn}
-              emissiveIntensity={themeKey === "neon" ? 0.35 : 0.05}
-            />
-          </mesh>
-          <mesh rotation={[0, 0, -0.25]} position={[0.02, 0, -0.06]}>
-            <coneGeometry args={[0.035, 0.18, 10]} />
-            <meshStandardMaterial
-              color={colors.horn}
-              roughness={0.65}
-              metalness={0.05}
-              emissive={colors.horn}
-              emissiveIntensity={themeKey === "neon" ? 0.35 : 0.05}
-            />
-          </mesh>
-        </group>
+        {SLEIGH_TEAM.map((p, i) => (
+          <FlyingReindeer
+            key={i}
+            position={p}
+            colors={fur}
+            neon={neon}
+            lead={i === 0}
+            legsRef={(el) => (legsRef.current[i] = el)}
+          />
+        ))}
       </group>
-
-      <mesh position={[-0.32, 0.28, 0]}>
-        <sphereGeometry args={[0.05, 14, 14]} />
-        <meshStandardMaterial
-          color="#ffffff"
-          roughness={0.9}
-          metalness={0.0}
-          transparent
-          opacity={0.85}
-        />
-      </mesh>
     </group>
   );
 }
@@ -1035,8 +1906,33 @@ function Rudolph({ enabled, themeKey, burstControllerRef }) {
    Tree
 ========================= */
 
-function TreeModel({ themeKey, tokens, seed, ornamentCount }) {
+function TreeModel({
+  themeKey,
+  tokens,
+  seed,
+  ornamentCount,
+  treeStyle,
+  layout,
+  decor,
+  lights,
+  audioRef,
+  snowCover,
+  segments,
+  crowd,
+  events,
+  models,
+}) {
   const treeGroupRef = useRef(null);
+  const tierMeshesRef = useRef([]);
+  const dragRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+
+  const shape = useMemo(() => generateTree(seed, treeStyle), [seed, treeStyle]);
+  const tierGeos = useMemo(() => shape.buildGeometries(), [shape]);
+  useEffect(() => () => tierGeos.forEach((g) => g.dispose()), [tierGeos]);
+  useEffect(() => {
+    if (crowd) crowd.trunk.r = shape.trunk.radiusBottom;
+  }, [crowd, shape]);
 
   useFrame(({ clock }) => {
     const g = treeGroupRef.current;
@@ -1056,20 +1952,127 @@ function TreeModel({ themeKey, tokens, seed, ornamentCount }) {
     g.rotation.y = ry;
   });
 
+  const baseOrnaments = useMemo(
+    () =>
+      buildOrnaments(
+        seed,
+        ornamentCount,
+        tokens.palette,
+        shape,
+        tokens.ornaments
+      ),
+    [seed, ornamentCount, tokens.palette, shape, tokens.ornaments]
+  );
   const ornaments = useMemo(
-    () => buildOrnaments(seed, ornamentCount, tokens.palette),
-    [seed, ornamentCount, tokens.palette]
+    () => mergeLayout(baseOrnaments, layout, shape),
+    [baseOrnaments, layout, shape]
+  );
+  // the dragged ornament is drawn by DragPreview instead
+  const visibleOrnaments = useMemo(
+    () =>
+      dragging ? ornaments.filter((o) => o.id !== dragging.id) : ornaments,
+    [ornaments, dragging]
+  );
+  const selected = useMemo(
+    () =>
+      decor.active && !dragging
+        ? ornaments.find((o) => o.id === decor.selectedId)
+        : null,
+    [ornaments, decor.active, decor.selectedId, dragging]
+  );
+  const ornamentGeos = useMemo(
+    () => buildOrnamentGeometries(segments),
+    [segments]
+  );
+  useEffect(
+    () => () => disposeOrnamentGeometries(ornamentGeos),
+    [ornamentGeos]
   );
 
   const treeMat = useMemo(
     () =>
-      new THREE.MeshStandardMaterial({
-        color: tokens.tree,
-        roughness: 0.6,
-        metalness: 0.05,
-      }),
-    [tokens.tree]
+      addSnowCover(
+        new THREE.MeshStandardMaterial({
+          color: tokens.tree,
+          roughness: 0.6,
+          metalness: 0.05,
+          wireframe: shape.wireframe,
+          emissive: shape.wireframe ? tokens.tree : "#000000",
+          emissiveIntensity: shape.wireframe ? 0.9 : 0,
+        }),
+        snowCover
+      ),
+    [tokens.tree, shape.wireframe, snowCover]
   );
+  const { dispatch, onSelect, controlsRef } = decor;
+
+  const onTreeClick = (e) => {
+    // ignore clicks that were really orbit drags
+    if (e.delta > 4) return;
+    e.stopPropagation();
+    const { y, angle } = treeSpot(treeGroupRef, shape, e.point);
+    const id = nextHandId(layout);
+    dispatch({
+      type: "add",
+      ornament: {
+        id,
+        kind: decor.tool.kind,
+        color: decor.tool.color ?? tokens.palette[0],
+        size: HAND_ORNAMENT_SIZE,
+        y,
+        angle,
+        tilt: 0,
+      },
+    });
+    onSelect(id);
+  };
+
+  const onOrnamentDown = (o, e) => {
+    if (!o || e.button !== 0) return;
+    e.stopPropagation();
+    onSelect(o.id);
+    dragRef.current = { y: o.y, angle: o.angle, moved: false };
+    if (controlsRef.current) controlsRef.current.enabled = false;
+    setDragging(o);
+  };
+
+  // outside decorating an ornament click is only reported
+  const onOrnamentClick = (o, e) => {
+    if (!o || e.button !== 0) return;
+    e.stopPropagation();
+    events?.emit("ornamentClicked", {
+      id: o.id,
+      kind: o.kind,
+      color: o.color,
+      position: e.point.toArray(),
+    });
+  };
+
+  const onOrnamentContext = (o, e) => {
+    if (!o) return;
+    e.stopPropagation();
+    e.nativeEvent.preventDefault();
+    dispatch({ type: "remove", id: o.id });
+    onSelect(null);
+  };
+
+  useEffect(() => {
+    if (!dragging) return;
+    const onUp = () => {
+      const d = dragRef.current;
+      if (controlsRef.current) controlsRef.current.enabled = true;
+      if (d?.moved) {
+        // a moved seed ornament comes back under a new hand id
+        if (typeof dragging.id !== "string") onSelect(nextHandId(layout));
+        dispatch({ type: "move", ornament: dragging, y: d.y, angle: d.angle });
+      }
+      dragRef.current = null;
+      setDragging(null);
+    };
+    window.addEventListener("pointerup", onUp);
+    return () => window.removeEventListener("pointerup", onUp);
+  }, [dragging, layout, dispatch, onSelect, controlsRef]);
+
   const trunkMat = useMemo(
     () =>
       new THREE.MeshStandardMaterial({
@@ -1092,43 +2095,90 @@ function TreeModel({ themeKey, tokens, seed, ornamentCount }) {
     [tokens.star, themeKey]
   );
 
-  return (
-    <group ref={treeGroupRef} position={[0, -0.25, 0]}>
-      <mesh position={[0, 1.55, 0]} material={treeMat}>
-        <coneGeometry args={[0.45, 0.85, 44, 1]} />
-      </mesh>
-      <mesh position={[0, 1.1, 0]} material={treeMat}>
-        <coneGeometry args={[0.65, 1.0, 48, 1]} />
-      </mesh>
-      <mesh position={[0, 0.55, 0]} material={treeMat}>
-        <coneGeometry args={[0.9, 1.2, 52, 1]} />
-      </mesh>
+  const topper = useMemo(
+    () => models.topper && placeModel(models.topper),
+    [models.topper]
+  );
 
-      <mesh position={[0, -0.05, 0]} material={trunkMat}>
-        <cylinderGeometry args={[0.18, 0.22, 0.5, 30]} />
-      </mesh>
+  // the star pulses with the bass while music plays
+  useFrame(() => {
+    const a = audioRef?.current;
+    const base = themeKey === "neon" ? 1.1 : 0.85;
+    starMat.emissiveIntensity = a?.active
+      ? base * (1 + a.bass * 1.6 + a.beat * 2.2)
+      : base;
+  });
+
+  return (
+    <group
+      ref={treeGroupRef}
+      name="tree"
+      position={[0, -0.25, 0]}
+      userData={{ ornaments: visibleOrnaments, seed, style: treeStyle }}
+    >
+      {tierGeos.map((geo, i) => (
+        <mesh
+          key={i}
+          name={`tier_${i}`}
+          ref={(el) => (tierMeshesRef.current[i] = el)}
+          geometry={geo}
+          material={treeMat}
+          onClick={decor.active ? onTreeClick : undefined}
+        />
+      ))}
 
-      <mesh position={[0, 2.05, 0]} material={starMat}>
-        <octahedronGeometry args={[0.12, 0]} />
+      <mesh name="trunk" position={[0, shape.trunk.y, 0]} material={trunkMat}>
+        <cylinderGeometry
+          args={[
+            shape.trunk.radiusTop,
+            shape.trunk.radiusBottom,
+            shape.trunk.height,
+            30,
+          ]}
+        />
       </mesh>
 
-      {ornaments.map((o) => (
-        <mesh key={o.id} position={[o.x, o.y, o.z]}>
-          <sphereGeometry args={[o.size, 18, 18]} />
-          <meshStandardMaterial
-            color={o.color}
-            roughness={0.25}
-            metalness={0.35}
-            emissive={o.color}
-            emissiveIntensity={themeKey === "neon" ? 0.45 : 0.22}
-          />
+      {topper ? (
+        // stands where the octahedron's lower tip was
+        <primitive
+          name="topper"
+          object={topper}
+          position={[0, shape.starY - 0.12, 0]}
+        />
+      ) : (
+        <mesh name="star" position={[0, shape.starY, 0]} material={starMat}>
+          <octahedronGeometry args={[0.12, 0]} />
         </mesh>
-      ))}
+      )}
 
-      <ChaseLights
+      <OrnamentInstances
+        ornaments={visibleOrnaments}
+        geos={ornamentGeos}
+        models={models.ornaments}
         themeKey={themeKey}
+        onPointerDown={decor.active ? onOrnamentDown : onOrnamentClick}
+        onContextMenu={decor.active ? onOrnamentContext : undefined}
+      />
+
+      {dragging && (
+        <DragPreview
+          ornament={dragging}
+          geos={ornamentGeos}
+          model={models.ornaments[dragging.kind]}
+          shape={shape}
+          groupRef={treeGroupRef}
+          meshesRef={tierMeshesRef}
+          dragRef={dragRef}
+        />
+      )}
+      {selected && <SelectionMarker ornament={selected} color={tokens.light} />}
+
+      <ChaseLights
         tokens={tokens}
-        count={themeKey === "lux" ? 54 : 44}
+        shape={shape}
+        lights={lights}
+        audioRef={audioRef}
+        segments={segments}
       />
 
       {/* floor disk */}
@@ -1142,6 +2192,7 @@ function TreeModel({ themeKey, tokens, seed, ornamentCount }) {
           opacity={0.92}
         />
       </mesh>
+      <SnowFloor cover={snowCover} />
     </group>
   );
 }
@@ -1151,11 +2202,13 @@ function TreeModel({ themeKey, tokens, seed, ornamentCount }) {
 ========================= */
 
 function CameraRig({
-  themeKey,
+  preset,
   controlsRef,
   autoRotate,
   setAutoRotate,
   dragLockRef,
+  autoRotateOverrideRef,
+  turntableRef,
 }) {
   const { camera } = useThree();
 
@@ -1167,20 +2220,41 @@ function CameraRig({
   });
 
   useEffect(() => {
-    const p = CAMERA_PRESETS[themeKey] ?? CAMERA_PRESETS.minimal;
+    const p = preset ?? CAMERA_PRESETS.minimal;
     desired.current.pos.set(p.pos[0], p.pos[1], p.pos[2]);
     desired.current.target.set(p.target[0], p.target[1], p.target[2]);
     desired.current.fov = p.fov;
     desired.current.autoRotateSpeed = p.autoRotateSpeed ?? 0.8;
 
+    // a restored link wins over the preset once
+    const override = autoRotateOverrideRef?.current;
+    if (typeof override === "boolean") {
+      autoRotateOverrideRef.current = null;
+      setAutoRotate(override);
+      return;
+    }
+
     if (!dragLockRef.current && typeof p.autoRotate === "boolean")
       setAutoRotate(p.autoRotate);
-  }, [themeKey, setAutoRotate, dragLockRef]);
+  }, [preset, setAutoRotate, dragLockRef, autoRotateOverrideRef]);
 
   useFrame(() => {
     const ctl = controlsRef.current;
     if (!ctl) return;
 
+    // recording turntable: the camera circles the target by tt.angle
+    const tt = turntableRef?.current;
+    if (tt?.active) {
+      tt.offset ??= camera.position.clone().sub(ctl.target);
+      camera.position
+        .copy(tt.offset)
+        .applyAxisAngle(THREE.Object3D.DEFAULT_UP, tt.angle)
+        .add(ctl.target);
+      ctl.autoRotate = false;
+      ctl.update();
+      return;
+    }
+
     if (!dragLockRef.current) {
       camera.position.lerp(desired.current.pos, 0.07);
       ctl.target.lerp(desired.current.target, 0.09);
@@ -1201,25 +2275,401 @@ function CameraRig({
    Main
 ========================= */
 
-export default function ChristmasTree3D() {
-  const [theme, setTheme] = useState("minimal");
-  const [seed, setSeed] = useState(20251225);
+// Embedding props (all optional):
+//   defaultScene   initial theme / seed / ornamentCount / treeStyle /
+//                  show* toggles / autoRotate (the URL still wins)
+//   scene          the same fields, controlled; onSceneChange(patch)
+//                  reports every change the scene wants to make
+//   header         false hides the built-in header; the scene then fills
+//                  its container (a backdrop)
+//   syncUrl        false keeps the scene out of the page URL/history
+//   onEvent, onGiftOpened, ... (sceneEvents.js), events: a shared bus
+// The ref handle is listed at useImperativeHandle below.
+export default forwardRef(function ChristmasTree3D(props, ref) {
+  const { header = true, syncUrl = true } = props;
+  const ownEvents = useMemo(createSceneEvents, []);
+  const events = props.events ?? ownEvents;
+  const handlersRef = useRef(props);
+  useEffect(() => {
+    handlersRef.current = props;
+  });
+  useEffect(
+    () =>
+      events.on("*", (e) => {
+        handlersRef.current.onEvent?.(e);
+        handlersRef.current[eventPropName(e.type)]?.(e);
+      }),
+    [events]
+  );
+
+  const [customThemes, setCustomThemes] = useState(() =>
+    typeof window === "undefined" ? [] : loadCustomThemes(BASE_THEME_KEYS)
+  );
+  const [defaults] = useState(() => ({
+    ...DEFAULT_SCENE,
+    ...props.defaultScene,
+  }));
+  const [initialScene] = useState(() =>
+    readInitialScene(customThemes, defaults, syncUrl)
+  );
+  const host = { props, initialScene, handlersRef };
+
+  const [theme, setTheme] = useSceneField(host, "theme");
+  const [seed, setSeed] = useSceneField(host, "seed");
+
+  const [autoRotate, setAutoRotate] = useSceneField(host, "autoRotate");
+  const [ornamentCount, setOrnamentCount] = useSceneField(
+    host,
+    "ornamentCount"
+  );
+  const [treeStyle, setTreeStyle] = useSceneField(host, "treeStyle");
+
+  const [showSanta, setShowSanta] = useSceneField(host, "showSanta");
+  const [showRudolph, setShowRudolph] = useSceneField(host, "showRudolph");
+  const [showSnowman, setShowSnowman] = useSceneField(host, "showSnowman");
+  const [showElves, setShowElves] = useSceneField(host, "showElves");
+  const [showSnow, setShowSnow] = useSceneField(host, "showSnow");
+  const [showPresents, setShowPresents] = useSceneField(host, "showPresents");
+
+  const [linkCopied, setLinkCopied] = useState(false);
 
-  const [autoRotate, setAutoRotate] = useState(
-    CAMERA_PRESETS.minimal.autoRotate
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [draftTheme, setDraftTheme] = useState(null);
+
+  const [qualityMode, setQualityMode] = useState(() =>
+    typeof window === "undefined" ? "auto" : loadQualityMode()
+  );
+  const [autoTier, setAutoTier] = useState("high");
+
+  const [giftState, setGiftState] = useState(() =>
+    typeof window === "undefined" ? initialGiftState() : loadGifts()
+  );
+  const [giftsOpen, setGiftsOpen] = useState(false);
+  const [revealIdx, setRevealIdx] = useState(null);
+
+  const [sleigh, setSleigh] = useState(() =>
+    typeof window === "undefined" ? normalizeSleigh(null) : loadSleigh()
+  );
+  const [sleighOpen, setSleighOpen] = useState(false);
+  const [delivered, setDelivered] = useState(0);
+  // shared with the frame loop: flight timing and the present in the air
+  const flightRef = useRef({
+    active: false,
+    requested: false,
+    next: 0,
+    start: 0,
+    dropped: false,
+  });
+  const dropRef = useRef(null);
+  // characters, presents and the trunk share the floor (steering.js)
+  const crowd = useMemo(createCrowd, []);
+  const launchSleigh = useCallback(() => {
+    flightRef.current.requested = true;
+  }, []);
+
+  const [lightsOpen, setLightsOpen] = useState(false);
+  const [captureOpen, setCaptureOpen] = useState(false);
+  const [recordOpen, setRecordOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // imported .glb/.gltf models (customModels.js), kept for the tab's session
+  const [models, setModels] = useState(() =>
+    typeof window === "undefined" ? [] : loadSessionModels()
+  );
+  const [modelsOpen, setModelsOpen] = useState(false);
+  const [modelError, setModelError] = useState("");
+  const [dropping, setDropping] = useState(false);
+  const modelScenes = useModelScenes(models, setModelError);
+  const placedModels = useMemo(
+    () => assignModels(models, modelScenes),
+    [models, modelScenes]
+  );
+  const modelCharacters = useMemo(
+    () =>
+      placedModels.characters.map(({ entry, model }, i) =>
+        modelCharacter(entry, model, i)
+      ),
+    [placedModels]
+  );
+  // 0..1 while recording; the Canvas then runs frameloop "never" and the
+  // recorder advances the clock itself
+  const [recording, setRecording] = useState(null);
+  const turntableRef = useRef({ active: false, angle: 0, offset: null });
+  const resumeAtRef = useRef(null);
+  const [audioOpen, setAudioOpen] = useState(false);
+  const [audioSource, setAudioSource] = useState(null);
+  const [sensitivity, setSensitivity] = useState(DEFAULT_SENSITIVITY);
+  const audioRef = useRef(makeAudioState());
+  const [lightOverride, setLightOverride] = useState({});
+
+  const [decorating, setDecorating] = useState(false);
+  const [decorTool, setDecorTool] = useState({ kind: "sphere", color: null });
+  const [selectedId, setSelectedId] = useState(null);
+
+  const savedTheme = useMemo(
+    () => resolveTheme(theme, customThemes),
+    [theme, customThemes]
+  );
+  // while the editor is open the scene previews the draft
+  const activeTheme = draftTheme ?? savedTheme;
+  const tokens = activeTheme.tokens;
+  const styleKey = activeTheme.base;
+  const cameraPreset = activeTheme.camera;
+  const snowing = showSnow && (styleKey === "snow" || styleKey === "minimal");
+
+  const [ownEnvMode, setEnvMode] = useState(() =>
+    typeof window === "undefined" ? "auto" : loadEnvMode()
+  );
+  // a kiosk host can pin it with environment="offline"
+  const envMode = ENV_MODES[props.environment] ? props.environment : ownEnvMode;
+  useEffect(() => saveEnvMode(ownEnvMode), [ownEnvMode]);
+
+  const qualityTier = qualityMode === "auto" ? autoTier : qualityMode;
+  const quality = QUALITY_TIERS[qualityTier];
+  const onQualityStep = useCallback(
+    (step) => setAutoTier((t) => stepTier(t, step)),
+    []
   );
-  const [ornamentCount, setOrnamentCount] = useState(36);
+  useEffect(() => saveQualityMode(qualityMode), [qualityMode]);
 
-  const [showSanta, setShowSanta] = useState(true);
-  const [showRudolph, setShowRudolph] = useState(true);
-  const [showSnow, setShowSnow] = useState(true);
-  const [showPresents, setShowPresents] = useState(true);
+  // accumulated snow (0..1), read by shaders as a uniform
+  const snowCover = useMemo(() => ({ value: 0 }), []);
+  useEffect(() => {
+    snowCover.value = 0;
+  }, [theme, snowCover]);
+
+  // theme default pattern, then whatever the light panel changed
+  const lights = useMemo(
+    () => ({ ...DEFAULT_LIGHTS, ...tokens.lights, ...lightOverride }),
+    [tokens.lights, lightOverride]
+  );
 
-  const tokens = THEME_TOKENS[theme];
+  // hand decorations are stored per seed-generated base
+  const decorBase = useMemo(
+    () => ({ seed, treeStyle, ornamentCount }),
+    [seed, treeStyle, ornamentCount]
+  );
+  const [decor, dispatchDecor] = useReducer(decorReducer, decorBase, (b) =>
+    initHistory(typeof window === "undefined" ? undefined : loadLayout(b))
+  );
+  const loadedBaseRef = useRef(decorBase);
+
+  const themeTabs = useMemo(
+    () => [
+      ...THEMES,
+      ...customThemes.map(({ key, label }) => ({ key, label })),
+    ],
+    [customThemes]
+  );
 
   const controlsRef = useRef(null);
   const dragLockRef = useRef(false);
-  const burstControllerRef = useRef(null);
+  const burstsRef = useRef(null);
+  const giftOpenRef = useRef(null);
+  const threeRef = useRef(null);
+  const autoRotateOverrideRef = useRef(initialScene.autoRotate);
+  const cameraPresetRef = useRef(cameraPreset);
+  useEffect(() => {
+    cameraPresetRef.current = cameraPreset;
+  });
+  const restoringRef = useRef(false);
+  const lastSceneRef = useRef(initialScene);
+
+  useEffect(() => saveGifts(giftState), [giftState]);
+
+  useEffect(() => saveSleigh(sleigh), [sleigh]);
+
+  // any theme switch (tabs, undo, links, the editor) is reported once
+  const reportedThemeRef = useRef(theme);
+  useEffect(() => {
+    const previous = reportedThemeRef.current;
+    if (previous === theme) return;
+    reportedThemeRef.current = theme;
+    events.emit("themeChanged", { theme, previous });
+  }, [theme, events]);
+
+  const giftBoxList = useMemo(
+    () => [
+      ...giftBoxes(giftState.gifts, giftState.santa, giftState.layout.count),
+      ...deliveredBoxes(delivered),
+    ],
+    [giftState.gifts, giftState.santa, giftState.layout.count, delivered]
+  );
+  const onDelivered = useCallback(
+    () => setDelivered((n) => Math.min(MAX_DELIVERED, n + 1)),
+    []
+  );
+  const openedGiftKeys = useMemo(
+    () => new Set(giftState.opened),
+    [giftState.opened]
+  );
+  // a new draw or box count invalidates the card being shown
+  useEffect(() => setRevealIdx(null), [giftBoxList]);
+
+  const onGiftOpened = useCallback(
+    (idx) => {
+      const key = giftBoxList[idx]?.key;
+      if (!key) return;
+      setGiftState((s) =>
+        s.opened.includes(key) ? s : { ...s, opened: [...s.opened, key] }
+      );
+      setRevealIdx(idx);
+    },
+    [giftBoxList]
+  );
+  const closeGiftCard = useCallback(() => setRevealIdx(null), []);
+
+  // a replaced or stopped source releases its audio graph
+  useEffect(() => () => audioSource?.stop(), [audioSource]);
+
+  const applyScene = useCallback(
+    (scene) => {
+      setTheme(scene.theme);
+      setSeed(scene.seed);
+      setOrnamentCount(scene.ornamentCount);
+      setTreeStyle(scene.treeStyle);
+      setShowSanta(scene.showSanta);
+      setShowRudolph(scene.showRudolph);
+      setShowSnowman(scene.showSnowman);
+      setShowElves(scene.showElves);
+      setShowSnow(scene.showSnow);
+      setShowPresents(scene.showPresents);
+      setAutoRotate(scene.autoRotate);
+      // the camera rig only reads the override when the preset changes;
+      // left set otherwise, it would beat some later theme's preset
+      const preset = resolveTheme(scene.theme, customThemes).camera;
+      autoRotateOverrideRef.current =
+        preset !== cameraPresetRef.current ? scene.autoRotate : null;
+    },
+    [
+      customThemes,
+      setTheme,
+      setSeed,
+      setOrnamentCount,
+      setTreeStyle,
+      setShowSanta,
+      setShowRudolph,
+      setShowSnowman,
+      setShowElves,
+      setShowSnow,
+      setShowPresents,
+      setAutoRotate,
+    ]
+  );
+
+  const scene = useMemo(
+    () => ({
+      theme,
+      seed,
+      ornamentCount,
+      treeStyle,
+      showSanta,
+      showRudolph,
+      showSnowman,
+      showElves,
+      showSnow,
+      showPresents,
+      autoRotate,
+    }),
+    [
+      theme,
+      seed,
+      ornamentCount,
+      treeStyle,
+      showSanta,
+      showRudolph,
+      showSnowman,
+      showElves,
+      showSnow,
+      showPresents,
+      autoRotate,
+    ]
+  );
+
+  // state -> URL
+  useEffect(() => {
+    if (!syncUrl) return;
+    const prev = lastSceneRef.current;
+    lastSceneRef.current = scene;
+
+    const search = serializeScene(scene);
+    if (search === window.location.search) {
+      restoringRef.current = false;
+      return;
+    }
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    // slider drags, camera follow-ups and back/forward restores
+    // should not stack history entries
+    const minor = HISTORY_FIELDS.every((k) => scene[k] === prev[k]);
+    if (restoringRef.current || minor) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+    restoringRef.current = false;
+  }, [syncUrl, scene]);
+
+  // URL -> state (back/forward)
+  useEffect(() => {
+    if (!syncUrl) return;
+    const onPop = () => {
+      restoringRef.current = true;
+      applyScene(
+        sceneFromSearch(window.location.search, customThemes, defaults)
+      );
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [syncUrl, applyScene, customThemes, defaults]);
+
+  useEffect(() => {
+    saveCustomThemes(customThemes);
+  }, [customThemes]);
+
+  useEffect(() => {
+    if (loadedBaseRef.current === decorBase) return;
+    loadedBaseRef.current = decorBase;
+    dispatchDecor({ type: "load", layout: loadLayout(decorBase) });
+    setSelectedId(null);
+  }, [decorBase]);
+
+  useEffect(() => {
+    saveLayout(loadedBaseRef.current, decor.present);
+  }, [decor.present]);
+
+  useEffect(() => {
+    if (!decorating) return;
+    const onKey = (e) => {
+      if (e.target.closest?.("input, textarea, select")) return;
+      const mod = e.ctrlKey || e.metaKey;
+      const key = e.key.toLowerCase();
+      if (mod && key === "z") {
+        e.preventDefault();
+        dispatchDecor({ type: e.shiftKey ? "redo" : "undo" });
+      } else if (mod && key === "y") {
+        e.preventDefault();
+        dispatchDecor({ type: "redo" });
+      } else if (
+        (key === "delete" || key === "backspace") &&
+        selectedId != null
+      ) {
+        e.preventDefault();
+        dispatchDecor({ type: "remove", id: selectedId });
+        setSelectedId(null);
+      } else if (key === "escape") {
+        setSelectedId(null);
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [decorating, selectedId]);
+
+  useEffect(() => {
+    if (!linkCopied) return;
+    const id = setTimeout(() => setLinkCopied(false), 1400);
+    return () => clearTimeout(id);
+  }, [linkCopied]);
 
   useEffect(() => {
     const root = document.documentElement;
@@ -1230,96 +2680,512 @@ export default function ChristmasTree3D() {
   }, [tokens]);
 
   const onResetView = () => controlsRef.current?.reset();
-  const onShuffle = () => setSeed((s) => s + 1);
+  const onShuffle = () => {
+    setSeed(seed + 1);
+    events.emit("seedShuffled", { seed: seed + 1, previous: seed });
+  };
+  const onCycleTreeStyle = () =>
+    setTreeStyle((k) => {
+      const i = TREE_STYLE_KEYS.indexOf(k);
+      return TREE_STYLE_KEYS[(i + 1) % TREE_STYLE_KEYS.length];
+    });
+  const onSaveTheme = (draft) => {
+    const clean = normalizeTheme(draft, BASE_THEME_KEYS);
+    setCustomThemes((list) =>
+      list.some((t) => t.key === clean.key)
+        ? list.map((t) => (t.key === clean.key ? clean : t))
+        : [...list, clean]
+    );
+    setTheme(clean.key);
+  };
+  const onDeleteTheme = (key) => {
+    setCustomThemes((list) => list.filter((t) => t.key !== key));
+    if (theme === key) setTheme(defaults.theme);
+  };
+
+  const onExportLayout = () => {
+    downloadText(
+      `tree-${treeStyle}-${seed}.x3d-decor.json`,
+      layoutToFile(decorBase, decor.present)
+    );
+  };
+  const onImportLayout = (text) => {
+    const file = layoutFromFile(text);
+    const next = {
+      seed: file.seed,
+      treeStyle: TREE_STYLES[file.treeStyle] ? file.treeStyle : treeStyle,
+      ornamentCount: THREE.MathUtils.clamp(
+        file.ornamentCount,
+        ORNAMENT_MIN,
+        ORNAMENT_MAX
+      ),
+    };
+    // stash under the file's base; switching base then loads it
+    saveLayout(next, file.layout);
+    setSelectedId(null);
+    if (
+      next.seed === seed &&
+      next.treeStyle === treeStyle &&
+      next.ornamentCount === ornamentCount
+    ) {
+      dispatchDecor({ type: "load", layout: file.layout });
+      return;
+    }
+    setSeed(next.seed);
+    setTreeStyle(next.treeStyle);
+    setOrnamentCount(next.ornamentCount);
+  };
+
+  const decorProps = {
+    active: decorating,
+    tool: decorTool,
+    selectedId,
+    onSelect: setSelectedId,
+    dispatch: dispatchDecor,
+    controlsRef,
+  };
+
+  // capture panel config -> output pixels (the "screen" size scales the
+  // current drawing buffer)
+  const captureSizeFor = (config) => {
+    const el = threeRef.current?.gl.domElement;
+    return captureSize(config.size, config.portrait, {
+      width: el?.width ?? 0,
+      height: el?.height ?? 0,
+    });
+  };
+  const onCapture = async (config) => {
+    const three = threeRef.current;
+    if (!three) return;
+    // let the panel show its busy state before the render blocks
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const { width, height } = captureSizeFor(config);
+    const canvas = renderCapture(three, {
+      width,
+      height,
+      transparent: config.transparent,
+    });
+    downloadBlob(
+      `tree-${theme}-${seed}-${width}x${height}.png`,
+      await canvasToBlob(canvas)
+    );
+  };
+
+  // switching the frameloop resets the clock; pick up where the
+  // recording left it (after the Canvas applied "always" again)
+  useLayoutEffect(() => {
+    if (recording != null || resumeAtRef.current == null) return;
+    const three = threeRef.current;
+    if (three) three.get().clock.elapsedTime = resumeAtRef.current;
+    resumeAtRef.current = null;
+  }, [recording]);
+
+  const onRecord = async (raw) => {
+    const three = threeRef.current;
+    if (!three || recording != null) return;
+    const config = normalizeRecording(raw);
+    const t0 = three.get().clock.elapsedTime;
+    setRecording(0);
+    // let the Canvas switch to frameloop "never"
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const { clock, advance } = three.get();
+    clock.elapsedTime = t0;
+    Object.assign(turntableRef.current, {
+      active: config.turntable,
+      angle: 0,
+      offset: null,
+    });
+
+    let shown = -1;
+    try {
+      const blob = await recordScene(
+        three.gl.domElement,
+        config,
+        (i, frames) => {
+          turntableRef.current.angle = (i / frames) * Math.PI * 2;
+          advance(t0 + (i + 1) / config.fps);
+        },
+        // re-render the panel in 5% steps only
+        (p) => {
+          const step = Math.floor(p * 20);
+          if (step === shown) return;
+          shown = step;
+          setRecording(p);
+        }
+      );
+      downloadBlob(
+        `tree-${theme}-${seed}-${config.duration}s.${RECORD_EXTENSIONS[config.format]}`,
+        blob
+      );
+    } finally {
+      turntableRef.current.active = false;
+      resumeAtRef.current = clock.elapsedTime;
+      setRecording(null);
+    }
+  };
+
+  useEffect(() => {
+    saveSessionModels(models);
+  }, [models]);
+  useEffect(() => {
+    pruneModelFiles(loadSessionModels());
+  }, []);
+
+  // reads and parses every file first so a broken one is reported
+  // without adding it; the rest still come in
+  const importModels = async (files, slot) => {
+    const added = [];
+    const errors = [];
+    for (const file of files) {
+      let entry = null;
+      try {
+        entry = await readModelFile(file, slot);
+        await loadModelScene(entry);
+        added.push(entry);
+        // a file that can't be stored still works until a reload
+        await storeModelFile(entry).catch((err) => errors.push(err.message));
+      } catch (err) {
+        if (entry) forgetModel(entry.id);
+        errors.push(err.message);
+      }
+    }
+    setModelError(errors.join("\n"));
+    if (added.length) setModels((list) => [...list, ...added]);
+  };
+  const changeModel = (id, patch) =>
+    setModels((list) =>
+      list.map((m) => (m.id === id ? { ...m, ...patch } : m))
+    );
+  const removeModel = (id) => {
+    forgetModel(id);
+    setModels((list) => list.filter((m) => m.id !== id));
+  };
+
+  const onSceneDragOver = (e) => {
+    if (![...e.dataTransfer.types].includes("Files")) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDropping(true);
+  };
+  const onSceneDrop = (e) => {
+    e.preventDefault();
+    setDropping(false);
+    const files = [...e.dataTransfer.files];
+    if (!files.length) return;
+    setModelsOpen(true);
+    importModels(files, "ornament");
+  };
+
+  const onExportGlb = async (options) => {
+    const three = threeRef.current;
+    if (!three) return;
+    downloadBlob(
+      `tree-${theme}-${seed}.glb`,
+      await exportSceneGlb(three.scene, options)
+    );
+  };
+
+  // the link is built from the scene, so it works without syncUrl too
+  const onCopyLink = () => {
+    const { origin, pathname, hash } = window.location;
+    copyText(`${origin}${pathname}${serializeScene(scene)}${hash}`)
+      .then(() => setLinkCopied(true))
+      .catch(() => setLinkCopied(false));
+  };
+
+  // ref handle: drive the scene from the host's own UI
+  useImperativeHandle(ref, () => ({
+    getScene: () => scene,
+    setScene: (patch) => applyScene({ ...scene, ...patch }),
+    setTheme: (key) => {
+      if (themeTabs.some((t) => t.key === key)) setTheme(key);
+    },
+    shuffle: onShuffle,
+    // false when the presents are hidden or there is no such box
+    openGift: (index) => {
+      if (!showPresents || !giftBoxList[index]) return false;
+      giftOpenRef.current = index;
+      return true;
+    },
+    // position: [x, y, z] or a Vector3; opts: { role, preset }
+    fireBurst: (position, color, opts) =>
+      burstsRef.current?.fire(position, color, opts),
+    resetView: onResetView,
+    // data URL of the current view, by default at the on-screen size
+    // (null before the canvas exists); see renderCapture
+    captureImage: ({ width, height, transparent, type, quality } = {}) => {
+      const three = threeRef.current;
+      if (!three) return null;
+      const el = three.gl.domElement;
+      const canvas = renderCapture(three, {
+        width: width ?? el.width,
+        height: height ?? el.height,
+        transparent,
+      });
+      return canvas.toDataURL(type ?? "image/png", quality);
+    },
+    // .glb Blob of the tree; options: { presents, characters }
+    exportGlb: (options) => {
+      const three = threeRef.current;
+      if (!three) return Promise.reject(new Error("캔버스가 아직 없습니다"));
+      return exportSceneGlb(three.scene, options);
+    },
+    on: events.on,
+  }));
 
   return (
-    <div className={`x3d stage theme-${theme}`}>
-      <header className="x3d-header">
-        <div className="x3d-left">
-          <div className="x3d-badge">3D</div>
+    <div className={`x3d stage theme-${styleKey} ${header ? "" : "bare"}`}>
+      {header && (
+        <header className="x3d-header">
+          <div className="x3d-left">
+            <div className="x3d-badge">3D</div>
+
+            <div className="segmented" role="tablist" aria-label="Tree themes">
+              {themeTabs.map((t) => (
+                <button
+                  key={t.key}
+                  className={`seg-btn ${theme === t.key ? "active" : ""}`}
+                  onClick={() => setTheme(t.key)}
+                  type="button"
+                  role="tab"
+                  aria-selected={theme === t.key}
+                >
+                  {t.label}
+                </button>
+              ))}
+            </div>
+          </div>
 
-          <div className="segmented" role="tablist" aria-label="Tree themes">
-            {THEMES.map((t) => (
+          <div className="x3d-right">
+            <div className="pillbar">
               <button
-                key={t.key}
-                className={`seg-btn ${theme === t.key ? "active" : ""}`}
-                onClick={() => setTheme(t.key)}
+                className={`pill ${showSanta ? "on" : ""}`}
+                onClick={() => setShowSanta((v) => !v)}
                 type="button"
-                role="tab"
-                aria-selected={theme === t.key}
               >
-                {t.label}
+                🧑‍🎄
               </button>
-            ))}
-          </div>
-        </div>
-
-        <div className="x3d-right">
-          <div className="pillbar">
-            <button
-              className={`pill ${showSanta ? "on" : ""}`}
-              onClick={() => setShowSanta((v) => !v)}
-              type="button"
-            >
-              🧑‍🎄
-            </button>
-            <button
-              className={`pill ${showRudolph ? "on" : ""}`}
-              onClick={() => setShowRudolph((v) => !v)}
-              type="button"
-            >
-              🦌
-            </button>
-            <button
-              className={`pill ${showSnow ? "on" : ""}`}
-              onClick={() => setShowSnow((v) => !v)}
-              type="button"
-            >
-              ❄️
-            </button>
-            <button
-              className={`pill ${showPresents ? "on" : ""}`}
-              onClick={() => setShowPresents((v) => !v)}
-              type="button"
-            >
-              🎁
-            </button>
-            <button
-              className={`pill ${autoRotate ? "on" : ""}`}
-              onClick={() => setAutoRotate((v) => !v)}
-              type="button"
-            >
-              🌀
-            </button>
-          </div>
+              <button
+                className={`pill ${showRudolph ? "on" : ""}`}
+                onClick={() => setShowRudolph((v) => !v)}
+                type="button"
+              >
+                🦌
+              </button>
+              <button
+                className={`pill ${showSnowman ? "on" : ""}`}
+                onClick={() => setShowSnowman((v) => !v)}
+                type="button"
+                title="눈사람"
+              >
+                ⛄
+              </button>
+              <button
+                className={`pill ${showElves ? "on" : ""}`}
+                onClick={() => setShowElves((v) => !v)}
+                type="button"
+                title="요정"
+              >
+                🧝
+              </button>
+              <button
+                className={`pill ${showSnow ? "on" : ""}`}
+                onClick={() => setShowSnow((v) => !v)}
+                type="button"
+              >
+                ❄️
+              </button>
+              <button
+                className={`pill ${showPresents ? "on" : ""}`}
+                onClick={() => setShowPresents((v) => !v)}
+                type="button"
+              >
+                🎁
+              </button>
+              <button
+                className={`pill ${autoRotate ? "on" : ""}`}
+                onClick={() => setAutoRotate((v) => !v)}
+                type="button"
+              >
+                🌀
+              </button>
+            </div>
 
-          <div className="pillbar">
-            <button className="pill" onClick={onResetView} type="button">
-              ⟲
-            </button>
-            <button className="pill" onClick={onShuffle} type="button">
-              ✦
-            </button>
-
-            <label className="range">
-              <span>•</span>
-              <input
-                type="range"
-                min="10"
-                max="70"
-                value={ornamentCount}
-                onChange={(e) => setOrnamentCount(Number(e.target.value))}
-              />
-            </label>
+            <div className="pillbar">
+              <button className="pill" onClick={onResetView} type="button">
+                ⟲
+              </button>
+              <button className="pill" onClick={onShuffle} type="button">
+                ✦
+              </button>
+              <button
+                className="pill"
+                onClick={onCycleTreeStyle}
+                type="button"
+                title={TREE_STYLES[treeStyle].label}
+              >
+                🌲
+              </button>
+              <button
+                className={`pill ${decorating ? "on" : ""}`}
+                onClick={() => {
+                  setDecorating((v) => !v);
+                  setSelectedId(null);
+                }}
+                type="button"
+                title="꾸미기 모드"
+              >
+                🖌️
+              </button>
+              <button
+                className={`pill ${giftsOpen || giftState.santa.enabled ? "on" : ""}`}
+                onClick={() => setGiftsOpen((v) => !v)}
+                type="button"
+                title="선물 · 시크릿 산타"
+              >
+                💌
+              </button>
+              <button
+                className={`pill ${sleighOpen || sleigh.enabled ? "on" : ""}`}
+                onClick={() => setSleighOpen((v) => !v)}
+                type="button"
+                title="썰매 비행"
+              >
+                🛷
+              </button>
+              <button
+                className={`pill ${lightsOpen ? "on" : ""}`}
+                onClick={() => setLightsOpen((v) => !v)}
+                type="button"
+                title="조명 패턴"
+              >
+                💡
+              </button>
+              <button
+                className={`pill ${audioOpen || audioSource ? "on" : ""}`}
+                onClick={() => setAudioOpen((v) => !v)}
+                type="button"
+                title="음악 반응"
+              >
+                🎵
+              </button>
+              <button
+                className={`pill ${editorOpen ? "on" : ""}`}
+                onClick={() => setEditorOpen((v) => !v)}
+                type="button"
+                title="테마 편집"
+              >
+                🎨
+              </button>
+              <button
+                className={`pill ${captureOpen ? "on" : ""}`}
+                onClick={() => setCaptureOpen((v) => !v)}
+                type="button"
+                title="스크린샷"
+              >
+                📷
+              </button>
+              <button
+                className={`pill ${recordOpen || recording != null ? "on" : ""}`}
+                onClick={() => setRecordOpen((v) => !v)}
+                type="button"
+                title="녹화"
+              >
+                🎬
+              </button>
+              <button
+                className={`pill ${exportOpen ? "on" : ""}`}
+                onClick={() => setExportOpen((v) => !v)}
+                type="button"
+                title="3D 내보내기"
+              >
+                📦
+              </button>
+              <button
+                className={`pill ${modelsOpen ? "on" : ""}`}
+                onClick={() => setModelsOpen((v) => !v)}
+                type="button"
+                title="모델 가져오기"
+              >
+                🧩
+              </button>
+              <button
+                className={`pill ${linkCopied ? "on" : ""}`}
+                onClick={onCopyLink}
+                type="button"
+                title={linkCopied ? "링크 복사됨" : "링크 복사"}
+              >
+                {linkCopied ? "✓" : "🔗"}
+              </button>
+              <button
+                className={`pill ${envMode === "offline" ? "on" : ""}`}
+                onClick={() =>
+                  setEnvMode(envMode === "offline" ? "auto" : "offline")
+                }
+                type="button"
+                disabled={!!ENV_MODES[props.environment]}
+                title={`환경광: ${ENV_MODES[envMode]}`}
+              >
+                {envMode === "offline" ? "📴" : "🌐"}
+              </button>
+
+              <div
+                className="segmented quality"
+                role="radiogroup"
+                aria-label="Render quality"
+              >
+                {QUALITY_MODES.map((m) => (
+                  <button
+                    key={m}
+                    className={`seg-btn ${qualityMode === m ? "active" : ""} ${
+                      qualityMode === "auto" && qualityTier === m ? "auto" : ""
+                    }`}
+                    onClick={() => setQualityMode(m)}
+                    type="button"
+                    role="radio"
+                    aria-checked={qualityMode === m}
+                    title={
+                      m === "auto"
+                        ? `자동 (현재 ${QUALITY_TIERS[autoTier].label})`
+                        : undefined
+                    }
+                  >
+                    {m === "auto" ? "Auto" : QUALITY_TIERS[m].label}
+                  </button>
+                ))}
+              </div>
+
+              <label className="range" title={`${ornamentCount}`}>
+                <span>•</span>
+                <input
+                  type="range"
+                  min="0"
+                  max={ORNAMENT_SLIDER_STEPS}
+                  value={countToSlider(ornamentCount)}
+                  onChange={(e) =>
+                    setOrnamentCount(sliderToCount(Number(e.target.value)))
+                  }
+                />
+              </label>
+            </div>
           </div>
-        </div>
-      </header>
+        </header>
+      )}
 
       <main className="x3d-main">
-        <section className="card scene">
+        <section
+          className={`card scene ${dropping ? "dropping" : ""}`}
+          onDragOver={onSceneDragOver}
+          onDragLeave={(e) => {
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropping(false);
+          }}
+          onDrop={onSceneDrop}
+        >
           <Canvas
             className="canvas"
-            dpr={[1, 2]}
+            onCreated={(state) => (threeRef.current = state)}
+            frameloop={recording != null ? "never" : "always"}
+            dpr={quality.dpr}
             camera={{
               position: CAMERA_PRESETS.minimal.pos,
               fov: CAMERA_PRESETS.minimal.fov,
@@ -1342,16 +3208,31 @@ export default function ChristmasTree3D() {
               distance={9}
             />
 
-            <Environment preset={tokens.env} />
+            {quality.environment ? (
+              <SceneEnvironment
+                preset={tokens.env}
+                tokens={tokens}
+                offline={envMode === "offline"}
+              />
+            ) : (
+              <hemisphereLight
+                args={[tokens.light, tokens.bg]}
+                intensity={0.6}
+              />
+            )}
             <ContactShadows
               position={[0, -0.52, 0]}
               opacity={0.42}
-              blur={2.8}
+              blur={quality.shadowBlur}
+              resolution={quality.shadowResolution}
               far={8.0}
             />
 
-            <Sparkles
-              count={theme === "neon" ? 120 : 80}
+            <ReactiveSparkles
+              audioRef={audioRef}
+              count={Math.round(
+                (styleKey === "neon" ? 120 : 80) * quality.sparkles
+              )}
               size={2.2}
               speed={0.55}
               opacity={0.55}
@@ -1360,53 +3241,135 @@ export default function ChristmasTree3D() {
             />
 
             <Snowfall
-              enabled={showSnow && (theme === "snow" || theme === "minimal")}
-              count={theme === "snow" ? 1400 : 950}
+              enabled={snowing}
+              count={Math.round(
+                (styleKey === "snow" ? 1400 : 950) * quality.snow
+              )}
+              wind={tokens.wind}
             />
+            <SnowCover snowing={snowing} cover={snowCover} />
 
             <TreeModel
-              themeKey={theme}
+              themeKey={styleKey}
               tokens={tokens}
               seed={seed}
               ornamentCount={ornamentCount}
+              treeStyle={treeStyle}
+              layout={decor.present}
+              decor={decorProps}
+              lights={lights}
+              audioRef={audioRef}
+              snowCover={snowCover}
+              segments={quality.segments}
+              crowd={crowd}
+              events={events}
+              models={placedModels}
             />
 
             {/* click/auto events burst */}
-            <BurstParticles
+            <BurstEffects
+              tokens={tokens}
+              themeKey={styleKey}
+              events={events}
+              controllerRef={burstsRef}
+              segments={Math.min(10, quality.segments)}
+            />
+            {qualityMode === "auto" && (
+              <QualityGovernor tier={autoTier} onStep={onQualityStep} />
+            )}
+            <AudioDriver
+              source={audioSource}
+              sensitivity={sensitivity}
+              audioRef={audioRef}
+              events={events}
               tokens={tokens}
-              themeKey={theme}
-              controllerRef={burstControllerRef}
-              count={96}
             />
 
             {showPresents && (
               <Presents
-                themeKey={theme}
-                burstControllerRef={burstControllerRef}
+                themeKey={styleKey}
+                tokens={tokens}
+                seed={seed}
+                treeStyle={treeStyle}
+                layoutConfig={giftState.layout}
+                events={events}
+                boxes={giftBoxList}
+                openedKeys={openedGiftKeys}
+                onOpened={onGiftOpened}
+                onReveal={setRevealIdx}
+                dropRef={dropRef}
+                onDelivered={onDelivered}
+                crowd={crowd}
+                openRef={giftOpenRef}
               />
             )}
 
-            {showSanta && (
-              <Santa
-                enabled={showSanta}
-                themeKey={theme}
-                burstControllerRef={burstControllerRef}
-              />
-            )}
-            {showRudolph && (
-              <Rudolph
-                enabled={showRudolph}
-                themeKey={theme}
-                burstControllerRef={burstControllerRef}
+            <group name="characters">
+              {showSanta && (
+                <Character
+                  def={CHARACTERS.santa}
+                  themeKey={styleKey}
+                  events={events}
+                  awayRef={sleigh.enabled ? flightRef : null}
+                  onAction={sleigh.enabled ? launchSleigh : undefined}
+                  crowd={crowd}
+                />
+              )}
+              {showRudolph && (
+                <Character
+                  def={CHARACTERS.rudolph}
+                  themeKey={styleKey}
+                  events={events}
+                  crowd={crowd}
+                />
+              )}
+              {showSnowman && (
+                <Character
+                  def={CHARACTERS.snowman}
+                  themeKey={styleKey}
+                  events={events}
+                  crowd={crowd}
+                />
+              )}
+              {showElves &&
+                ELVES.map((def) => (
+                  <Character
+                    key={def.key}
+                    def={def}
+                    themeKey={styleKey}
+                    events={events}
+                    crowd={crowd}
+                  />
+                ))}
+              {modelCharacters.map((def) => (
+                <Character
+                  key={def.key}
+                  def={def}
+                  themeKey={styleKey}
+                  events={events}
+                  crowd={crowd}
+                />
+              ))}
+            </group>
+            {sleigh.enabled && (
+              <Sleigh
+                config={sleigh}
+                tokens={tokens}
+                themeKey={styleKey}
+                flightRef={flightRef}
+                dropRef={dropRef}
+                canDeliver={showPresents && delivered < MAX_DELIVERED}
               />
             )}
 
             <CameraRig
-              themeKey={theme}
+              preset={cameraPreset}
               controlsRef={controlsRef}
               autoRotate={autoRotate}
               setAutoRotate={setAutoRotate}
               dragLockRef={dragLockRef}
+              autoRotateOverrideRef={autoRotateOverrideRef}
+              turntableRef={turntableRef}
             />
 
             <OrbitControls
@@ -1424,13 +3387,130 @@ export default function ChristmasTree3D() {
               }}
               onEnd={() => {
                 dragLockRef.current = false;
-                const p = CAMERA_PRESETS[theme] ?? CAMERA_PRESETS.minimal;
-                setAutoRotate(Boolean(p.autoRotate));
+                setAutoRotate(Boolean(cameraPreset.autoRotate));
               }}
             />
           </Canvas>
+
+          {decorating && (
+            <DecorToolbar
+              tool={decorTool}
+              setTool={setDecorTool}
+              palette={tokens.palette}
+              canUndo={decor.past.length > 0}
+              canRedo={decor.future.length > 0}
+              hasSelection={selectedId != null}
+              onUndo={() => dispatchDecor({ type: "undo" })}
+              onRedo={() => dispatchDecor({ type: "redo" })}
+              onDelete={() => {
+                dispatchDecor({ type: "remove", id: selectedId });
+                setSelectedId(null);
+              }}
+              onClear={() => {
+                dispatchDecor({ type: "clear" });
+                setSelectedId(null);
+              }}
+              onExport={onExportLayout}
+              onImport={onImportLayout}
+            />
+          )}
+
+          {lightsOpen && (
+            <LightPanel
+              lights={lights}
+              overridden={Object.keys(lightOverride).length > 0}
+              onChange={(patch) =>
+                setLightOverride((o) => ({ ...o, ...patch }))
+              }
+              onReset={() => setLightOverride({})}
+              onClose={() => setLightsOpen(false)}
+            />
+          )}
+
+          {sleighOpen && (
+            <SleighPanel
+              config={sleigh}
+              onChange={setSleigh}
+              onLaunch={launchSleigh}
+              onClose={() => setSleighOpen(false)}
+            />
+          )}
+
+          {captureOpen && (
+            <CapturePanel
+              sizeFor={captureSizeFor}
+              onCapture={onCapture}
+              onClose={() => setCaptureOpen(false)}
+            />
+          )}
+
+          {recordOpen && (
+            <RecordPanel
+              progress={recording}
+              onRecord={onRecord}
+              onClose={() => setRecordOpen(false)}
+            />
+          )}
+
+          {modelsOpen && (
+            <ModelPanel
+              models={models}
+              error={modelError}
+              onImport={importModels}
+              onChange={changeModel}
+              onRemove={removeModel}
+              onClose={() => setModelsOpen(false)}
+            />
+          )}
+
+          {exportOpen && (
+            <ExportPanel
+              seed={seed}
+              onExport={onExportGlb}
+              onClose={() => setExportOpen(false)}
+            />
+          )}
+
+          {audioOpen && (
+            <AudioPanel
+              source={audioSource}
+              sensitivity={sensitivity}
+              onSensitivity={setSensitivity}
+              onOpenFile={async (file) =>
+                setAudioSource(await openAudioFile(file))
+              }
+              onOpenMic={async () => setAudioSource(await openMicrophone())}
+              onStop={() => setAudioSource(null)}
+              onClose={() => setAudioOpen(false)}
+            />
+          )}
+
+          {giftsOpen && (
+            <GiftPanel
+              state={giftState}
+              setState={setGiftState}
+              onClose={() => setGiftsOpen(false)}
+            />
+          )}
+
+          {revealIdx != null && giftBoxList[revealIdx] && (
+            <GiftCard box={giftBoxList[revealIdx]} onClose={closeGiftCard} />
+          )}
+
+          {editorOpen && (
+            <ThemeEditor
+              key={savedTheme.key}
+              activeTheme={savedTheme}
+              customThemes={customThemes}
+              baseThemes={THEMES}
+              onPreview={setDraftTheme}
+              onSave={onSaveTheme}
+              onDelete={onDeleteTheme}
+              onClose={() => setEditorOpen(false)}
+            />
+          )}
         </section>
       </main>
     </div>
   );
-}
+});
@@ -0,0 +1,42 @@
+import { parseSceneParams, serializeScene } from "./ChristmasTree3D";
+
+const SCENE = {
+  theme: "neon",
+  seed: 90210,
+  ornamentCount: 480,
+  treeStyle: "fir",
+  showSanta: false,
+  showRudolph: true,
+  showSnowman: false,
+  showElves: true,
+  showSnow: false,
+  showPresents: true,
+  autoRotate: false,
+};
+
+test("a URL round-trip keeps every field", () => {
+  expect(parseSceneParams(serializeScene(SCENE))).toEqual(SCENE);
+  const flipped = Object.fromEntries(
+    Object.entries(SCENE).map(([k, v]) => [k, typeof v === "boolean" ? !v : v])
+  );
+  expect(parseSceneParams(serializeScene(flipped))).toEqual(flipped);
+});
+
+test("custom themes are only accepted when they exist", () => {
+  const custom = [{ key: "c-abc" }];
+  const search = serializeScene({ ...SCENE, theme: "c-abc" });
+  expect(parseSceneParams(search, custom).theme).toBe("c-abc");
+  expect(parseSceneParams(search)).not.toHaveProperty("theme");
+});
+
+test("bad values are dropped and counts clamped", () => {
+  const out = parseSceneParams(
+    "?theme=nope&seed=x&n=999999&tree=oak?&santa=yes&snow=1"
+  );
+  expect(out).toEqual({ ornamentCount: 3000, showSnow: true });
+  expect(parseSceneParams("?n=1").ornamentCount).toBe(10);
+});
+
+test("seeds wrap to unsigned 32 bits", () => {
+  expect(parseSceneParams("?seed=-1").seed).toBe(4294967295);
+});
@@ -0,0 +1,147 @@
+import { useRef, useState } from "react";
+import { ORNAMENT_KINDS, ORNAMENT_LABELS } from "./ornaments";
+
+/* =========================
+   Decorate mode toolbar
+========================= */
+
+const KIND_ICONS = {
+  sphere: "●",
+  teardrop: "💧",
+  star: "★",
+  bell: "🔔",
+  cane: "🍭",
+  bow: "🎀",
+};
+
+export default function DecorToolbar({
+  tool,
+  setTool,
+  palette,
+  canUndo,
+  canRedo,
+  hasSelection,
+  onUndo,
+  onRedo,
+  onDelete,
+  onClear,
+  onExport,
+  onImport,
+}) {
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+  const color = tool.color ?? palette[0];
+
+  const onImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onImport(await file.text());
+      setError("");
+    } catch (err) {
+      setError(`불러오기 실패: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="decor-bar" role="toolbar" aria-label="Decorate tools">
+      <div className="decor-group">
+        {ORNAMENT_KINDS.map((kind) => (
+          <button
+            key={kind}
+            className={`pill ${tool.kind === kind ? "on" : ""}`}
+            onClick={() => setTool((t) => ({ ...t, kind }))}
+            type="button"
+            title={ORNAMENT_LABELS[kind]}
+          >
+            {KIND_ICONS[kind]}
+          </button>
+        ))}
+      </div>
+
+      <div className="decor-group">
+        {palette.map((c, i) => (
+          <button
+            key={`${c}-${i}`}
+            className={`decor-swatch ${color === c ? "on" : ""}`}
+            style={{ background: c }}
+            onClick={() => setTool((t) => ({ ...t, color: c }))}
+            type="button"
+            title={c}
+          />
+        ))}
+        <input
+          className="decor-color"
+          type="color"
+          value={color}
+          onChange={(e) => setTool((t) => ({ ...t, color: e.target.value }))}
+          title="직접 선택"
+        />
+      </div>
+
+      <div className="decor-group">
+        <button
+          className="pill"
+          onClick={onUndo}
+          disabled={!canUndo}
+          type="button"
+          title="실행 취소 (Ctrl+Z)"
+        >
+          ↶
+        </button>
+        <button
+          className="pill"
+          onClick={onRedo}
+          disabled={!canRedo}
+          type="button"
+          title="다시 실행 (Ctrl+Shift+Z)"
+        >
+          ↷
+        </button>
+        <button
+          className="pill"
+          onClick={onDelete}
+          disabled={!hasSelection}
+          type="button"
+          title="선택 삭제 (Delete · 우클릭)"
+        >
+          🗑
+        </button>
+        <button
+          className="pill"
+          onClick={onClear}
+          type="button"
+          title="손장식 초기화"
+        >
+          ⌫
+        </button>
+        <button
+          className="pill"
+          onClick={onExport}
+          type="button"
+          title="배치 저장"
+        >
+          ⤓
+        </button>
+        <button
+          className="pill"
+          onClick={() => fileRef.current?.click()}
+          type="button"
+          title="배치 불러오기"
+        >
+          ⤒
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={onImportFile}
+        />
+      </div>
+
+      {error && <div className="te-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { useState } from "react";
+import { DEFAULT_GLTF_EXPORT } from "./gltfExport";
+
+/* =========================
+   3D export panel
+========================= */
+
+// onExport(options) builds and downloads the .glb
+export default function ExportPanel({ seed, onExport, onClose }) {
+  const [options, setOptions] = useState(DEFAULT_GLTF_EXPORT);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const set = (patch) => setOptions((o) => ({ ...o, ...patch }));
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      await onExport(options);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <aside className="theme-editor export-panel" aria-label="3D export">
+      <div className="te-head">
+        <div className="te-title">📦 3D 내보내기</div>
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <label className="te-row">
+        <span>선물 포함</span>
+        <input
+          type="checkbox"
+          checked={options.presents}
+          onChange={(e) => set({ presents: e.target.checked })}
+        />
+      </label>
+      <label className="te-row">
+        <span>캐릭터 포함</span>
+        <input
+          type="checkbox"
+          checked={options.characters}
+          onChange={(e) => set({ characters: e.target.checked })}
+        />
+      </label>
+      <div className="te-hint">
+        시드 {seed} · 트리, 오너먼트, 전구 · 현재 프레임의 색과 발광
+      </div>
+
+      <div className="te-actions">
+        <button className="te-btn" type="button" disabled={busy} onClick={save}>
+          {busy ? "내보내는 중…" : "GLB 저장"}
+        </button>
+      </div>
+
+      {error && <div className="te-error">{error}</div>}
+    </aside>
+  );
+}
@@ -0,0 +1,51 @@
+import { useEffect } from "react";
+
+/* =========================
+   Opened gift card overlay
+========================= */
+
+export default function GiftCard({ box, onClose }) {
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const { gift } = box;
+  const empty = !box.giver && !gift.to && !gift.message && !gift.image;
+
+  return (
+    <div className="gift-card-wrap" onClick={onClose}>
+      <div
+        className="gift-card"
+        role="dialog"
+        aria-label="Gift"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {box.giver ? (
+          <>
+            <div className="gift-card-kicker">🎅 시크릿 산타</div>
+            <div className="gift-card-title">{box.giver}</div>
+            <div className="gift-card-body">
+              님이 선물할 사람은 <strong>{box.receiver}</strong> 님입니다
+            </div>
+          </>
+        ) : (
+          <>
+            {gift.to && <div className="gift-card-kicker">To. {gift.to}</div>}
+            {gift.image && <img src={gift.image} alt="" />}
+            {gift.message && (
+              <div className="gift-card-body">{gift.message}</div>
+            )}
+            {empty && <div className="gift-card-body">🎁 메리 크리스마스!</div>}
+          </>
+        )}
+        <button className="te-btn" type="button" onClick={onClose}>
+          닫기
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+import { useRef, useState } from "react";
+import { Slider } from "./PanelControls";
+import {
+  EMPTY_GIFT,
+  GIFT_ITEMS,
+  GIFT_ITEM_LABELS,
+  parseNames,
+  readImageFile,
+  validateNames,
+} from "./gifts";
+import { PRESENT_LAYOUT_LIMITS, normalizeLayoutConfig } from "./presentLayout";
+
+/* =========================
+   Gift contents / Secret Santa panel
+========================= */
+
+export default function GiftPanel({ state, setState, onClose }) {
+  const [tab, setTab] = useState(state.santa.enabled ? "santa" : "gifts");
+  const [index, setIndex] = useState(0);
+  const [namesText, setNamesText] = useState(state.santa.names.join("\n"));
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  const gift = state.gifts[index] ?? EMPTY_GIFT;
+  const setGift = (patch) =>
+    setState((s) => {
+      const gifts = [...s.gifts];
+      for (let i = gifts.length; i < index; i++) gifts[i] = EMPTY_GIFT;
+      gifts[index] = { ...(gifts[index] ?? EMPTY_GIFT), ...patch };
+      return { ...s, gifts };
+    });
+  const setSanta = (patch) =>
+    setState((s) => ({ ...s, santa: { ...s.santa, ...patch } }));
+  const setLayout = (patch) =>
+    setState((s) => ({
+      ...s,
+      layout: normalizeLayoutConfig({ ...s.layout, ...patch }),
+    }));
+  const boxCount = state.layout.count;
+
+  const onImageFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setGift({ image: await readImageFile(file) });
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const names = parseNames(namesText);
+  const namesError = validateNames(names);
+
+  const applyNames = () => {
+    if (namesError) {
+      setError(namesError);
+      return;
+    }
+    setSanta({ names, enabled: true });
+    setError("");
+  };
+
+  return (
+    <aside className="theme-editor gift-panel" aria-label="Gifts">
+      <div className="te-head">
+        <div className="segmented quality">
+          <button
+            className={`seg-btn ${tab === "gifts" ? "active" : ""}`}
+            type="button"
+            onClick={() => setTab("gifts")}
+          >
+            선물 내용
+          </button>
+          <button
+            className={`seg-btn ${tab === "santa" ? "active" : ""}`}
+            type="button"
+            onClick={() => setTab("santa")}
+          >
+            시크릿 산타
+          </button>
+        </div>
+        <div className="te-title" />
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      {tab === "gifts" ? (
+        <>
+          {state.santa.enabled && (
+            <div className="te-error">
+              시크릿 산타 모드가 켜져 있어 이 내용은 모드를 끌 때 보입니다
+            </div>
+          )}
+          <label className="te-row">
+            <span>상자</span>
+            <select
+              value={index}
+              onChange={(e) => setIndex(Number(e.target.value))}
+            >
+              {Array.from({ length: boxCount }, (_, i) => (
+                <option key={i} value={i}>
+                  #{i + 1} {state.gifts[i]?.to && `· ${state.gifts[i].to}`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="te-row">
+            <span>받는 사람</span>
+            <input
+              className="te-name"
+              value={gift.to}
+              maxLength={40}
+              onChange={(e) => setGift({ to: e.target.value })}
+            />
+          </label>
+          <label className="te-row">
+            <span>메시지</span>
+            <textarea
+              className="te-text"
+              rows={4}
+              value={gift.message}
+              maxLength={400}
+              onChange={(e) => setGift({ message: e.target.value })}
+            />
+          </label>
+          <label className="te-row">
+            <span>아이템</span>
+            <select
+              value={gift.item}
+              onChange={(e) => setGift({ item: e.target.value })}
+            >
+              {GIFT_ITEMS.map((k) => (
+                <option key={k} value={k}>
+                  {GIFT_ITEM_LABELS[k]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="te-row">
+            <span>이미지</span>
+            {gift.image && (
+              <img className="gift-thumb" src={gift.image} alt="" />
+            )}
+            <button
+              className="te-mini"
+              type="button"
+              onClick={() => fileRef.current?.click()}
+            >
+              선택
+            </button>
+            {gift.image && (
+              <button
+                className="te-mini"
+                type="button"
+                onClick={() => setGift({ image: "" })}
+              >
+                삭제
+              </button>
+            )}
+            <input
+              ref={fileRef}
+              type="file"
+              accept="image/*"
+              hidden
+              onChange={onImageFile}
+            />
+          </div>
+        </>
+      ) : (
+        <>
+          <label className="te-row">
+            <span>사용</span>
+            <input
+              type="checkbox"
+              checked={state.santa.enabled}
+              disabled={
+                !state.santa.enabled && !!validateNames(state.santa.names)
+              }
+              onChange={(e) => setSanta({ enabled: e.target.checked })}
+            />
+          </label>
+          <div className="te-section">참가자 (한 줄에 한 명)</div>
+          <textarea
+            className="te-text"
+            rows={8}
+            value={namesText}
+            onChange={(e) => setNamesText(e.target.value)}
+          />
+          <div className="te-row">
+            <span>시드</span>
+            <input
+              className="te-name"
+              type="number"
+              value={state.santa.seed}
+              onChange={(e) =>
+                setSanta({
+                  seed: Math.abs(Math.floor(Number(e.target.value))) || 0,
+                })
+              }
+            />
+            <button
+              className="te-mini"
+              type="button"
+              title="다시 추첨"
+              onClick={() =>
+                setSanta({ seed: Math.floor(Math.random() * 1e9) })
+              }
+            >
+              🎲
+            </button>
+          </div>
+          <div className="te-actions">
+            <button
+              className="te-btn"
+              type="button"
+              disabled={!!namesError}
+              onClick={applyNames}
+            >
+              {names.length}명으로 추첨
+            </button>
+          </div>
+          {namesText.trim() && namesError && (
+            <div className="te-error">{namesError}</div>
+          )}
+        </>
+      )}
+
+      <div className="te-section">배치</div>
+      {!state.santa.enabled && (
+        <Slider
+          label="상자 수"
+          value={boxCount}
+          range={PRESENT_LAYOUT_LIMITS.count}
+          step={1}
+          onChange={(count) => {
+            setLayout({ count });
+            if (index >= count) setIndex(count - 1);
+          }}
+        />
+      )}
+      <Slider
+        label="최소 크기"
+        value={state.layout.minSize}
+        range={PRESENT_LAYOUT_LIMITS.minSize}
+        step={0.01}
+        onChange={(minSize) => setLayout({ minSize })}
+      />
+      <Slider
+        label="최대 크기"
+        value={state.layout.maxSize}
+        range={PRESENT_LAYOUT_LIMITS.maxSize}
+        step={0.01}
+        onChange={(maxSize) => setLayout({ maxSize })}
+      />
+      <Slider
+        label="쌓기"
+        value={state.layout.stack}
+        range={PRESENT_LAYOUT_LIMITS.stack}
+        step={0.05}
+        onChange={(stack) => setLayout({ stack })}
+      />
+
+      <div className="te-actions">
+        <button
+          className="te-btn"
+          type="button"
+          disabled={!state.opened.length}
+          onClick={() => setState((s) => ({ ...s, opened: [] }))}
+        >
+          열린 상자 모두 닫기
+        </button>
+      </div>
+
+      {error && <div className="te-error">{error}</div>}
+    </aside>
+  );
+}
@@ -0,0 +1,104 @@
+import {
+  LIGHT_LIMITS,
+  LIGHT_PATTERNS,
+  LIGHT_PATTERN_KEYS,
+} from "./lightPatterns";
+import { Slider } from "./PanelControls";
+
+/* =========================
+   Light-string panel
+========================= */
+
+export default function LightPanel({
+  lights,
+  overridden,
+  onChange,
+  onReset,
+  onClose,
+}) {
+  const set = (key, value) => onChange({ [key]: value });
+
+  return (
+    <aside className="theme-editor light-panel" aria-label="Light settings">
+      <div className="te-head">
+        <div className="te-title">💡 조명</div>
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <label className="te-row">
+        <span>패턴</span>
+        <select
+          value={lights.pattern}
+          onChange={(e) => set("pattern", e.target.value)}
+        >
+          {LIGHT_PATTERN_KEYS.map((k) => (
+            <option key={k} value={k}>
+              {LIGHT_PATTERNS[k]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <Slider
+        label="속도"
+        value={lights.speed}
+        range={LIGHT_LIMITS.speed}
+        step={0.05}
+        onChange={(v) => set("speed", v)}
+      />
+      <Slider
+        label="폭"
+        value={lights.width}
+        range={LIGHT_LIMITS.width}
+        step={0.01}
+        onChange={(v) => set("width", v)}
+      />
+      {lights.pattern === "morse" && (
+        <label className="te-row">
+          <span>메시지</span>
+          <input
+            className="te-name"
+            value={lights.message}
+            maxLength={40}
+            onChange={(e) => set("message", e.target.value)}
+          />
+        </label>
+      )}
+
+      <div className="te-section">배치</div>
+      <Slider
+        label="감김"
+        value={lights.turns}
+        range={LIGHT_LIMITS.turns}
+        step={0.25}
+        onChange={(v) => set("turns", v)}
+      />
+      <Slider
+        label="전구 수"
+        value={lights.count}
+        range={LIGHT_LIMITS.count}
+        step={1}
+        onChange={(v) => set("count", v)}
+      />
+      <Slider
+        label="간격"
+        value={lights.offset}
+        range={LIGHT_LIMITS.offset}
+        step={0.005}
+        onChange={(v) => set("offset", v)}
+      />
+
+      <div className="te-actions">
+        <button
+          className="te-btn"
+          type="button"
+          onClick={onReset}
+          disabled={!overridden}
+        >
+          ⟲ 테마 기본값
+        </button>
+      </div>
+    </aside>
+  );
+}
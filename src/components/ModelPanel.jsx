@@ -0,0 +1,117 @@
+import { useRef, useState } from "react";
+import { MODEL_SLOTS, MODEL_SLOT_KEYS } from "./customModels";
+import { ORNAMENT_KINDS, ORNAMENT_LABELS } from "./ornaments";
+
+/* =========================
+   Custom model panel
+========================= */
+
+// models: entries from customModels.js; onImport(files, slot) adds files
+// (errors come back through `error`), onChange(id, patch) reassigns one
+export default function ModelPanel({
+  models,
+  error,
+  onImport,
+  onChange,
+  onRemove,
+  onClose,
+}) {
+  const [slot, setSlot] = useState("ornament");
+  const [busy, setBusy] = useState(false);
+  const fileRef = useRef(null);
+
+  const onFiles = async (e) => {
+    const files = [...(e.target.files ?? [])];
+    e.target.value = "";
+    if (!files.length) return;
+    setBusy(true);
+    try {
+      await onImport(files, slot);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <aside className="theme-editor model-panel" aria-label="Custom models">
+      <div className="te-head">
+        <div className="te-title">🧩 모델 가져오기</div>
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <label className="te-row">
+        <span>용도</span>
+        <select value={slot} onChange={(e) => setSlot(e.target.value)}>
+          {MODEL_SLOT_KEYS.filter((k) => k !== "none").map((k) => (
+            <option key={k} value={k}>
+              {MODEL_SLOTS[k]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <div className="te-actions">
+        <button
+          className="te-btn"
+          type="button"
+          disabled={busy}
+          onClick={() => fileRef.current?.click()}
+        >
+          {busy ? "읽는 중…" : "파일 열기"}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".glb,.gltf,model/gltf-binary,model/gltf+json"
+          multiple
+          hidden
+          onChange={onFiles}
+        />
+      </div>
+      <div className="te-hint">
+        .glb / .gltf(파일 하나에 담긴 것) · 트리 위로 끌어다 놓아도 됨 · 크기와
+        중심은 자동 맞춤, 탭을 닫을 때까지 기억
+      </div>
+
+      {models.map((m) => (
+        <div className="te-row model-row" key={m.id}>
+          <span title={m.name}>{m.name}</span>
+          <select
+            value={m.slot}
+            onChange={(e) => onChange(m.id, { slot: e.target.value })}
+          >
+            {MODEL_SLOT_KEYS.map((k) => (
+              <option key={k} value={k}>
+                {MODEL_SLOTS[k]}
+              </option>
+            ))}
+          </select>
+          {m.slot === "ornament" && (
+            <select
+              value={m.kind}
+              title="대신할 모양"
+              onChange={(e) => onChange(m.id, { kind: e.target.value })}
+            >
+              {ORNAMENT_KINDS.map((k) => (
+                <option key={k} value={k}>
+                  {ORNAMENT_LABELS[k]}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            className="pill"
+            type="button"
+            title="삭제"
+            onClick={() => onRemove(m.id)}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      {error && <div className="te-error">{error}</div>}
+    </aside>
+  );
+}
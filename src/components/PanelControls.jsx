@@ -0,0 +1,20 @@
+/* =========================
+   Shared panel controls
+========================= */
+
+export function Slider({ label, value, range, step, onChange }) {
+  return (
+    <label className="te-row">
+      <span>{label}</span>
+      <input
+        type="range"
+        min={range[0]}
+        max={range[1]}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+      />
+      <em>{value}</em>
+    </label>
+  );
+}
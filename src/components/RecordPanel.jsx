@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { Slider } from "./PanelControls";
+import {
+  DEFAULT_RECORDING,
+  RECORD_FORMATS,
+  RECORD_FORMAT_KEYS,
+  RECORD_LIMITS,
+  canRecordWebm,
+  normalizeRecording,
+} from "./recorder";
+
+/* =========================
+   Recording panel
+========================= */
+
+// progress: 0..1 while a recording runs, otherwise null
+export default function RecordPanel({ progress, onRecord, onClose }) {
+  const [config, setConfig] = useState(DEFAULT_RECORDING);
+  const [error, setError] = useState("");
+  const set = (patch) =>
+    setConfig((c) => normalizeRecording({ ...c, ...patch }));
+  const busy = progress != null;
+  const noWebm = config.format === "webm" && !canRecordWebm();
+
+  const start = async () => {
+    try {
+      await onRecord(config);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <aside className="theme-editor record-panel" aria-label="Recording">
+      <div className="te-head">
+        <div className="te-title">🎬 녹화</div>
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <label className="te-row">
+        <span>형식</span>
+        <select
+          value={config.format}
+          disabled={busy}
+          onChange={(e) => set({ format: e.target.value })}
+        >
+          {RECORD_FORMAT_KEYS.map((k) => (
+            <option key={k} value={k}>
+              {RECORD_FORMATS[k]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <Slider
+        label="길이(초)"
+        value={config.duration}
+        range={RECORD_LIMITS.duration}
+        step={1}
+        onChange={(duration) => set({ duration })}
+      />
+      <Slider
+        label="FPS"
+        value={config.fps}
+        range={RECORD_LIMITS.fps}
+        step={5}
+        onChange={(fps) => set({ fps })}
+      />
+      <label className="te-row">
+        <span>360° 회전</span>
+        <input
+          type="checkbox"
+          checked={config.turntable}
+          disabled={busy}
+          onChange={(e) => set({ turntable: e.target.checked })}
+        />
+      </label>
+      <div className="te-hint">
+        {noWebm
+          ? "이 브라우저는 WebM 녹화를 지원하지 않습니다"
+          : "화면 크기로 한 프레임씩 렌더링 · GIF는 640px, 25fps까지"}
+      </div>
+
+      <div className="te-actions">
+        <button
+          className="te-btn"
+          type="button"
+          disabled={busy || noWebm}
+          onClick={start}
+        >
+          {busy ? `녹화 중… ${Math.round(progress * 100)}%` : "녹화 시작"}
+        </button>
+      </div>
+
+      {error && <div className="te-error">{error}</div>}
+    </aside>
+  );
+}
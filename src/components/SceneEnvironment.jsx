@@ -0,0 +1,70 @@
+import { Component, Suspense, useEffect, useMemo, useState } from "react";
+import { Environment, Lightformer } from "@react-three/drei";
+import { findLocalEnv } from "./envFiles";
+import { proceduralEnvironment } from "./environments";
+
+/* =========================
+   Scene environment (image based lighting)
+========================= */
+
+// built in-scene from lightformers, so it never needs the network
+function ProceduralEnvironment({ preset, tokens }) {
+  const env = useMemo(
+    () => proceduralEnvironment(preset, tokens),
+    [preset, tokens]
+  );
+  return (
+    <Environment resolution={128}>
+      <color attach="background" args={[env.background]} />
+      {env.formers.map((f, i) => (
+        <Lightformer key={i} {...f} />
+      ))}
+    </Environment>
+  );
+}
+
+// shows `fallback` once its children throw (an HDR that failed to load)
+class EnvironmentBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
+// the preset's file in public/env: undefined while looking, null if absent
+function useLocalEnv(preset) {
+  const [found, setFound] = useState({ preset: null, url: undefined });
+  useEffect(() => {
+    let live = true;
+    findLocalEnv(preset).then((url) => live && setFound({ preset, url }));
+    return () => {
+      live = false;
+    };
+  }, [preset]);
+  return found.preset === preset ? found.url : undefined;
+}
+
+// A local HDR (public/env) when there is one, then drei's CDN preset unless
+// offline, then the procedural stand-in. The procedural one also lights the
+// scene while a file is still being looked for or loaded.
+export default function SceneEnvironment({ preset, tokens, offline }) {
+  const local = useLocalEnv(preset);
+  const procedural = <ProceduralEnvironment preset={preset} tokens={tokens} />;
+  if (local === undefined) return procedural;
+
+  const attempt = (environment, fallback) => (
+    <EnvironmentBoundary key={preset} fallback={fallback}>
+      <Suspense fallback={procedural}>{environment}</Suspense>
+    </EnvironmentBoundary>
+  );
+
+  const remote = offline
+    ? procedural
+    : attempt(<Environment preset={preset} />, procedural);
+  return local ? attempt(<Environment files={local} />, remote) : remote;
+}
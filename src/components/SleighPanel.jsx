@@ -0,0 +1,153 @@
+import { Slider } from "./PanelControls";
+import {
+  DEFAULT_SLEIGH,
+  MAX_WAYPOINTS,
+  MIN_WAYPOINTS,
+  SLEIGH_LIMITS,
+  normalizeSleigh,
+  normalizeWaypoint,
+} from "./sleigh";
+
+/* =========================
+   Sleigh flight panel
+========================= */
+
+const AXES = ["x", "y", "z"];
+
+export default function SleighPanel({ config, onChange, onLaunch, onClose }) {
+  const set = (patch) => onChange(normalizeSleigh({ ...config, ...patch }));
+  const { waypoints } = config;
+
+  const setPoint = (i, axis, value) =>
+    set({
+      waypoints: waypoints.map((p, k) =>
+        k === i
+          ? normalizeWaypoint(p.map((v, a) => (a === axis ? value : v)))
+          : p
+      ),
+    });
+
+  // new point halfway to the next one (or past the last)
+  const addPoint = (i) => {
+    const a = waypoints[i];
+    const b = waypoints[i + 1] ?? a.map((v) => v * 1.2);
+    const mid = a.map((v, k) => +((v + b[k]) / 2).toFixed(2));
+    set({
+      waypoints: [...waypoints.slice(0, i + 1), mid, ...waypoints.slice(i + 1)],
+      drop: config.drop > i ? config.drop + 1 : config.drop,
+    });
+  };
+
+  const removePoint = (i) =>
+    set({
+      waypoints: waypoints.filter((_, k) => k !== i),
+      drop: config.drop > i ? config.drop - 1 : config.drop,
+    });
+
+  return (
+    <aside className="theme-editor sleigh-panel" aria-label="Sleigh flight">
+      <div className="te-head">
+        <div className="te-title">🛷 썰매 비행</div>
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <label className="te-row">
+        <span>사용</span>
+        <input
+          type="checkbox"
+          checked={config.enabled}
+          onChange={(e) => set({ enabled: e.target.checked })}
+        />
+      </label>
+      <Slider
+        label="간격"
+        value={config.interval}
+        range={SLEIGH_LIMITS.interval}
+        step={5}
+        onChange={(interval) => set({ interval })}
+      />
+      {config.interval === 0 && (
+        <div className="te-hint">산타를 클릭하거나 출발 버튼으로만 비행</div>
+      )}
+      <Slider
+        label="비행 시간"
+        value={config.duration}
+        range={SLEIGH_LIMITS.duration}
+        step={1}
+        onChange={(duration) => set({ duration })}
+      />
+
+      <div className="te-section">
+        경로
+        <span>투하</span>
+      </div>
+      {waypoints.map((p, i) => (
+        <div className="te-row sleigh-wp" key={i}>
+          <span>#{i + 1}</span>
+          {AXES.map((axis, a) => (
+            <input
+              key={axis}
+              type="number"
+              step={0.1}
+              min={SLEIGH_LIMITS[axis][0]}
+              max={SLEIGH_LIMITS[axis][1]}
+              value={p[a]}
+              title={axis}
+              onChange={(e) => setPoint(i, a, Number(e.target.value))}
+            />
+          ))}
+          <input
+            type="radio"
+            name="sleigh-drop"
+            checked={config.drop === i}
+            title="선물 투하 지점"
+            onChange={() => set({ drop: i })}
+          />
+          <button
+            className="te-mini"
+            type="button"
+            title="다음에 지점 추가"
+            disabled={waypoints.length >= MAX_WAYPOINTS}
+            onClick={() => addPoint(i)}
+          >
+            +
+          </button>
+          <button
+            className="te-mini"
+            type="button"
+            title="지점 삭제"
+            disabled={waypoints.length <= MIN_WAYPOINTS}
+            onClick={() => removePoint(i)}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="te-actions">
+        <button
+          className="te-btn"
+          type="button"
+          disabled={!config.enabled}
+          onClick={onLaunch}
+        >
+          지금 출발
+        </button>
+        <button
+          className="te-btn"
+          type="button"
+          onClick={() =>
+            set({
+              waypoints: DEFAULT_SLEIGH.waypoints,
+              drop: DEFAULT_SLEIGH.drop,
+            })
+          }
+        >
+          기본 경로
+        </button>
+      </div>
+    </aside>
+  );
+}
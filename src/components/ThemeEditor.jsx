@@ -0,0 +1,443 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  BURST_PRESETS,
+  BURST_PRESET_KEYS,
+  BURST_ROLES,
+  DEFAULT_BURSTS,
+} from "./bursts";
+import { LIGHT_PATTERNS, LIGHT_PATTERN_KEYS } from "./lightPatterns";
+import { ORNAMENT_KINDS, ORNAMENT_LABELS } from "./ornaments";
+import { Slider } from "./PanelControls";
+import {
+  ENV_PRESETS,
+  LIMITS,
+  downloadText,
+  joinColor,
+  makeThemeKey,
+  splitColor,
+  themeFromFile,
+  themeToFile,
+} from "./themeStore";
+
+/* =========================
+   Theme editor panel
+========================= */
+
+const COLOR_FIELDS = [
+  { key: "bg", label: "배경" },
+  { key: "tree", label: "트리" },
+  { key: "trunk", label: "기둥" },
+  { key: "star", label: "별" },
+  { key: "light", label: "조명" },
+  { key: "spark", label: "반짝이" },
+];
+
+const ALPHA_FIELDS = [
+  { key: "panel", label: "패널" },
+  { key: "stroke", label: "테두리" },
+  { key: "fg", label: "글자" },
+];
+
+function cloneTheme(theme) {
+  return JSON.parse(JSON.stringify(theme));
+}
+
+function draftFrom(active, isCustom) {
+  const d = cloneTheme(active);
+  if (!isCustom) {
+    d.key = makeThemeKey();
+    d.label = `${active.label} 커스텀`;
+  }
+  return d;
+}
+
+export default function ThemeEditor({
+  activeTheme,
+  customThemes,
+  baseThemes,
+  onPreview,
+  onSave,
+  onDelete,
+  onClose,
+}) {
+  const isSaved = (key) => customThemes.some((t) => t.key === key);
+
+  const [draft, setDraft] = useState(() =>
+    draftFrom(activeTheme, isSaved(activeTheme.key))
+  );
+  const [error, setError] = useState("");
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    onPreview(draft);
+  }, [draft, onPreview]);
+
+  // drop the preview when the panel goes away
+  useEffect(() => () => onPreview(null), [onPreview]);
+
+  const setToken = (key, value) =>
+    setDraft((d) => ({ ...d, tokens: { ...d.tokens, [key]: value } }));
+  const setSway = (key, value) =>
+    setToken("sway", { ...draft.tokens.sway, [key]: value });
+  const setWind = (key, value) =>
+    setToken("wind", { ...draft.tokens.wind, [key]: value });
+  const setFog = (key, value) =>
+    setToken("fog", { ...draft.tokens.fog, [key]: value });
+  const setCamera = (key, value) =>
+    setDraft((d) => ({ ...d, camera: { ...d.camera, [key]: value } }));
+
+  const setPalette = (palette) => setToken("palette", palette);
+  const setMix = (kind, weight) => {
+    const next = { ...draft.tokens.ornaments, [kind]: weight };
+    if (!weight) delete next[kind];
+    // keep at least one shape in the mix
+    if (Object.keys(next).length) setToken("ornaments", next);
+  };
+
+  const onExport = () => {
+    const name = draft.label.replace(/[^\w가-힣-]+/g, "_") || "theme";
+    downloadText(`${name}.x3d-theme.json`, themeToFile(draft));
+  };
+
+  const onImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const theme = themeFromFile(
+        await file.text(),
+        baseThemes.map((t) => t.key)
+      );
+      setDraft(theme);
+      setError("");
+    } catch (err) {
+      setError(`가져오기 실패: ${err.message}`);
+    }
+  };
+
+  const onSaveClick = () => {
+    try {
+      onSave(draft);
+      setError("");
+    } catch (err) {
+      setError(`저장 실패: ${err.message}`);
+    }
+  };
+
+  const { tokens, camera } = draft;
+
+  return (
+    <aside className="theme-editor" aria-label="Theme editor">
+      <div className="te-head">
+        <input
+          className="te-name"
+          value={draft.label}
+          maxLength={24}
+          onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))}
+        />
+        <button className="pill" type="button" onClick={onClose} title="닫기">
+          ✕
+        </button>
+      </div>
+
+      <label className="te-row">
+        <span>스타일</span>
+        <select
+          value={draft.base}
+          onChange={(e) => setDraft((d) => ({ ...d, base: e.target.value }))}
+        >
+          {baseThemes.map((t) => (
+            <option key={t.key} value={t.key}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="te-section">색상</div>
+      <div className="te-grid">
+        {COLOR_FIELDS.map((f) => (
+          <label key={f.key} className="te-swatch">
+            <input
+              type="color"
+              value={tokens[f.key]}
+              onChange={(e) => setToken(f.key, e.target.value)}
+            />
+            <span>{f.label}</span>
+          </label>
+        ))}
+        <label className="te-swatch">
+          <input
+            type="color"
+            value={tokens.fog.color}
+            onChange={(e) => setFog("color", e.target.value)}
+          />
+          <span>안개</span>
+        </label>
+      </div>
+
+      <div className="te-section">UI</div>
+      {ALPHA_FIELDS.map((f) => {
+        const c = splitColor(tokens[f.key]) ?? { hex: "#ffffff", alpha: 1 };
+        return (
+          <label key={f.key} className="te-row">
+            <span>{f.label}</span>
+            <input
+              type="color"
+              value={c.hex}
+              onChange={(e) =>
+                setToken(f.key, joinColor(e.target.value, c.alpha))
+              }
+            />
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={c.alpha}
+              onChange={(e) =>
+                setToken(f.key, joinColor(c.hex, Number(e.target.value)))
+              }
+            />
+          </label>
+        );
+      })}
+
+      <div className="te-section">
+        팔레트
+        <button
+          className="te-mini"
+          type="button"
+          disabled={tokens.palette.length >= LIMITS.paletteMax}
+          onClick={() =>
+            setPalette([
+              ...tokens.palette,
+              tokens.palette[tokens.palette.length - 1],
+            ])
+          }
+        >
+          ＋
+        </button>
+      </div>
+      <div className="te-grid">
+        {tokens.palette.map((c, i) => (
+          <span key={i} className="te-swatch">
+            <input
+              type="color"
+              value={c}
+              onChange={(e) =>
+                setPalette(
+                  tokens.palette.map((p, j) => (j === i ? e.target.value : p))
+                )
+              }
+            />
+            <button
+              className="te-mini"
+              type="button"
+              disabled={tokens.palette.length <= LIMITS.paletteMin}
+              onClick={() =>
+                setPalette(tokens.palette.filter((_, j) => j !== i))
+              }
+            >
+              −
+            </button>
+          </span>
+        ))}
+      </div>
+
+      <div className="te-section">오너먼트</div>
+      {ORNAMENT_KINDS.map((kind) => (
+        <Slider
+          key={kind}
+          label={ORNAMENT_LABELS[kind]}
+          value={tokens.ornaments?.[kind] ?? 0}
+          range={LIMITS.ornamentWeight}
+          step={1}
+          onChange={(v) => setMix(kind, v)}
+        />
+      ))}
+
+      <div className="te-section">흔들림 · 바람 · 안개</div>
+      <Slider
+        label="X"
+        value={tokens.sway.ax}
+        range={LIMITS.swayAx}
+        step={0.002}
+        onChange={(v) => setSway("ax", v)}
+      />
+      <Slider
+        label="Y"
+        value={tokens.sway.ay}
+        range={LIMITS.swayAy}
+        step={0.002}
+        onChange={(v) => setSway("ay", v)}
+      />
+      <Slider
+        label="속도"
+        value={tokens.sway.speed}
+        range={LIMITS.swaySpeed}
+        step={0.05}
+        onChange={(v) => setSway("speed", v)}
+      />
+      <Slider
+        label="바람 방향"
+        value={tokens.wind.angle}
+        range={LIMITS.windAngle}
+        step={5}
+        onChange={(v) => setWind("angle", v)}
+      />
+      <Slider
+        label="바람 세기"
+        value={tokens.wind.strength}
+        range={LIMITS.windStrength}
+        step={0.05}
+        onChange={(v) => setWind("strength", v)}
+      />
+      <Slider
+        label="near"
+        value={tokens.fog.near}
+        range={LIMITS.fogNear}
+        step={1}
+        onChange={(v) => setFog("near", Math.min(v, tokens.fog.far - 1))}
+      />
+      <Slider
+        label="far"
+        value={tokens.fog.far}
+        range={LIMITS.fogFar}
+        step={1}
+        onChange={(v) => setFog("far", Math.max(v, tokens.fog.near + 1))}
+      />
+
+      <label className="te-row">
+        <span>조명 패턴</span>
+        <select
+          value={tokens.lights?.pattern ?? "twinkle"}
+          onChange={(e) =>
+            setToken("lights", { ...tokens.lights, pattern: e.target.value })
+          }
+        >
+          {LIGHT_PATTERN_KEYS.map((k) => (
+            <option key={k} value={k}>
+              {LIGHT_PATTERNS[k]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="te-row">
+        <span>환경</span>
+        <select
+          value={tokens.env}
+          onChange={(e) => setToken("env", e.target.value)}
+        >
+          {ENV_PRESETS.map((env) => (
+            <option key={env} value={env}>
+              {env}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="te-section">이펙트</div>
+      {Object.entries(BURST_ROLES).map(([role, label]) => (
+        <label key={role} className="te-row">
+          <span>{label}</span>
+          <select
+            value={tokens.bursts?.[role] ?? DEFAULT_BURSTS[role]}
+            onChange={(e) =>
+              setToken("bursts", { ...tokens.bursts, [role]: e.target.value })
+            }
+          >
+            {BURST_PRESET_KEYS.map((k) => (
+              <option key={k} value={k}>
+                {BURST_PRESETS[k]}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <div className="te-section">카메라</div>
+      {["X", "Y", "Z"].map((axis, i) => (
+        <Slider
+          key={axis}
+          label={`위치 ${axis}`}
+          value={camera.pos[i]}
+          range={LIMITS.camPos}
+          step={0.05}
+          onChange={(v) =>
+            setCamera(
+              "pos",
+              camera.pos.map((p, j) => (j === i ? v : p))
+            )
+          }
+        />
+      ))}
+      <Slider
+        label="타겟 Y"
+        value={camera.target[1]}
+        range={LIMITS.camTargetY}
+        step={0.05}
+        onChange={(v) =>
+          setCamera("target", [camera.target[0], v, camera.target[2]])
+        }
+      />
+      <Slider
+        label="FOV"
+        value={camera.fov}
+        range={LIMITS.fov}
+        step={1}
+        onChange={(v) => setCamera("fov", v)}
+      />
+      <Slider
+        label="회전"
+        value={camera.autoRotateSpeed}
+        range={LIMITS.autoRotateSpeed}
+        step={0.05}
+        onChange={(v) => setCamera("autoRotateSpeed", v)}
+      />
+      <label className="te-row">
+        <span>자동 회전</span>
+        <input
+          type="checkbox"
+          checked={camera.autoRotate}
+          onChange={(e) => setCamera("autoRotate", e.target.checked)}
+        />
+      </label>
+
+      {error && <div className="te-error">{error}</div>}
+
+      <div className="te-actions">
+        <button className="te-btn" type="button" onClick={onSaveClick}>
+          저장
+        </button>
+        <button className="te-btn" type="button" onClick={onExport}>
+          내보내기
+        </button>
+        <button
+          className="te-btn"
+          type="button"
+          onClick={() => fileRef.current?.click()}
+        >
+          가져오기
+        </button>
+        {isSaved(draft.key) && (
+          <button
+            className="te-btn danger"
+            type="button"
+            onClick={() => onDelete(draft.key)}
+          >
+            삭제
+          </button>
+        )}
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={onImportFile}
+        />
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,17 @@
+/* =========================
+   "New version" prompt
+========================= */
+
+export default function UpdateBanner({ onReload, onDismiss }) {
+  return (
+    <div className="update-banner" role="status">
+      <span>새 버전이 있습니다</span>
+      <button className="te-btn" type="button" onClick={onReload}>
+        새로고침
+      </button>
+      <button className="pill" type="button" onClick={onDismiss} title="나중에">
+        ✕
+      </button>
+    </div>
+  );
+}
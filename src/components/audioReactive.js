@@ -0,0 +1,157 @@
+/* =========================
+   Music-reactive input (Web Audio)
+========================= */
+
+export const SENSITIVITY_RANGE = [0.2, 3];
+export const DEFAULT_SENSITIVITY = 1;
+
+const FFT_SIZE = 1024;
+// band edges in Hz
+const BANDS = { bass: [30, 160], mid: [160, 2000], treble: [2000, 9000] };
+const BEAT_GAP = 0.28; // s, shortest time between two beats
+
+export function canUseMicrophone() {
+  return (
+    typeof navigator !== "undefined" && !!navigator.mediaDevices?.getUserMedia
+  );
+}
+
+// shared, mutated every frame by the driver; consumers only read it
+export function makeAudioState() {
+  return {
+    active: false,
+    level: 0,
+    bass: 0,
+    mid: 0,
+    treble: 0,
+    beat: 0, // 1 on a beat, decays toward 0
+    beats: 0, // running beat count, so consumers can spot new ones
+  };
+}
+
+function getAudioContext() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) throw new Error("이 브라우저는 Web Audio를 지원하지 않습니다");
+  return new Ctx();
+}
+
+function bandRange(ctx, analyser, [lo, hi]) {
+  const binHz = ctx.sampleRate / analyser.fftSize;
+  const n = analyser.frequencyBinCount;
+  const from = Math.min(n - 1, Math.max(0, Math.floor(lo / binHz)));
+  const to = Math.min(n, Math.max(from + 1, Math.ceil(hi / binHz)));
+  return [from, to];
+}
+
+function createReactor(ctx, analyser, { kind, label, element, stopSource }) {
+  const data = new Uint8Array(analyser.frequencyBinCount);
+  const ranges = Object.fromEntries(
+    Object.entries(BANDS).map(([k, r]) => [k, bandRange(ctx, analyser, r)])
+  );
+  const avg = ([from, to]) => {
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += data[i];
+    return sum / ((to - from) * 255);
+  };
+
+  // slow-moving bass average the beat detector compares against
+  let bassMean = 0;
+  let lastBeat = -Infinity;
+
+  return {
+    kind,
+    label,
+    element,
+
+    // writes band levels and beats into out; now is seconds
+    sample(out, sensitivity, now) {
+      analyser.getByteFrequencyData(data);
+      const bass = avg(ranges.bass);
+      const mid = avg(ranges.mid);
+      const treble = avg(ranges.treble);
+
+      bassMean = bassMean * 0.94 + bass * 0.06;
+      const threshold = 1 + 0.5 / sensitivity;
+      if (
+        bass > 0.12 &&
+        bass > bassMean * threshold &&
+        now - lastBeat > BEAT_GAP
+      ) {
+        lastBeat = now;
+        out.beats += 1;
+      }
+
+      const gain = (v) => Math.min(1, v * sensitivity * 1.4);
+      out.active = true;
+      out.bass = gain(bass);
+      out.mid = gain(mid);
+      out.treble = gain(treble);
+      out.level = gain((bass + mid + treble) / 3);
+      out.beat = Math.exp(-(now - lastBeat) * 6);
+    },
+
+    stop() {
+      stopSource();
+      ctx.close().catch(() => {});
+    },
+  };
+}
+
+// plays the file (looped) through the speakers while analysing it
+export async function openAudioFile(file) {
+  const ctx = getAudioContext();
+  const url = URL.createObjectURL(file);
+  const element = new Audio(url);
+  element.loop = true;
+
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  analyser.smoothingTimeConstant = 0.7;
+  ctx.createMediaElementSource(element).connect(analyser);
+  analyser.connect(ctx.destination);
+
+  try {
+    await ctx.resume();
+    await element.play();
+  } catch (e) {
+    URL.revokeObjectURL(url);
+    ctx.close().catch(() => {});
+    throw new Error("오디오 파일을 재생할 수 없습니다");
+  }
+
+  return createReactor(ctx, analyser, {
+    kind: "file",
+    label: file.name,
+    element,
+    stopSource: () => {
+      element.pause();
+      element.removeAttribute("src");
+      URL.revokeObjectURL(url);
+    },
+  });
+}
+
+// analyses the microphone only; it is never routed to the speakers
+export async function openMicrophone() {
+  if (!canUseMicrophone()) throw new Error("마이크를 사용할 수 없습니다");
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (e) {
+    throw new Error("마이크 권한이 거부되었습니다");
+  }
+
+  const ctx = getAudioContext();
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  analyser.smoothingTimeConstant = 0.6;
+  ctx.createMediaStreamSource(stream).connect(analyser);
+  await ctx.resume().catch(() => {});
+
+  return createReactor(ctx, analyser, {
+    kind: "mic",
+    label: "마이크",
+    element: null,
+    stopSource: () => stream.getTracks().forEach((t) => t.stop()),
+  });
+}
@@ -0,0 +1,359 @@
+import * as THREE from "three";
+
+/* =========================
+   Burst effects (pooled emitters + presets)
+========================= */
+
+// render layers; each is one instanced mesh with its own pool
+export const BURST_LAYERS = {
+  spark: 720, // small glowing spheres
+  confetti: 320, // flat quads that tumble
+  heart: 160, // camera-facing hearts
+  ring: 16, // flat expanding shockwave rings
+};
+
+export const BURST_PRESETS = {
+  sparkle: "스파클",
+  confetti: "컨페티",
+  snow: "눈송이",
+  heart: "하트",
+  ring: "충격파",
+  firework: "불꽃놀이",
+};
+export const BURST_PRESET_KEYS = Object.keys(BURST_PRESETS);
+
+// who fires a burst; themes map each role to a preset
+export const BURST_ROLES = {
+  gift: "선물",
+  santa: "산타",
+  rudolph: "루돌프",
+  snowman: "눈사람",
+  elf: "요정",
+  beat: "음악 비트",
+};
+export const DEFAULT_BURSTS = {
+  gift: "confetti",
+  santa: "sparkle",
+  rudolph: "heart",
+  snowman: "snow",
+  elf: "sparkle",
+  beat: "ring",
+};
+
+// which scene events (sceneEvents.js) set off a burst, and as which role;
+// a clicked character names its own
+export function burstRoleFor(event) {
+  switch (event.type) {
+    case "giftOpened":
+    case "giftAutoOpened":
+    case "giftDelivered":
+      return "gift";
+    case "characterClicked":
+      return event.role;
+    case "beat":
+      return "beat";
+    default:
+      return null;
+  }
+}
+
+function heartShape() {
+  const s = new THREE.Shape();
+  s.moveTo(0, -0.9);
+  s.bezierCurveTo(-0.35, -0.55, -1, -0.2, -1, 0.3);
+  s.bezierCurveTo(-1, 0.75, -0.55, 0.95, -0.25, 0.9);
+  s.bezierCurveTo(-0.1, 0.87, 0, 0.75, 0, 0.6);
+  s.bezierCurveTo(0, 0.75, 0.1, 0.87, 0.25, 0.9);
+  s.bezierCurveTo(0.55, 0.95, 1, 0.75, 1, 0.3);
+  s.bezierCurveTo(1, -0.2, 0.35, -0.55, 0, -0.9);
+  return s;
+}
+
+// unit-sized geometry per render layer
+export function buildBurstGeometries(segments = 10) {
+  const ring = new THREE.RingGeometry(0.86, 1, 48);
+  ring.rotateX(-Math.PI / 2);
+  return {
+    spark: new THREE.SphereGeometry(1, segments, segments),
+    confetti: new THREE.PlaneGeometry(1, 0.6),
+    heart: new THREE.ShapeGeometry(heartShape(), 8),
+    ring,
+  };
+}
+
+/* -------- pool -------- */
+
+function makeParticle() {
+  return {
+    alive: false,
+    age: 0,
+    life: 1,
+    x: 0,
+    y: 0,
+    z: 0,
+    vx: 0,
+    vy: 0,
+    vz: 0,
+    gravity: 0,
+    drag: 0, // per second
+    size: 0.02,
+    grow: 0, // size multiplier reached at end of life (0: shrink/flare)
+    r: 1,
+    g: 1,
+    b: 1,
+    // tumbling axis + angle (confetti)
+    ax: 0,
+    ay: 1,
+    az: 0,
+    spin: 0,
+    angle: 0,
+    onDeath: null,
+  };
+}
+
+export function createBurstPools() {
+  const pools = {};
+  for (const [layer, capacity] of Object.entries(BURST_LAYERS)) {
+    pools[layer] = {
+      items: Array.from({ length: capacity }, makeParticle),
+      cursor: 0,
+    };
+  }
+  return pools;
+}
+
+// next free slot; when the pool is full the oldest slot in line is reused
+function claim(pool) {
+  const { items } = pool;
+  for (let k = 0; k < items.length; k++) {
+    const i = (pool.cursor + k) % items.length;
+    if (!items[i].alive) {
+      pool.cursor = (i + 1) % items.length;
+      return items[i];
+    }
+  }
+  const p = items[pool.cursor];
+  pool.cursor = (pool.cursor + 1) % items.length;
+  return p;
+}
+
+const BLANK = makeParticle();
+
+function emit(pools, layer, props) {
+  const p = claim(pools[layer]);
+  Object.assign(p, BLANK, props, { alive: true, age: 0 });
+  return p;
+}
+
+/* -------- presets -------- */
+
+function randomDir(rnd, upBias = 0) {
+  const u = rnd() * 2 - 1;
+  const a = rnd() * Math.PI * 2;
+  const s = Math.sqrt(1 - u * u);
+  const y = u + upBias;
+  const len = Math.hypot(s * Math.cos(a), y, s * Math.sin(a));
+  return [(s * Math.cos(a)) / len, y / len, (s * Math.sin(a)) / len];
+}
+
+function pick(rnd, arr) {
+  return arr[Math.floor(rnd() * arr.length)];
+}
+
+const SPAWNERS = {
+  sparkle(pools, o, { color }, rnd) {
+    for (let i = 0; i < 56; i++) {
+      const [dx, dy, dz] = randomDir(rnd, 0.7);
+      const sp = 1.6 + rnd() * 2.2;
+      emit(pools, "spark", {
+        ...o,
+        vx: dx * sp,
+        vy: dy * sp,
+        vz: dz * sp,
+        life: 0.9 + rnd() * 0.7,
+        gravity: 2.4,
+        drag: 0.9,
+        size: 0.02 + rnd() * 0.02,
+        ...color,
+      });
+    }
+  },
+
+  confetti(pools, o, { palette }, rnd) {
+    for (let i = 0; i < 64; i++) {
+      const [dx, dy, dz] = randomDir(rnd, 1.6);
+      const sp = 2 + rnd() * 1.6;
+      const [ax, ay, az] = randomDir(rnd);
+      emit(pools, "confetti", {
+        ...o,
+        vx: dx * sp,
+        vy: dy * sp,
+        vz: dz * sp,
+        life: 1.6 + rnd() * 0.9,
+        gravity: 1.6,
+        drag: 2.4,
+        size: 0.028 + rnd() * 0.02,
+        grow: 1,
+        ax,
+        ay,
+        az,
+        spin: 6 + rnd() * 9,
+        angle: rnd() * Math.PI * 2,
+        ...pick(rnd, palette),
+      });
+    }
+  },
+
+  snow(pools, o, _colors, rnd) {
+    for (let i = 0; i < 48; i++) {
+      const [dx, dy, dz] = randomDir(rnd, 0.3);
+      const sp = 0.5 + rnd() * 1;
+      emit(pools, "spark", {
+        ...o,
+        vx: dx * sp,
+        vy: dy * sp,
+        vz: dz * sp,
+        life: 1.4 + rnd() * 0.9,
+        gravity: 0.3,
+        drag: 1.8,
+        size: 0.014 + rnd() * 0.016,
+        grow: 1,
+        r: 0.92,
+        g: 0.96,
+        b: 1,
+      });
+    }
+  },
+
+  heart(pools, o, { color }, rnd) {
+    for (let i = 0; i < 14; i++) {
+      const a = rnd() * Math.PI * 2;
+      const out = 0.2 + rnd() * 0.5;
+      emit(pools, "heart", {
+        ...o,
+        vx: Math.cos(a) * out,
+        vy: 0.6 + rnd() * 0.7,
+        vz: Math.sin(a) * out,
+        life: 1.3 + rnd() * 0.8,
+        gravity: -0.25,
+        drag: 0.8,
+        size: 0.045 + rnd() * 0.035,
+        grow: 1.2,
+        spin: (rnd() - 0.5) * 3,
+        ...color,
+      });
+    }
+  },
+
+  ring(pools, o, { color }, rnd) {
+    emit(pools, "ring", { ...o, life: 0.75, size: 0.05, grow: 32, ...color });
+    // a few sparks riding the wave
+    for (let i = 0; i < 16; i++) {
+      const a = (i / 16) * Math.PI * 2 + rnd() * 0.2;
+      emit(pools, "spark", {
+        ...o,
+        vx: Math.cos(a) * 2.2,
+        vy: 0.2,
+        vz: Math.sin(a) * 2.2,
+        life: 0.6,
+        drag: 2,
+        size: 0.015,
+        ...color,
+      });
+    }
+  },
+
+  firework(pools, o, { color, palette }, rnd) {
+    const explode = (p, scale, depth) => {
+      const { x, y, z } = p;
+      const c = depth === 0 ? pick(rnd, palette) : { r: p.r, g: p.g, b: p.b };
+      const n = depth === 0 ? 48 : 10;
+      for (let i = 0; i < n; i++) {
+        const [dx, dy, dz] = randomDir(rnd);
+        const sp = (1.3 + rnd() * 0.9) * scale;
+        emit(pools, "spark", {
+          x,
+          y,
+          z,
+          vx: dx * sp,
+          vy: dy * sp,
+          vz: dz * sp,
+          life: 0.7 + rnd() * 0.5,
+          gravity: 1.1,
+          drag: 1.4,
+          size: depth === 0 ? 0.018 : 0.011,
+          ...c,
+          // a few sparks pop again: the secondary explosions
+          onDeath:
+            depth === 0 && rnd() < 0.12
+              ? (q) => explode(q, 0.45, depth + 1)
+              : null,
+        });
+      }
+    };
+
+    emit(pools, "spark", {
+      ...o,
+      vx: (rnd() - 0.5) * 0.4,
+      vy: 3.4 + rnd() * 0.8,
+      vz: (rnd() - 0.5) * 0.4,
+      life: 0.75 + rnd() * 0.2,
+      gravity: 2.2,
+      size: 0.026,
+      grow: 0.6,
+      ...color,
+      onDeath: (p) => explode(p, 1, 0),
+    });
+  },
+};
+
+// colors arrive as { r, g, b } (0..1) so presets never allocate THREE.Color
+export function spawnBurst(pools, preset, origin, colors, rnd) {
+  const spawn = SPAWNERS[preset] ?? SPAWNERS.sparkle;
+  spawn(pools, { x: origin.x, y: origin.y, z: origin.z }, colors, rnd);
+}
+
+// advances every live particle; death callbacks may spawn more. They get
+// a copy of the dead particle: a callback's emits can hand its slot (or
+// another dead one's) out again before the next callback runs
+export function stepBursts(pools, dt) {
+  const dead = [];
+  for (const pool of Object.values(pools)) {
+    for (const p of pool.items) {
+      if (!p.alive) continue;
+      p.age += dt;
+      if (p.age >= p.life) {
+        p.alive = false;
+        if (p.onDeath)
+          dead.push([
+            p.onDeath,
+            { x: p.x, y: p.y, z: p.z, r: p.r, g: p.g, b: p.b },
+          ]);
+        continue;
+      }
+      const k = Math.exp(-p.drag * dt);
+      p.vx *= k;
+      p.vz *= k;
+      p.vy = p.vy * k - p.gravity * dt;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.z += p.vz * dt;
+      p.angle += p.spin * dt;
+    }
+  }
+  for (const [onDeath, p] of dead) onDeath(p);
+}
+
+// scale of a live particle: grow > 0 eases toward size * grow, grow 0
+// flares then shrinks like the original spray
+export function particleScale(p) {
+  const a = p.age / p.life;
+  if (p.grow > 0) return p.size * (1 + (p.grow - 1) * Math.sqrt(a));
+  return p.size * (0.6 + a * 0.8) * (a > 0.8 ? (1 - a) / 0.2 : 1);
+}
+
+// 1 -> 0 over the last part of life
+export function particleFade(p) {
+  const a = p.age / p.life;
+  return a < 0.6 ? 1 : 1 - (a - 0.6) / 0.4;
+}
@@ -0,0 +1,55 @@
+import {
+  BURST_LAYERS,
+  createBurstPools,
+  spawnBurst,
+  stepBursts,
+} from "./bursts";
+import { mulberry32 } from "./math";
+
+const COLORS = {
+  color: { r: 1, g: 0.8, b: 0.2 },
+  palette: [
+    { r: 1, g: 0, b: 0 },
+    { r: 0, g: 1, b: 0 },
+  ],
+};
+const ORIGIN = { x: 0, y: 1, z: 0 };
+
+const alive = (pool) => pool.items.filter((p) => p.alive).length;
+
+test("fireworks and rings saturating the spark pool keep stepping", () => {
+  const pools = createBurstPools();
+  const rnd = mulberry32(7);
+  // fireworks every 10 frames and rings every 18 for 2 minutes at 60fps
+  for (let frame = 0; frame < 60 * 120; frame++) {
+    if (frame % 10 === 0) spawnBurst(pools, "firework", ORIGIN, COLORS, rnd);
+    if (frame % 18 === 0) spawnBurst(pools, "ring", ORIGIN, COLORS, rnd);
+    expect(() => stepBursts(pools, 1 / 60)).not.toThrow();
+  }
+  expect(alive(pools.spark)).toBeLessThanOrEqual(BURST_LAYERS.spark);
+});
+
+test("secondary explosions start where their spark died", () => {
+  const pools = createBurstPools();
+  spawnBurst(pools, "firework", ORIGIN, COLORS, mulberry32(3));
+  const [shell] = pools.spark.items.filter((p) => p.alive);
+  // one step that ends the shell: its sparks appear at its last position
+  const { x, y, z } = shell;
+  stepBursts(pools, shell.life);
+  const sparks = pools.spark.items.filter((p) => p.alive);
+  expect(sparks.length).toBe(48);
+  for (const p of sparks) {
+    expect(p.x).toBe(x);
+    expect(p.y).toBe(y);
+    expect(p.z).toBe(z);
+  }
+});
+
+test("a full pool reuses slots instead of growing", () => {
+  const pools = createBurstPools();
+  const rnd = mulberry32(1);
+  for (let i = 0; i < 40; i++)
+    spawnBurst(pools, "sparkle", ORIGIN, COLORS, rnd);
+  expect(pools.spark.items).toHaveLength(BURST_LAYERS.spark);
+  expect(alive(pools.spark)).toBe(BURST_LAYERS.spark);
+});
@@ -0,0 +1,126 @@
+import * as THREE from "three";
+
+/* =========================
+   Screenshot capture (hi-res, tiled)
+========================= */
+
+// longest side the browser reliably gives a 2D canvas
+export const MAX_CAPTURE_SIDE = 8192;
+const TILE = 2048;
+
+// output sizes (landscape); print sizes are at 300 DPI
+export const CAPTURE_SIZES = {
+  screen: { label: "화면 ×2", scale: 2 },
+  fhd: { label: "Full HD", width: 1920, height: 1080 },
+  uhd: { label: "4K", width: 3840, height: 2160 },
+  card: { label: "카드 7×5in · 300DPI", width: 2100, height: 1500 },
+  a4: { label: "A4 · 300DPI", width: 3508, height: 2480 },
+  a3: { label: "A3 · 300DPI", width: 4961, height: 3508 },
+};
+export const CAPTURE_SIZE_KEYS = Object.keys(CAPTURE_SIZES);
+
+export const DEFAULT_CAPTURE = {
+  size: "uhd",
+  portrait: false,
+  transparent: false,
+};
+
+// pixel size for a CAPTURE_SIZES key; `canvas` is the on-screen drawing
+// buffer size ({ width, height }) the "screen" entry scales
+export function captureSize(key, portrait, canvas) {
+  const spec = CAPTURE_SIZES[key] ?? CAPTURE_SIZES[DEFAULT_CAPTURE.size];
+  let width = spec.width ?? Math.round(canvas.width * spec.scale);
+  let height = spec.height ?? Math.round(canvas.height * spec.scale);
+  if (spec.width && portrait) [width, height] = [height, width];
+  const k = Math.min(1, MAX_CAPTURE_SIDE / Math.max(width, height));
+  return { width: Math.round(width * k), height: Math.round(height * k) };
+}
+
+// point sprites size themselves in drawing-buffer pixels (snowfall's
+// uViewScale, drei Sparkles' pixelRatio); scale them by k so they keep
+// their look at the output size. Returns the undo.
+function scalePointSprites(scene, k) {
+  const restore = [];
+  scene.traverse((obj) => {
+    const u = obj.material?.uniforms;
+    if (!u) return;
+    for (const name of ["uViewScale", "pixelRatio"]) {
+      if (typeof u[name]?.value !== "number") continue;
+      const v = u[name].value;
+      u[name].value = v * k;
+      restore.push(() => (u[name].value = v));
+    }
+  });
+  return () => restore.forEach((undo) => undo());
+}
+
+// Renders the current camera view at width x height into a new 2D
+// canvas, tile by tile through the renderer's own drawing buffer (so tone
+// mapping and color space match the screen). All tiles render in one
+// task: no frame runs in between, so everything animated is frozen at the
+// capture instant. transparent drops the scene background and fog.
+export function renderCapture(
+  { gl, scene, camera },
+  { width, height, transparent = false }
+) {
+  const out = document.createElement("canvas");
+  out.width = width;
+  out.height = height;
+  const ctx = out.getContext("2d");
+
+  const size = gl.getSize(new THREE.Vector2());
+  const dpr = gl.getPixelRatio();
+  const aspect = camera.aspect;
+  const background = scene.background;
+  const fog = scene.fog;
+  const clearAlpha = gl.getClearAlpha();
+  const restoreSprites = scalePointSprites(scene, height / (size.y * dpr));
+
+  if (transparent) {
+    scene.background = null;
+    scene.fog = null;
+    gl.setClearAlpha(0);
+  }
+  const tile = Math.min(TILE, gl.capabilities.maxTextureSize);
+  gl.setPixelRatio(1);
+  gl.setSize(tile, tile, false);
+  camera.aspect = width / height;
+
+  try {
+    for (let y = 0; y < height; y += tile) {
+      for (let x = 0; x < width; x += tile) {
+        const w = Math.min(tile, width - x);
+        const h = Math.min(tile, height - y);
+        // a partial tile still renders into the full buffer; the view
+        // offset keeps its pixels at the top-left
+        camera.setViewOffset(width, height, x, y, tile, tile);
+        gl.render(scene, camera);
+        ctx.drawImage(gl.domElement, 0, 0, w, h, x, y, w, h);
+      }
+    }
+  } finally {
+    camera.clearViewOffset();
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    scene.background = background;
+    scene.fog = fog;
+    gl.setClearAlpha(clearAlpha);
+    restoreSprites();
+    gl.setPixelRatio(dpr);
+    gl.setSize(size.x, size.y, false);
+    // put the regular view back before the browser composites
+    gl.render(scene, camera);
+  }
+  return out;
+}
+
+export function canvasToBlob(canvas, type = "image/png", quality) {
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("이미지를 만들 수 없습니다")),
+      type,
+      quality
+    )
+  );
+}
@@ -0,0 +1,848 @@
+import * as THREE from "three";
+import { steer } from "./steering";
+
+/* =========================
+   Characters (declarative parts + behaviors)
+========================= */
+
+// A character is plain data:
+//   parts     meshes/groups in model space (+z is forward, y = 0 at its
+//             origin); `name` exposes a part to animations; { model } is
+//             an imported Object3D (customModels.js) instead of a mesh
+//   colors    { default, [themeKey] } maps; parts refer to keys or hex
+//   behavior  movement (orbit | path | idle | wander)
+//   idle      looping animations (wave | pulse | look)
+//   reaction  what a click does for `duration` seconds
+// Numbers inside parts/idle may be { default, [themeKey] } too.
+
+// theme-dependent value or the value itself
+export function byTheme(value, themeKey) {
+  if (value && typeof value === "object" && "default" in value)
+    return value[themeKey] ?? value.default;
+  return value;
+}
+
+export function characterColors(def, themeKey) {
+  return { ...def.colors.default, ...def.colors[themeKey] };
+}
+
+/* -------- movement behaviors -------- */
+
+function pathLengths(points) {
+  const acc = [0];
+  for (let i = 1; i < points.length; i++) {
+    const [ax, az] = points[i - 1];
+    const [bx, bz] = points[i];
+    acc.push(acc[i - 1] + Math.hypot(bx - ax, bz - az));
+  }
+  return acc;
+}
+
+// point at arc length d along a polyline
+function pathAt(points, acc, d) {
+  let i = 1;
+  while (i < points.length - 1 && acc[i] < d) i++;
+  const [ax, az] = points[i - 1];
+  const [bx, bz] = points[i];
+  const seg = acc[i] - acc[i - 1] || 1;
+  const k = THREE.MathUtils.clamp((d - acc[i - 1]) / seg, 0, 1);
+  return { x: ax + (bx - ax) * k, z: az + (bz - az) * k };
+}
+
+// back-and-forth (or looping) distance -> distance along the polyline
+function pathWrap(spec, total, dist) {
+  if (spec.loop) return ((dist % total) + total) % total;
+  const d = ((dist % (total * 2)) + total * 2) % (total * 2);
+  return d > total ? total * 2 - d : d;
+}
+
+function sectorPoint(region, rnd = Math.random) {
+  const r = THREE.MathUtils.lerp(region.inner, region.outer, rnd());
+  const a = THREE.MathUtils.lerp(region.from, region.to, rnd());
+  return [Math.cos(a) * r, Math.sin(a) * r];
+}
+
+// Behaviors only decide where to go: each step fills st.goal with
+// { x, z, speed, arrive, heading } and steering (steering.js) turns that
+// into eased motion around everything else on the floor.
+// `active` is the click window.
+const BEHAVIORS = {
+  // follow a circle around the tree a little ahead of where we are;
+  // `active` can widen/speed it up (a dash), eased through st.radius
+  orbit: {
+    init: (spec) => ({
+      x: Math.cos(spec.phase ?? 0) * spec.radius,
+      z: Math.sin(spec.phase ?? 0) * spec.radius,
+      radius: spec.radius,
+    }),
+    step(spec, st, dt, active) {
+      const radius = (active && spec.active?.radius) || spec.radius;
+      const speed = (active && spec.active?.speed) || spec.speed;
+      st.radius = THREE.MathUtils.lerp(
+        st.radius,
+        radius,
+        1 - Math.exp(-dt * 2.5)
+      );
+      const ahead = Math.atan2(st.z, st.x) + Math.sign(speed) * 0.35;
+      st.goal.x = Math.cos(ahead) * st.radius;
+      st.goal.z = Math.sin(ahead) * st.radius;
+      st.goal.speed = Math.abs(speed) * st.radius;
+    },
+    footprint(spec, half) {
+      const radii = [spec.radius, spec.active?.radius ?? spec.radius];
+      return [
+        { inner: Math.min(...radii) - half, outer: Math.max(...radii) + half },
+      ];
+    },
+  },
+
+  // walk a polyline of [x, z] points, back and forth or looping; the
+  // carrot waits when we fall behind (pushed aside, blocked)
+  path: {
+    init: (spec) => {
+      const [x, z] = spec.points[0];
+      return { x, z, dist: 0, acc: pathLengths(spec.points) };
+    },
+    step(spec, st, dt) {
+      const total = st.acc[st.acc.length - 1];
+      const carrot = (dist) =>
+        pathAt(spec.points, st.acc, pathWrap(spec, total, dist + 0.25));
+      const c = carrot(st.dist);
+      if (Math.hypot(c.x - st.x, c.z - st.z) < 0.5) st.dist += spec.speed * dt;
+      const next = carrot(st.dist);
+      st.goal.x = next.x;
+      st.goal.z = next.z;
+      st.goal.speed = spec.speed;
+    },
+    footprint(spec, half) {
+      const acc = pathLengths(spec.points);
+      const total = acc[acc.length - 1];
+      const out = [];
+      for (let d = 0; d <= total; d += 0.15) {
+        const p = pathAt(spec.points, acc, d);
+        out.push({ x: p.x, z: p.z, r: half });
+      }
+      return out;
+    },
+  },
+
+  // hold a spot (walks back if pushed), facing out from the tree unless
+  // `yaw` is given
+  idle: {
+    init: (spec) => {
+      const [x, z] = spec.position;
+      return { x, z, heading: spec.yaw ?? Math.atan2(x, z) };
+    },
+    step(spec, st) {
+      const [x, z] = spec.position;
+      Object.assign(st.goal, {
+        x,
+        z,
+        speed: 0.4,
+        arrive: true,
+        heading: spec.yaw ?? Math.atan2(x, z),
+      });
+    },
+    footprint(spec, half) {
+      const [x, z] = spec.position;
+      return [{ x, z, r: half }];
+    },
+  },
+
+  // stroll to random spots inside an annulus sector, pausing in between
+  wander: {
+    init: (spec) => {
+      const [x, z] = sectorPoint(spec.region);
+      return {
+        x,
+        z,
+        heading: Math.atan2(x, z),
+        target: null,
+        pause: 0,
+        stuck: 0,
+      };
+    },
+    step(spec, st, dt) {
+      st.goal.arrive = true;
+      if (st.pause > 0) {
+        st.pause -= dt;
+        st.goal.speed = 0;
+        return;
+      }
+      if (!st.target) st.target = sectorPoint(spec.region);
+      [st.goal.x, st.goal.z] = st.target;
+      st.goal.speed = spec.speed;
+      // blocked (someone standing on the spot): give up after a while
+      st.stuck = st.moving ? 0 : st.stuck + dt;
+      const d = Math.hypot(st.target[0] - st.x, st.target[1] - st.z);
+      if (d < 0.04 || st.stuck > 1.5) {
+        st.target = null;
+        st.stuck = 0;
+        st.pause = 0.6 + Math.random() * 1.6;
+      }
+    },
+    footprint(spec, half) {
+      const { inner, outer, from, to } = spec.region;
+      const mid = (inner + outer) / 2;
+      const r = (outer - inner) / 2 + half;
+      const n = Math.max(1, Math.ceil(((to - from) * mid) / 0.15));
+      return Array.from({ length: n + 1 }, (_, i) => {
+        const a = from + ((to - from) * i) / n;
+        return { x: Math.cos(a) * mid, z: Math.sin(a) * mid, r };
+      });
+    },
+  },
+};
+
+// position/velocity/heading of one character; also its crowd entry
+export function makeMotionState(def) {
+  const st = {
+    x: 0,
+    z: 0,
+    vx: 0,
+    vz: 0,
+    r: def.half,
+    heading: 0,
+    moving: false,
+    away: false,
+    goal: { x: 0, z: 0, speed: 0, arrive: false, heading: null },
+    ...BEHAVIORS[def.behavior.type].init(def.behavior),
+  };
+  st.goal.x = st.x;
+  st.goal.z = st.z;
+  return st;
+}
+
+export function stepMotion(behavior, state, dt, active, crowd) {
+  BEHAVIORS[behavior.type].step(behavior, state, dt, active);
+  steer(state, state.goal, crowd, dt);
+}
+
+// floor area the character may cover, as { inner, outer } rings and
+// { x, z, r } circles (the present layout keeps out of them)
+export function characterFootprint(def) {
+  return BEHAVIORS[def.behavior.type].footprint(def.behavior, def.half);
+}
+
+/* -------- definitions -------- */
+
+const DARK = "#1b1b22";
+const WHITE = "#ffffff";
+
+// rim of the floor disk, outside the reindeer's dash
+const RIM_R = 2.95;
+const arcPoints = (r, from, to, n) =>
+  Array.from({ length: n + 1 }, (_, i) => {
+    const a = from + ((to - from) * i) / n;
+    return [Math.cos(a) * r, Math.sin(a) * r];
+  });
+
+const SANTA = {
+  key: "santa",
+  label: "산타",
+  half: 0.25,
+  y: -0.44,
+  yaw: 0,
+  colors: {
+    default: {
+      suit: "#e63b3b",
+      hat: "#e63b3b",
+      skin: "#ffd7c2",
+      beard: WHITE,
+      burst: "#ffd57c",
+    },
+    neon: { suit: "#ff46ff", hat: "#00ffb4", burst: "#ff46ff" },
+  },
+  behavior: { type: "orbit", radius: 1.65, speed: 0.35 },
+  bob: { amp: 0.02, speed: 2.2 },
+  parts: [
+    {
+      geo: "cylinder",
+      args: [0.14, 0.18, 0.32, 18],
+      position: [0, 0.18, 0],
+      color: "suit",
+      roughness: 0.5,
+      metalness: 0.1,
+      emissive: "suit",
+      emissiveIntensity: { default: 0.06, neon: 0.25 },
+    },
+    {
+      geo: "sphere",
+      args: [0.11, 18, 18],
+      position: [0, 0.44, 0],
+      color: "skin",
+      roughness: 0.6,
+      metalness: 0.05,
+    },
+    {
+      geo: "sphere",
+      args: [0.095, 18, 18],
+      position: [0, 0.39, 0.08],
+      color: "beard",
+      roughness: 0.8,
+    },
+    {
+      geo: "cone",
+      args: [0.12, 0.22, 18],
+      position: [0, 0.55, 0],
+      color: "hat",
+      roughness: 0.45,
+      metalness: 0.08,
+      emissive: "hat",
+      emissiveIntensity: { default: 0.04, neon: 0.22 },
+    },
+    {
+      geo: "sphere",
+      args: [0.04, 14, 14],
+      position: [0, 0.66, 0.06],
+      color: WHITE,
+      roughness: 0.9,
+    },
+    ...[-0.06, 0.06].map((x) => ({
+      geo: "cylinder",
+      args: [0.045, 0.05, 0.22, 12],
+      position: [x, -0.02, 0],
+      color: DARK,
+      roughness: 0.9,
+    })),
+    {
+      name: "arm",
+      position: [0.18, 0.28, 0],
+      rotation: [-0.2, 0, 0],
+      children: [
+        {
+          geo: "cylinder",
+          args: [0.04, 0.04, 0.22, 12],
+          position: [0.06, 0, 0],
+          color: "suit",
+          roughness: 0.55,
+          metalness: 0.08,
+        },
+        {
+          geo: "sphere",
+          args: [0.045, 14, 14],
+          position: [0.12, -0.11, 0],
+          color: WHITE,
+          roughness: 0.9,
+        },
+      ],
+    },
+    {
+      geo: "cylinder",
+      args: [0.04, 0.04, 0.22, 12],
+      position: [-0.18, 0.28, 0],
+      rotation: [0, 0, -0.25],
+      color: "suit",
+      roughness: 0.55,
+      metalness: 0.08,
+    },
+  ],
+  idle: [
+    {
+      type: "wave",
+      part: "arm",
+      axis: "z",
+      speed: 5,
+      amp: 0.6,
+      offset: 0.2,
+      active: { speed: 7.5, amp: 0.95 },
+    },
+  ],
+  reaction: {
+    duration: 1.2,
+    burst: { role: "santa", y: -0.05 },
+    scale: 1.08,
+    jump: { amp: 0.05, speed: 8 },
+    wiggle: { amp: 0.08, speed: 10 },
+  },
+};
+
+const RUDOLPH = {
+  key: "rudolph",
+  label: "루돌프",
+  half: 0.25,
+  y: -0.46,
+  yaw: -Math.PI / 2, // the model's nose points along +x
+  colors: {
+    default: {
+      fur: "#8b5a3c",
+      horn: "#d8c7b7",
+      nose: "#ff3b3b",
+      burst: "#ff3b3b",
+    },
+    neon: {
+      fur: "#7a4dff",
+      horn: "#00ffb4",
+      nose: "#ff46ff",
+      burst: "#00ffb4",
+    },
+  },
+  behavior: {
+    type: "orbit",
+    radius: 2.25,
+    speed: 0.28,
+    phase: 1.2,
+    active: { radius: 2.55, speed: 0.55 }, // dash
+  },
+  bob: { amp: 0.015, speed: 2 },
+  parts: [
+    {
+      geo: "sphere",
+      args: [0.18, 18, 18],
+      position: [0, 0.18, 0],
+      color: "fur",
+      roughness: 0.75,
+      metalness: 0.05,
+    },
+    {
+      geo: "sphere",
+      args: [0.14, 18, 18],
+      position: [-0.18, 0.18, 0],
+      color: "fur",
+      roughness: 0.78,
+      metalness: 0.04,
+    },
+    ...[
+      [-0.08, -0.05, 0.1],
+      [0.05, -0.05, 0.1],
+      [-0.14, -0.05, -0.1],
+      [-0.01, -0.05, -0.1],
+    ].map((position) => ({
+      geo: "cylinder",
+      args: [0.03, 0.035, 0.28, 12],
+      position,
+      color: DARK,
+      roughness: 0.9,
+    })),
+    {
+      name: "head",
+      position: [0.28, 0.34, 0],
+      children: [
+        {
+          geo: "sphere",
+          args: [0.11, 18, 18],
+          position: [-0.06, -0.08, 0],
+          color: "fur",
+          roughness: 0.72,
+          metalness: 0.05,
+        },
+        {
+          geo: "sphere",
+          args: [0.12, 18, 18],
+          position: [0.08, -0.02, 0],
+          color: "fur",
+          roughness: 0.7,
+          metalness: 0.05,
+        },
+        {
+          name: "nose",
+          geo: "sphere",
+          args: [0.04, 16, 16],
+          position: [0.22, -0.04, 0],
+          color: "nose",
+          emissive: "nose",
+          emissiveIntensity: 1.2,
+          roughness: 0.25,
+          metalness: 0.2,
+        },
+        ...[1, -1].map((side) => ({
+          geo: "cone",
+          args: [0.035, 0.18, 10],
+          position: [0.07, 0.13, side * 0.06],
+          rotation: [0, 0, side * 0.25],
+          color: "horn",
+          roughness: 0.65,
+          metalness: 0.05,
+          emissive: "horn",
+          emissiveIntensity: { default: 0.05, neon: 0.35 },
+        })),
+      ],
+    },
+    {
+      geo: "sphere",
+      args: [0.05, 14, 14],
+      position: [-0.32, 0.28, 0],
+      color: WHITE,
+      roughness: 0.9,
+      opacity: 0.85,
+    },
+  ],
+  idle: [
+    { type: "wave", part: "body", axis: "x", speed: 3.2, amp: 0.03 },
+    {
+      type: "pulse",
+      part: "nose",
+      intensity: { default: 1.35, neon: 2.2 },
+      speed: { default: 4.2, neon: 6 },
+      boost: 2.2,
+    },
+    // now and then turns its head toward the tree
+    {
+      type: "look",
+      part: "head",
+      target: [0, 0.9, 0],
+      every: [3, 7.5],
+      hold: [0.9, 2.1],
+      activeWeight: 0.8,
+    },
+  ],
+  reaction: {
+    duration: 1.4,
+    burst: { role: "rudolph", y: -0.05 },
+    scale: 1.08,
+  },
+};
+
+const SNOWMAN = {
+  key: "snowman",
+  label: "눈사람",
+  half: 0.22,
+  y: -0.53,
+  yaw: 0,
+  colors: {
+    default: {
+      snow: "#f4f8ff",
+      hat: DARK,
+      accent: "#e63b3b",
+      carrot: "#ff8a2a",
+      twig: "#6b4a32",
+      burst: "#d7e3ff",
+    },
+    snow: { accent: "#5aa9ff" },
+    neon: {
+      snow: "#e8fbff",
+      hat: "#101020",
+      accent: "#00ffb4",
+      burst: "#00ffb4",
+    },
+  },
+  behavior: {
+    type: "idle",
+    position: [Math.cos(2.35) * RIM_R, Math.sin(2.35) * RIM_R],
+  },
+  parts: [
+    {
+      geo: "sphere",
+      args: [0.17, 18, 18],
+      position: [0, 0.15, 0],
+      color: "snow",
+      roughness: 0.95,
+    },
+    {
+      geo: "sphere",
+      args: [0.125, 18, 18],
+      position: [0, 0.38, 0],
+      color: "snow",
+      roughness: 0.95,
+    },
+    ...[0.41, 0.35].map((y) => ({
+      geo: "sphere",
+      args: [0.014, 8, 8],
+      position: [0, y, 0.122],
+      color: DARK,
+    })),
+    {
+      geo: "torus",
+      args: [0.1, 0.025, 8, 20],
+      position: [0, 0.47, 0],
+      rotation: [Math.PI / 2, 0, 0],
+      color: "accent",
+      roughness: 0.8,
+      emissive: "accent",
+      emissiveIntensity: { default: 0.05, neon: 0.5 },
+    },
+    {
+      geo: "box",
+      args: [0.05, 0.14, 0.02],
+      position: [0.05, 0.41, 0.1],
+      rotation: [0, 0, 0.2],
+      color: "accent",
+      roughness: 0.8,
+    },
+    ...[
+      ["armL", -1],
+      ["armR", 1],
+    ].map(([name, side]) => ({
+      name,
+      position: [side * 0.11, 0.4, 0],
+      rotation: [0, 0, side * -0.9],
+      children: [
+        {
+          geo: "cylinder",
+          args: [0.008, 0.011, 0.22, 6],
+          position: [0, 0.11, 0],
+          color: "twig",
+          roughness: 0.9,
+        },
+      ],
+    })),
+    {
+      name: "head",
+      position: [0, 0.56, 0],
+      children: [
+        {
+          geo: "sphere",
+          args: [0.09, 18, 18],
+          color: "snow",
+          roughness: 0.95,
+        },
+        {
+          geo: "cone",
+          args: [0.018, 0.1, 10],
+          position: [0, 0, 0.12],
+          rotation: [Math.PI / 2, 0, 0],
+          color: "carrot",
+          roughness: 0.6,
+        },
+        ...[-0.032, 0.032].map((x) => ({
+          geo: "sphere",
+          args: [0.012, 8, 8],
+          position: [x, 0.025, 0.08],
+          color: DARK,
+        })),
+        {
+          geo: "cylinder",
+          args: [0.1, 0.1, 0.015, 18],
+          position: [0, 0.075, 0],
+          color: "hat",
+          roughness: 0.6,
+        },
+        {
+          geo: "cylinder",
+          args: [0.065, 0.07, 0.11, 18],
+          position: [0, 0.135, 0],
+          color: "hat",
+          roughness: 0.6,
+        },
+        {
+          geo: "cylinder",
+          args: [0.071, 0.071, 0.025, 18],
+          position: [0, 0.095, 0],
+          color: "accent",
+          emissive: "accent",
+          emissiveIntensity: { default: 0.05, neon: 0.6 },
+        },
+      ],
+    },
+  ],
+  idle: [
+    { type: "wave", part: "body", axis: "z", speed: 1.1, amp: 0.03 },
+    { type: "wave", part: "head", axis: "z", speed: 0.9, amp: 0.06, phase: 1 },
+    {
+      type: "wave",
+      part: "armR",
+      axis: "z",
+      speed: 2.4,
+      amp: 0.25,
+      offset: -0.9,
+      active: { speed: 9, amp: 0.6 },
+    },
+  ],
+  reaction: {
+    duration: 1.2,
+    burst: { role: "snowman", y: 0.2 },
+    scale: 1.1,
+    jump: { amp: 0.08, speed: 9 },
+    spin: 1,
+  },
+};
+
+function elf(key, label, colors, behavior) {
+  return {
+    key,
+    label,
+    half: 0.12,
+    y: -0.53,
+    yaw: 0,
+    colors: {
+      default: {
+        skin: "#ffd7c2",
+        shoe: "#7a4a2a",
+        burst: colors.default.tunic,
+        ...colors.default,
+      },
+      neon: { burst: colors.neon.tunic, ...colors.neon },
+    },
+    behavior,
+    bob: { amp: 0.015, speed: 14, moving: true },
+    parts: [
+      ...[-0.03, 0.03].map((x) => ({
+        geo: "cylinder",
+        args: [0.02, 0.022, 0.08, 8],
+        position: [x, 0.05, 0],
+        color: "tights",
+        roughness: 0.8,
+      })),
+      ...[-0.03, 0.03].map((x) => ({
+        geo: "box",
+        args: [0.04, 0.025, 0.07],
+        position: [x, 0.012, 0.015],
+        color: "shoe",
+        roughness: 0.7,
+      })),
+      {
+        geo: "cylinder",
+        args: [0.055, 0.075, 0.13, 12],
+        position: [0, 0.15, 0],
+        color: "tunic",
+        roughness: 0.6,
+        emissive: "tunic",
+        emissiveIntensity: { default: 0.05, neon: 0.35 },
+      },
+      {
+        geo: "cylinder",
+        args: [0.068, 0.068, 0.018, 12],
+        position: [0, 0.125, 0],
+        color: DARK,
+      },
+      ...[
+        ["armL", -1],
+        ["armR", 1],
+      ].map(([name, side]) => ({
+        name,
+        position: [side * 0.07, 0.19, 0],
+        children: [
+          {
+            geo: "cylinder",
+            args: [0.015, 0.015, 0.09, 8],
+            position: [0, -0.04, 0],
+            color: "tunic",
+            roughness: 0.6,
+          },
+        ],
+      })),
+      {
+        geo: "sphere",
+        args: [0.055, 14, 14],
+        position: [0, 0.265, 0],
+        color: "skin",
+        roughness: 0.6,
+      },
+      ...[-1, 1].map((side) => ({
+        geo: "cone",
+        args: [0.015, 0.05, 8],
+        position: [side * 0.058, 0.275, 0],
+        rotation: [0, 0, side * -1.2],
+        color: "skin",
+        roughness: 0.6,
+      })),
+      {
+        name: "hat",
+        position: [0, 0.3, 0],
+        children: [
+          {
+            geo: "cone",
+            args: [0.06, 0.16, 12],
+            position: [0, 0.07, -0.01],
+            rotation: [-0.25, 0, 0],
+            color: "hat",
+            roughness: 0.5,
+            emissive: "hat",
+            emissiveIntensity: { default: 0.04, neon: 0.4 },
+          },
+          {
+            geo: "sphere",
+            args: [0.018, 8, 8],
+            position: [0, 0.14, -0.04],
+            color: WHITE,
+            roughness: 0.9,
+          },
+        ],
+      },
+    ],
+    idle: [
+      {
+        type: "wave",
+        part: "armL",
+        axis: "x",
+        speed: 9,
+        amp: 0.6,
+        moving: true,
+      },
+      {
+        type: "wave",
+        part: "armR",
+        axis: "x",
+        speed: 9,
+        amp: 0.6,
+        phase: Math.PI,
+        moving: true,
+      },
+      { type: "wave", part: "hat", axis: "z", speed: 3, amp: 0.1 },
+    ],
+    reaction: {
+      duration: 0.9,
+      burst: { role: "elf", y: -0.2 },
+      scale: 1.1,
+      jump: { amp: 0.1, speed: 7 },
+      spin: 1,
+    },
+  };
+}
+
+// one patrols a stretch of the rim, the other potters about near the snowman
+export const ELVES = [
+  elf(
+    "elfGreen",
+    "요정 1",
+    {
+      default: { tunic: "#2f9e55", hat: "#e63b3b", tights: "#e63b3b" },
+      neon: { tunic: "#00ffb4", hat: "#7a4dff", tights: "#ff46ff" },
+    },
+    { type: "path", points: arcPoints(RIM_R, 0.5, 1.1, 6), speed: 0.22 }
+  ),
+  elf(
+    "elfRed",
+    "요정 2",
+    {
+      default: { tunic: "#e63b3b", hat: "#2f9e55", tights: WHITE },
+      neon: { tunic: "#ff46ff", hat: "#00ffb4", tights: "#7a4dff" },
+    },
+    {
+      type: "wander",
+      region: { inner: 2.88, outer: 3.02, from: 2.6, to: 3.05 },
+      speed: 0.25,
+    }
+  ),
+];
+
+export const CHARACTERS = { santa: SANTA, rudolph: RUDOLPH, snowman: SNOWMAN };
+
+// an imported model (customModels.js, fitted for the "character" slot)
+// orbiting between Santa and Rudolph; index spreads several of them out
+export function modelCharacter(entry, model, index) {
+  return {
+    key: entry.id,
+    label: entry.name,
+    half: 0.22,
+    y: SANTA.y,
+    yaw: 0,
+    colors: {
+      default: { burst: "#ffd57c" },
+      neon: { burst: "#00ffb4" },
+    },
+    behavior: {
+      type: "orbit",
+      radius: 1.95,
+      speed: 0.3,
+      phase: 2.6 + index * 1.4,
+    },
+    bob: { amp: 0.015, speed: 2.1 },
+    parts: [{ model }],
+    idle: [],
+    reaction: {
+      duration: 1,
+      burst: { role: "elf", y: 0.1 },
+      scale: 1.1,
+      jump: { amp: 0.08, speed: 8 },
+    },
+  };
+}
+
+// all declared characters, toggled on or not, so switching one never
+// reshuffles the presents; imported models all share one orbit ring
+export const CHARACTER_KEEP_OUT = [
+  ...Object.values(CHARACTERS),
+  ...ELVES,
+  modelCharacter({ id: "", name: "" }, null, 0),
+].flatMap(characterFootprint);
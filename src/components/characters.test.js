@@ -0,0 +1,29 @@
+import { CHARACTER_KEEP_OUT, modelCharacter } from "./characters";
+import { generatePresentLayout } from "./presentLayout";
+import { generateTree } from "./treeGenerator";
+
+test("presents keep off the imported models' orbit", () => {
+  const orbit = modelCharacter({ id: "model-a", name: "a" }, null, 0);
+  const { radius } = orbit.behavior;
+  const half = orbit.half;
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const boxes = generatePresentLayout(
+      seed,
+      40,
+      { count: 40, minSize: 0.1, maxSize: 0.3, stack: 0 },
+      {
+        shape: generateTree(seed),
+        treeY: -0.25,
+        keepOut: CHARACTER_KEEP_OUT,
+        floorRadius: 3.1,
+      }
+    );
+    for (const { p, s } of boxes) {
+      const dist = Math.hypot(p[0], p[2]);
+      const bound = Math.hypot(s[0], s[2]) / 2;
+      expect(
+        dist + bound <= radius - half || dist - bound >= radius + half
+      ).toBe(true);
+    }
+  }
+});
@@ -0,0 +1,262 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { clone as cloneSkinned } from "three/examples/jsm/utils/SkeletonUtils.js";
+import { ORNAMENT_KINDS } from "./ornaments";
+
+/* =========================
+   Custom models (.glb / .gltf)
+========================= */
+
+// what an imported model stands in for
+export const MODEL_SLOTS = {
+  ornament: "오너먼트",
+  topper: "트리 꼭대기",
+  character: "캐릭터",
+  none: "사용 안 함",
+};
+export const MODEL_SLOT_KEYS = Object.keys(MODEL_SLOTS);
+
+// Every model is scaled so its largest side is `size` and moved so the
+// pivot sits at its bounding box center or bottom center:
+//   ornament   like the unit primitives in ornaments.js, which `size` scales
+//   topper     stands on the star's spot
+//   character  feet on the floor, about Santa's height
+const SLOT_FIT = {
+  ornament: { size: 2, pivot: "center" },
+  topper: { size: 0.32, pivot: "bottom" },
+  character: { size: 0.62, pivot: "bottom" },
+};
+
+const MAX_MODEL_BYTES = 20 * 1024 * 1024;
+// the list lives in sessionStorage, the files (too big for its ~5MB) in
+// IndexedDB under the entry id
+const STORAGE_KEY = "xmas3d.models.v2";
+const DB_NAME = "xmas3d.models";
+const FILE_STORE = "files";
+// files no open tab has listed for this long are cleared out
+const STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const fail = (msg) => {
+  throw new Error(msg);
+};
+
+function makeModelId() {
+  return `model-${Date.now().toString(36)}${Math.floor(
+    Math.random() * 1296
+  ).toString(36)}`;
+}
+
+// { id, name, slot, kind }: kind is the ornament shape it replaces
+export function normalizeModelEntry(raw) {
+  if (!raw || typeof raw !== "object") fail("모델 형식이 아닙니다");
+  return {
+    id: /^model-[a-z0-9]+$/.test(raw.id) ? raw.id : makeModelId(),
+    name: typeof raw.name === "string" ? raw.name.slice(0, 60) : "model",
+    slot: MODEL_SLOTS[raw.slot] ? raw.slot : "ornament",
+    kind: ORNAMENT_KINDS.includes(raw.kind) ? raw.kind : ORNAMENT_KINDS[0],
+  };
+}
+
+// sessionStorage: imports last until the tab is closed
+export function loadSessionModels() {
+  try {
+    const raw = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY) ?? "[]");
+    if (!Array.isArray(raw)) return [];
+    const out = [];
+    for (const item of raw) {
+      try {
+        out.push(normalizeModelEntry(item));
+      } catch (e) {}
+    }
+    return out;
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveSessionModels(models) {
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(models));
+  } catch (e) {
+    // storage disabled: the list lasts until the page reloads
+  }
+}
+
+/* -------- files (IndexedDB) -------- */
+
+// files of this page by entry id: fresh imports and ones read back
+const files = new Map();
+
+let dbPromise = null;
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined")
+        return reject(new Error("IndexedDB를 쓸 수 없습니다"));
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(FILE_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // a later call may find storage enabled again
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// run(store) inside one transaction; resolves with its request's result
+async function withFiles(mode, run) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FILE_STORE, mode);
+    const req = run(tx.objectStore(FILE_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// keeps an imported entry's file for the session; rejects (quota,
+// private mode) with a message for the user, the model still works
+// until the page reloads
+export async function storeModelFile(entry) {
+  const blob = files.get(entry.id);
+  try {
+    await withFiles("readwrite", (store) =>
+      store.put({ blob, savedAt: Date.now() }, entry.id)
+    );
+  } catch (err) {
+    throw new Error(
+      `${entry.name}: 저장하지 못해 새로고침하면 사라집니다 (${
+        err?.message ?? err
+      })`
+    );
+  }
+}
+
+async function readModelBlob(entry) {
+  const blob =
+    files.get(entry.id) ??
+    (await withFiles("readonly", (store) => store.get(entry.id)))?.blob;
+  if (!blob) fail("저장된 파일이 없습니다");
+  files.set(entry.id, blob);
+  return blob;
+}
+
+// On start: marks the listed models' files as in use and deletes files
+// no tab listed for STALE_MS (closed tabs, removed models)
+export async function pruneModelFiles(models) {
+  const keep = new Set(models.map((m) => m.id));
+  const now = Date.now();
+  try {
+    await withFiles("readwrite", (store) => {
+      const req = store.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (keep.has(cursor.key))
+          cursor.update({ ...cursor.value, savedAt: now });
+        else if (now - cursor.value.savedAt > STALE_MS) cursor.delete();
+        cursor.continue();
+      };
+    });
+  } catch (e) {
+    // no IndexedDB: nothing was stored either
+  }
+}
+
+export function readModelFile(file, slot = "ornament") {
+  if (!/\.(glb|gltf)$/i.test(file.name))
+    return Promise.reject(
+      new Error(`${file.name}: .glb 또는 .gltf가 아닙니다`)
+    );
+  if (file.size > MAX_MODEL_BYTES)
+    return Promise.reject(new Error(`${file.name}: 20MB보다 큽니다`));
+  const entry = normalizeModelEntry({
+    name: file.name.replace(/\.(glb|gltf)$/i, ""),
+    slot,
+  });
+  files.set(entry.id, file);
+  return Promise.resolve(entry);
+}
+
+// parsed scenes by entry id, shared by every mount in this page
+const scenes = new Map();
+
+// entry -> Promise<Object3D> (the file's scene, as authored)
+export function loadModelScene(entry) {
+  let pending = scenes.get(entry.id);
+  if (!pending) {
+    pending = readModelBlob(entry)
+      .then((blob) => blob.arrayBuffer())
+      .then(
+        (buffer) =>
+          new Promise((resolve, reject) =>
+            new GLTFLoader().parse(
+              buffer,
+              "",
+              (gltf) => resolve(gltf.scene),
+              reject
+            )
+          )
+      )
+      .catch((err) => {
+        scenes.delete(entry.id);
+        // .gltf files that point at separate .bin/texture files land here
+        throw new Error(
+          `${entry.name}: 모델을 읽을 수 없습니다 (${err?.message ?? err})`
+        );
+      });
+    scenes.set(entry.id, pending);
+  }
+  return pending;
+}
+
+// a removed model: its parsed scene and stored file
+export function forgetModel(id) {
+  scenes.delete(id);
+  files.delete(id);
+  withFiles("readwrite", (store) => store.delete(id)).catch(() => {
+    // left behind, pruneModelFiles clears it out later
+  });
+}
+
+// a copy of scene scaled and re-pivoted for slot (see SLOT_FIT)
+export function fitModel(scene, slot) {
+  const { size, pivot } = SLOT_FIT[slot];
+  const inner = cloneSkinned(scene);
+  inner.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(inner);
+  const dims = box.getSize(new THREE.Vector3());
+  const k = size / (Math.max(dims.x, dims.y, dims.z) || 1);
+  const center = box.getCenter(new THREE.Vector3());
+  if (pivot === "bottom") center.y = box.min.y;
+
+  inner.scale.multiplyScalar(k);
+  inner.position.sub(center).multiplyScalar(k);
+  const out = new THREE.Group();
+  out.add(inner);
+  return out;
+}
+
+// where each entry with a loaded scene ({ [id]: scene }) goes, fitted for its slot:
+// { ornaments: { [kind]: model }, topper, characters: [{ entry, model }] };
+// a later entry wins a shape or the topper
+export function assignModels(models, loaded) {
+  const out = { ornaments: {}, topper: null, characters: [] };
+  for (const entry of models) {
+    const scene = loaded[entry.id];
+    if (!scene || entry.slot === "none") continue;
+    const model = fitModel(scene, entry.slot);
+    model.name = entry.name;
+    if (entry.slot === "ornament") out.ornaments[entry.kind] = model;
+    else if (entry.slot === "topper") out.topper = model;
+    else out.characters.push({ entry, model });
+  }
+  return out;
+}
+
+// one placed copy of a fitted model (geometry and materials shared)
+export const placeModel = (fitted) => cloneSkinned(fitted);
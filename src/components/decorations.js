@@ -0,0 +1,226 @@
+import { ORNAMENT_KINDS, surfacePose } from "./ornaments";
+
+/* =========================
+   Hand decorations (layout + history)
+========================= */
+
+const STORAGE_PREFIX = "x3d.decor.v1";
+const FILE_VERSION = 1;
+const HISTORY_LIMIT = 100;
+
+export const HAND_ORNAMENT_SIZE = 0.05;
+
+// added: hand-placed ornaments, removed: ids of seed ornaments taken off
+export const EMPTY_LAYOUT = { added: [], removed: [] };
+
+export function initHistory(layout = EMPTY_LAYOUT) {
+  return { past: [], present: layout, future: [] };
+}
+
+export function nextHandId(layout) {
+  let max = 0;
+  for (const o of layout.added) {
+    const n = Number(String(o.id).slice(1));
+    if (n > max) max = n;
+  }
+  return `h${max + 1}`;
+}
+
+function toHand(o, id = o.id) {
+  return {
+    id,
+    kind: o.kind,
+    color: o.color,
+    size: o.size,
+    y: o.y,
+    angle: o.angle,
+    tilt: o.tilt ?? 0,
+  };
+}
+
+function applyEdit(layout, action) {
+  switch (action.type) {
+    case "add":
+      return { ...layout, added: [...layout.added, toHand(action.ornament)] };
+
+    case "move": {
+      const { ornament, y, angle } = action;
+      if (typeof ornament.id === "string") {
+        return {
+          ...layout,
+          added: layout.added.map((o) =>
+            o.id === ornament.id ? { ...o, y, angle } : o
+          ),
+        };
+      }
+      // a seed ornament becomes a hand one once it is moved
+      const moved = { ...toHand(ornament, nextHandId(layout)), y, angle };
+      return {
+        added: [...layout.added, moved],
+        removed: [...layout.removed, ornament.id],
+      };
+    }
+
+    case "remove": {
+      const { id } = action;
+      if (typeof id === "string")
+        return { ...layout, added: layout.added.filter((o) => o.id !== id) };
+      if (layout.removed.includes(id)) return layout;
+      return { ...layout, removed: [...layout.removed, id] };
+    }
+
+    case "clear":
+      return layout.added.length || layout.removed.length
+        ? EMPTY_LAYOUT
+        : layout;
+
+    default:
+      return layout;
+  }
+}
+
+export function decorReducer(state, action) {
+  switch (action.type) {
+    case "load":
+      return initHistory(action.layout);
+
+    case "undo": {
+      if (!state.past.length) return state;
+      const prev = state.past[state.past.length - 1];
+      return {
+        past: state.past.slice(0, -1),
+        present: prev,
+        future: [state.present, ...state.future],
+      };
+    }
+
+    case "redo": {
+      if (!state.future.length) return state;
+      const [next, ...rest] = state.future;
+      return {
+        past: [...state.past, state.present],
+        present: next,
+        future: rest,
+      };
+    }
+
+    default: {
+      const present = applyEdit(state.present, action);
+      if (present === state.present) return state;
+      return {
+        past: [...state.past, state.present].slice(-HISTORY_LIMIT),
+        present,
+        future: [],
+      };
+    }
+  }
+}
+
+// seed ornaments minus removed ones, plus hand ones posed on the current tree
+export function mergeLayout(base, layout, shape) {
+  if (!layout.added.length && !layout.removed.length) return base;
+  const removed = new Set(layout.removed);
+  const hand = layout.added.map((o) => ({
+    ...o,
+    ...surfacePose(shape, o.y, o.angle, o.size, o.tilt),
+  }));
+  return [...base.filter((o) => !removed.has(o.id)), ...hand];
+}
+
+/* =========================
+   Persistence
+========================= */
+
+function storageKey({ seed, treeStyle, ornamentCount }) {
+  return `${STORAGE_PREFIX}:${treeStyle}:${seed}:${ornamentCount}`;
+}
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function parseLayout(raw) {
+  if (!raw || typeof raw !== "object") fail("layout: 형식이 아닙니다");
+  const added = Array.isArray(raw.added) ? raw.added : fail("added: 누락");
+  const removed = Array.isArray(raw.removed)
+    ? raw.removed
+    : fail("removed: 누락");
+
+  const finite = (v, name) =>
+    typeof v === "number" && Number.isFinite(v)
+      ? v
+      : fail(`${name}: 숫자가 아닙니다`);
+
+  return {
+    added: added.map((o, i) => ({
+      id: /^h\d+$/.test(o?.id) ? o.id : fail(`added[${i}].id: 잘못된 id`),
+      kind: ORNAMENT_KINDS.includes(o.kind)
+        ? o.kind
+        : fail(`added[${i}].kind: 알 수 없는 모양`),
+      color: /^#[0-9a-f]{6}$/i.test(o.color)
+        ? o.color
+        : fail(`added[${i}].color: 잘못된 색상`),
+      size: Math.min(0.12, Math.max(0.01, finite(o.size, `added[${i}].size`))),
+      y: finite(o.y, `added[${i}].y`),
+      angle: finite(o.angle, `added[${i}].angle`),
+      tilt: finite(o.tilt ?? 0, `added[${i}].tilt`),
+    })),
+    removed: removed.map((id, i) =>
+      Number.isInteger(id) && id >= 0 ? id : fail(`removed[${i}]: 잘못된 id`)
+    ),
+  };
+}
+
+export function loadLayout(base) {
+  try {
+    const raw = window.localStorage.getItem(storageKey(base));
+    return raw ? parseLayout(JSON.parse(raw)) : EMPTY_LAYOUT;
+  } catch (e) {
+    return EMPTY_LAYOUT;
+  }
+}
+
+export function saveLayout(base, layout) {
+  try {
+    const key = storageKey(base);
+    if (!layout.added.length && !layout.removed.length)
+      window.localStorage.removeItem(key);
+    else window.localStorage.setItem(key, JSON.stringify(layout));
+  } catch (e) {
+    // storage full or disabled: the layout lives for this session only
+  }
+}
+
+export function layoutToFile(base, layout) {
+  return JSON.stringify(
+    {
+      version: FILE_VERSION,
+      seed: base.seed,
+      treeStyle: base.treeStyle,
+      ornamentCount: base.ornamentCount,
+      layout,
+    },
+    null,
+    2
+  );
+}
+
+// -> { seed, treeStyle, ornamentCount, layout }; the caller validates the base
+export function layoutFromFile(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    fail("JSON 파싱 실패");
+  }
+  if (raw?.version !== FILE_VERSION)
+    fail(`지원하지 않는 버전: ${raw?.version}`);
+  return {
+    seed: Number.isInteger(raw.seed) ? raw.seed >>> 0 : fail("seed: 누락"),
+    treeStyle: typeof raw.treeStyle === "string" ? raw.treeStyle : null,
+    ornamentCount: Number.isInteger(raw.ornamentCount)
+      ? raw.ornamentCount
+      : fail("ornamentCount: 누락"),
+    layout: parseLayout(raw.layout),
+  };
+}
@@ -0,0 +1,116 @@
+import {
+  EMPTY_LAYOUT,
+  decorReducer,
+  initHistory,
+  layoutFromFile,
+  layoutToFile,
+  nextHandId,
+} from "./decorations";
+
+const BASE = { seed: 42, treeStyle: "fir", ornamentCount: 60 };
+const hand = (id, extra) => ({
+  id,
+  kind: "sphere",
+  color: "#ff0000",
+  size: 0.05,
+  y: 1.2,
+  angle: 0.5,
+  tilt: 0,
+  ...extra,
+});
+
+const run = (actions, state = initHistory()) =>
+  actions.reduce(decorReducer, state);
+
+test("undo and redo walk the edit history", () => {
+  const a = hand("h1");
+  const b = hand("h2", { y: 0.8 });
+  let s = run([
+    { type: "add", ornament: a },
+    { type: "add", ornament: b },
+  ]);
+  expect(s.present.added.map((o) => o.id)).toEqual(["h1", "h2"]);
+
+  s = run([{ type: "undo" }], s);
+  expect(s.present.added.map((o) => o.id)).toEqual(["h1"]);
+  s = run([{ type: "undo" }, { type: "undo" }], s);
+  expect(s.present).toBe(EMPTY_LAYOUT);
+
+  s = run([{ type: "redo" }, { type: "redo" }], s);
+  expect(s.present.added.map((o) => o.id)).toEqual(["h1", "h2"]);
+  expect(s.future).toHaveLength(0);
+});
+
+test("a new edit drops the redo stack", () => {
+  const s = run([
+    { type: "add", ornament: hand("h1") },
+    { type: "undo" },
+    { type: "add", ornament: hand("h1", { color: "#00ff00" }) },
+  ]);
+  expect(s.future).toHaveLength(0);
+  expect(run([{ type: "redo" }], s)).toBe(s);
+});
+
+test("seed ornaments, including id 0, can be removed", () => {
+  const s = run([
+    { type: "remove", id: 0 },
+    { type: "remove", id: 3 },
+    { type: "remove", id: 0 },
+  ]);
+  expect(s.present.removed).toEqual([0, 3]);
+  expect(s.past).toHaveLength(2);
+});
+
+test("moving a seed ornament turns it into a hand one", () => {
+  const seedOrnament = { ...hand(0), id: 0 };
+  const s = run([
+    { type: "add", ornament: hand("h4") },
+    { type: "move", ornament: seedOrnament, y: 2, angle: 1 },
+  ]);
+  expect(s.present.removed).toEqual([0]);
+  expect(s.present.added[1]).toMatchObject({ id: "h5", y: 2, angle: 1 });
+  expect(nextHandId(s.present)).toBe("h6");
+});
+
+test("no-op edits don't add history", () => {
+  const s = initHistory();
+  expect(decorReducer(s, { type: "clear" })).toBe(s);
+  expect(decorReducer(s, { type: "undo" })).toBe(s);
+});
+
+test("a layout file round-trips", () => {
+  const layout = {
+    added: [hand("h1"), hand("h2", { tilt: 0.3 })],
+    removed: [0, 7],
+  };
+  expect(layoutFromFile(layoutToFile(BASE, layout))).toEqual({
+    ...BASE,
+    layout,
+  });
+});
+
+test("bad layout files are refused with the failing field", () => {
+  const file = (layout, extra) =>
+    JSON.stringify({ version: 1, ...BASE, layout, ...extra });
+  expect(() => layoutFromFile("{")).toThrow("JSON 파싱 실패");
+  expect(() => layoutFromFile(file(EMPTY_LAYOUT, { version: 2 }))).toThrow(
+    "지원하지 않는 버전: 2"
+  );
+  expect(() =>
+    layoutFromFile(
+      file({ added: [hand("h1", { kind: "cube?" })], removed: [] })
+    )
+  ).toThrow("added[0].kind");
+  expect(() => layoutFromFile(file({ added: [], removed: [-1] }))).toThrow(
+    "removed[0]"
+  );
+});
+
+test("hand ornament sizes are clamped", () => {
+  const text = JSON.stringify({
+    version: 1,
+    ...BASE,
+    layout: { added: [hand("h1", { size: 5 })], removed: [] },
+  });
+  expect(layoutFromFile(text).layout.added[0].size).toBe(0.12);
+});
@@ -0,0 +1,54 @@
+/* =========================
+   Local environment files (public/env)
+========================= */
+
+// no imports: the service worker bundles this list too
+
+// the file names drei's presets download, so the same HDRs can be copied
+// into public/env for machines without network (none ship with the app)
+export const ENV_FILES = {
+  apartment: "lebombo_1k.hdr",
+  city: "potsdamer_platz_1k.hdr",
+  dawn: "kiara_1_dawn_1k.hdr",
+  forest: "forest_slope_1k.hdr",
+  lobby: "st_fagans_interior_1k.hdr",
+  night: "dikhololo_night_1k.hdr",
+  park: "rooitou_park_1k.hdr",
+  studio: "studio_small_03_1k.hdr",
+  sunset: "venice_sunset_1k.hdr",
+  warehouse: "empty_warehouse_01_1k.hdr",
+};
+
+export const localEnvUrl = (preset) =>
+  `${process.env.PUBLIC_URL}/env/${ENV_FILES[preset]}`;
+
+// a real file: the dev server and hosts with an SPA fallback answer
+// missing paths with index.html
+export const isFileResponse = (res) =>
+  res.ok && !(res.headers.get("content-type") ?? "").includes("text/html");
+
+const probes = new Map();
+
+// -> Promise of the preset's public/env URL, or null when the file isn't
+// there. Only the headers are read; the download itself is left to the
+// loader
+export function findLocalEnv(preset) {
+  if (!ENV_FILES[preset]) return Promise.resolve(null);
+  const url = localEnvUrl(preset);
+  let probe = probes.get(url);
+  if (!probe) {
+    const ctrl = new AbortController();
+    probe = fetch(url, { signal: ctrl.signal })
+      .then((res) => {
+        ctrl.abort();
+        return isFileResponse(res) ? url : null;
+      })
+      .catch(() => {
+        // offline with nothing cached: ask again next time
+        probes.delete(url);
+        return null;
+      });
+    probes.set(url, probe);
+  }
+  return probe;
+}
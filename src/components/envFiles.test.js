@@ -0,0 +1,39 @@
+import { findLocalEnv, isFileResponse, localEnvUrl } from "./envFiles";
+
+const response = (status, type) => ({
+  ok: status >= 200 && status < 300,
+  headers: { get: (k) => (k === "content-type" ? type : null) },
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("an SPA fallback page is not an HDR", () => {
+  expect(isFileResponse(response(200, "text/html; charset=utf-8"))).toBe(false);
+  expect(isFileResponse(response(404, "application/octet-stream"))).toBe(false);
+  expect(isFileResponse(response(200, "application/octet-stream"))).toBe(true);
+  expect(isFileResponse(response(200, null))).toBe(true);
+});
+
+test("missing files are skipped, present ones found once", async () => {
+  global.fetch = jest.fn(async (url) =>
+    url.endsWith("lebombo_1k.hdr")
+      ? response(200, "image/vnd.radiance")
+      : response(200, "text/html")
+  );
+  expect(await findLocalEnv("apartment")).toBe(localEnvUrl("apartment"));
+  expect(await findLocalEnv("city")).toBeNull();
+  expect(await findLocalEnv("apartment")).toBe(localEnvUrl("apartment"));
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(await findLocalEnv("not-a-preset")).toBeNull();
+});
+
+test("a failed check is tried again", async () => {
+  global.fetch = jest.fn(async () => {
+    throw new TypeError("Failed to fetch");
+  });
+  expect(await findLocalEnv("night")).toBeNull();
+  global.fetch = jest.fn(async () => response(200, "application/octet-stream"));
+  expect(await findLocalEnv("night")).toBe(localEnvUrl("night"));
+});
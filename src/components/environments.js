@@ -0,0 +1,183 @@
+import * as THREE from "three";
+
+/* =========================
+   Environment lighting (local HDR / CDN / procedural)
+========================= */
+
+const STORAGE_KEY = "x3d.environment.v1";
+
+// where image based lighting may come from, in order of preference:
+// an HDR copied into public/env (envFiles.js) if there is one, drei's CDN
+// preset, the procedural one
+export const ENV_MODES = {
+  auto: "로컬 HDR(있으면) → CDN → 절차적",
+  offline: "로컬 HDR(있으면) → 절차적 (네트워크 없음)",
+};
+
+export function loadEnvMode() {
+  try {
+    const v = window.localStorage.getItem(STORAGE_KEY);
+    return ENV_MODES[v] ? v : "auto";
+  } catch (e) {
+    return "auto";
+  }
+}
+
+export function saveEnvMode(mode) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, mode);
+  } catch (e) {
+    // storage disabled: the choice lasts for this session
+  }
+}
+
+/* -------- procedural -------- */
+
+// which light layout stands in for each preset
+const ENV_LOOKS = {
+  apartment: "room",
+  lobby: "room",
+  warehouse: "room",
+  studio: "studio",
+  city: "city",
+  dawn: "sky",
+  forest: "sky",
+  park: "sky",
+  sunset: "sky",
+  night: "night",
+};
+
+// sky tint and sun color of the outdoor presets
+const SKIES = {
+  dawn: ["#ffc9a8", "#ffd9a0"],
+  forest: ["#a9c9a4", "#fff1cf"],
+  park: ["#bfd9ff", "#fff4dc"],
+  sunset: ["#ff9a5c", "#ffb36b"],
+};
+
+const mix = (a, b, k) =>
+  `#${new THREE.Color(a).lerp(new THREE.Color(b), k).getHexString()}`;
+
+const LOOKS = {
+  // rows of ceiling strips and a window
+  room: (tokens) => [
+    ...[-3, -1, 1, 3].map((x) => ({
+      form: "rect",
+      position: [x, 5, 0],
+      scale: [0.7, 9, 1],
+      color: mix("#ffffff", tokens.light, 0.25),
+      intensity: 1.6,
+    })),
+    {
+      form: "rect",
+      position: [-8, 2, 1],
+      scale: [5, 3, 1],
+      color: "#eef4ff",
+      intensity: 1.2,
+    },
+  ],
+
+  // key, fill and a rim in the theme's star color
+  studio: (tokens) => [
+    {
+      form: "rect",
+      position: [4, 4, 5],
+      scale: [4, 4, 1],
+      color: "#ffffff",
+      intensity: 2.6,
+    },
+    {
+      form: "rect",
+      position: [-5, 2, 3],
+      scale: [3, 5, 1],
+      color: mix("#ffffff", tokens.light, 0.3),
+      intensity: 0.9,
+    },
+    {
+      form: "rect",
+      position: [0, 3, -6],
+      scale: [6, 1, 1],
+      color: tokens.star,
+      intensity: 1.8,
+    },
+  ],
+
+  // lit windows around the horizon in the palette's colors
+  city: (tokens) => [
+    ...Array.from({ length: 14 }, (_, i) => {
+      const a = (i / 14) * Math.PI * 2;
+      const h = 1 + ((i * 7) % 5) * 0.5;
+      return {
+        form: "rect",
+        position: [Math.cos(a) * 9, h / 2, Math.sin(a) * 9],
+        scale: [1.2, h, 1],
+        color: mix(tokens.palette[i % tokens.palette.length], "#ffffff", 0.4),
+        intensity: 1.1 + (i % 3) * 0.4,
+      };
+    }),
+    {
+      form: "circle",
+      position: [0, 9, 0],
+      scale: [10, 10, 1],
+      color: mix(tokens.bg, "#8aa0c8", 0.6),
+      intensity: 0.6,
+    },
+  ],
+
+  // a sky dome and a low sun
+  sky: (tokens, preset) => {
+    const [sky, sun] = SKIES[preset];
+    return [
+      {
+        form: "circle",
+        position: [0, 9, 0],
+        scale: [14, 14, 1],
+        color: sky,
+        intensity: 1.3,
+      },
+      {
+        form: "circle",
+        position: [6, 3, -5],
+        scale: [1.6, 1.6, 1],
+        color: sun,
+        intensity: 5,
+      },
+      {
+        form: "rect",
+        position: [0, -4, 0],
+        scale: [20, 20, 1],
+        color: mix(sky, tokens.bg, 0.6),
+        intensity: 0.3,
+      },
+    ];
+  },
+
+  // a moon and a faint glow of lights far away
+  night: (tokens) => [
+    {
+      form: "circle",
+      position: [-5, 6, -6],
+      scale: [1.2, 1.2, 1],
+      color: "#dfe8ff",
+      intensity: 2.4,
+    },
+    ...tokens.palette.slice(0, 3).map((color, i) => ({
+      form: "rect",
+      position: [Math.cos(i * 2.1) * 9, 0.8, Math.sin(i * 2.1) * 9],
+      scale: [3, 1.2, 1],
+      color,
+      intensity: 0.5,
+    })),
+  ],
+};
+
+// { background, formers: [{ form, position, scale, color, intensity }] }
+// for drei Lightformers that face the tree; themed by the tokens
+export function proceduralEnvironment(preset, tokens) {
+  const look = ENV_LOOKS[preset] ?? "room";
+  const dark = look === "night" || look === "city";
+  return {
+    background: mix(tokens.bg, "#ffffff", dark ? 0.02 : 0.12),
+    formers: LOOKS[look](tokens, preset),
+  };
+}
@@ -0,0 +1,220 @@
+/* =========================
+   GIF encoder (animated, per-frame palettes)
+========================= */
+
+// Each frame gets its own 256-color palette by median cut over a 5-bit
+// per channel histogram; pixels map to the nearest palette entry through
+// a cache keyed by that same 15-bit color.
+
+const key15 = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+const channel = (k, ch) => (k >> (10 - ch * 5)) & 31;
+const TO_8BIT = 255 / 31;
+
+function makeBox(colors) {
+  let best = 0;
+  let range = -1;
+  for (let ch = 0; ch < 3; ch++) {
+    let min = 31;
+    let max = 0;
+    for (const k of colors) {
+      const v = channel(k, ch);
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    if (max - min > range) {
+      range = max - min;
+      best = ch;
+    }
+  }
+  return { colors, ch: best, range: colors.length > 1 ? range : -1 };
+}
+
+function buildPalette(rgba) {
+  const hist = new Uint32Array(32768);
+  for (let i = 0; i < rgba.length; i += 4)
+    hist[key15(rgba[i], rgba[i + 1], rgba[i + 2])]++;
+  const colors = [];
+  for (let k = 0; k < 32768; k++) if (hist[k]) colors.push(k);
+
+  const boxes = [makeBox(colors)];
+  while (boxes.length < 256) {
+    let widest = 0;
+    for (let b = 1; b < boxes.length; b++)
+      if (boxes[b].range > boxes[widest].range) widest = b;
+    const box = boxes[widest];
+    if (box.range <= 0) break;
+
+    // split at the pixel-weighted median of its widest channel
+    box.colors.sort((a, b) => channel(a, box.ch) - channel(b, box.ch));
+    let total = 0;
+    for (const k of box.colors) total += hist[k];
+    let acc = 0;
+    let cut = 1;
+    for (; cut < box.colors.length - 1; cut++) {
+      acc += hist[box.colors[cut - 1]];
+      if (acc * 2 >= total) break;
+    }
+    boxes.splice(
+      widest,
+      1,
+      makeBox(box.colors.slice(0, cut)),
+      makeBox(box.colors.slice(cut))
+    );
+  }
+
+  const palette = new Uint8Array(256 * 3);
+  boxes.forEach((box, i) => {
+    const sum = [0, 0, 0];
+    let n = 0;
+    for (const k of box.colors) {
+      for (let ch = 0; ch < 3; ch++) sum[ch] += hist[k] * channel(k, ch);
+      n += hist[k];
+    }
+    for (let ch = 0; ch < 3; ch++)
+      palette[i * 3 + ch] = n ? Math.round((sum[ch] / n) * TO_8BIT) : 0;
+  });
+  return { palette, used: boxes.length };
+}
+
+function indexPixels(rgba, palette, used) {
+  const cache = new Int16Array(32768).fill(-1);
+  const out = new Uint8Array(rgba.length / 4);
+  for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+    const k = key15(rgba[i], rgba[i + 1], rgba[i + 2]);
+    let idx = cache[k];
+    if (idx < 0) {
+      const r = channel(k, 0) * TO_8BIT;
+      const g = channel(k, 1) * TO_8BIT;
+      const b = channel(k, 2) * TO_8BIT;
+      let best = Infinity;
+      for (let j = 0; j < used; j++) {
+        const dr = palette[j * 3] - r;
+        const dg = palette[j * 3 + 1] - g;
+        const db = palette[j * 3 + 2] - b;
+        const d = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+        if (d < best) {
+          best = d;
+          idx = j;
+        }
+      }
+      cache[k] = idx;
+    }
+    out[p] = idx;
+  }
+  return out;
+}
+
+// GIF flavored LZW, 8-bit indices, packed into 255-byte sub-blocks
+function lzw(indices, bytes) {
+  const MIN = 8;
+  const CLEAR = 1 << MIN;
+  const EOI = CLEAR + 1;
+  let size = MIN + 1;
+  let next = EOI + 1;
+  let dict = new Map();
+  const data = [];
+  let cur = 0;
+  let bits = 0;
+  const write = (code) => {
+    cur |= code << bits;
+    bits += size;
+    while (bits >= 8) {
+      data.push(cur & 255);
+      cur >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  write(CLEAR);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 256 + k;
+    const code = dict.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    if (next === 4096) {
+      write(CLEAR);
+      dict = new Map();
+      size = MIN + 1;
+      next = EOI + 1;
+    } else {
+      if (next >= 1 << size) size++;
+      dict.set(key, next++);
+    }
+    prefix = k;
+  }
+  write(prefix);
+  write(EOI);
+  if (bits > 0) data.push(cur & 255);
+
+  bytes.push(MIN);
+  for (let i = 0; i < data.length; i += 255) {
+    const block = data.slice(i, i + 255);
+    bytes.push(block.length, ...block);
+  }
+  bytes.push(0);
+}
+
+const u16 = (v) => [v & 255, (v >> 8) & 255];
+
+// addFrame(rgba) with RGBA pixels of width x height; finish() -> Blob.
+// delay is per frame in 1/100 s; loops forever.
+export function createGifEncoder(width, height, delay) {
+  const parts = [];
+  const header = [
+    ..."GIF89a".split("").map((c) => c.charCodeAt(0)),
+    ...u16(width),
+    ...u16(height),
+    0, // no global color table
+    0,
+    0,
+    // NETSCAPE2.0: loop forever
+    0x21,
+    0xff,
+    0x0b,
+    ..."NETSCAPE2.0".split("").map((c) => c.charCodeAt(0)),
+    0x03,
+    0x01,
+    0,
+    0,
+    0,
+  ];
+  parts.push(new Uint8Array(header));
+
+  return {
+    addFrame(rgba) {
+      const { palette, used } = buildPalette(rgba);
+      const bytes = [
+        // graphic control: keep the previous frame, frame delay
+        0x21,
+        0xf9,
+        0x04,
+        0x04,
+        ...u16(delay),
+        0,
+        0,
+        // image descriptor with a 256-entry local color table
+        0x2c,
+        0,
+        0,
+        0,
+        0,
+        ...u16(width),
+        ...u16(height),
+        0x87,
+      ];
+      const head = new Uint8Array(bytes);
+      const body = [];
+      lzw(indexPixels(rgba, palette, used), body);
+      parts.push(head, palette, new Uint8Array(body));
+    },
+    finish() {
+      parts.push(new Uint8Array([0x3b]));
+      return new Blob(parts, { type: "image/gif" });
+    },
+  };
+}
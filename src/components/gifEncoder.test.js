@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from "buffer";
+import { createGifEncoder } from "./gifEncoder";
+
+// jest's node environment leaves out the Blob global
+global.Blob = Blob;
+
+// minimal GIF reader: the frames' delays and RGB pixels
+function readGif(buf) {
+  expect(new TextDecoder().decode(buf.slice(0, 6))).toBe("GIF89a");
+  const width = buf[6] | (buf[7] << 8);
+  const height = buf[8] | (buf[9] << 8);
+  let at = 13;
+  const frames = [];
+  let delay = 0;
+  const skipBlocks = () => {
+    while (buf[at]) at += buf[at] + 1;
+    at += 1;
+  };
+
+  for (;;) {
+    const kind = buf[at++];
+    if (kind === 0x3b) break;
+    if (kind === 0x21) {
+      const label = buf[at++];
+      if (label === 0xf9) delay = buf[at + 2] | (buf[at + 3] << 8);
+      skipBlocks();
+      continue;
+    }
+    expect(kind).toBe(0x2c);
+    const flags = buf[at + 8];
+    at += 9;
+    const tableSize = 3 << ((flags & 7) + 1);
+    const table = buf.slice(at, at + tableSize);
+    at += tableSize;
+    const min = buf[at++];
+    const data = [];
+    while (buf[at]) {
+      data.push(...buf.slice(at + 1, at + 1 + buf[at]));
+      at += buf[at] + 1;
+    }
+    at += 1;
+    const indices = unLzw(data, min);
+    expect(indices.length).toBe(width * height);
+    const rgb = indices.flatMap((i) => [...table.slice(i * 3, i * 3 + 3)]);
+    frames.push({ delay, rgb });
+  }
+  return { width, height, frames };
+}
+
+function unLzw(data, min) {
+  const clear = 1 << min;
+  const eoi = clear + 1;
+  let size = min + 1;
+  let dict = [];
+  const reset = () => {
+    dict = Array.from({ length: eoi + 1 }, (_, i) => [i]);
+    size = min + 1;
+  };
+  reset();
+  const out = [];
+  let prev = null;
+  let pos = 0;
+  const read = () => {
+    let code = 0;
+    for (let b = 0; b < size; b++, pos++)
+      code |= ((data[pos >> 3] >> (pos & 7)) & 1) << b;
+    return code;
+  };
+  for (;;) {
+    const code = read();
+    if (code === clear) {
+      reset();
+      prev = null;
+      continue;
+    }
+    if (code === eoi) break;
+    let entry;
+    if (prev === null) entry = dict[code];
+    else {
+      entry = code < dict.length ? dict[code] : [...prev, prev[0]];
+      if (dict.length < 4096) dict.push([...prev, entry[0]]);
+    }
+    if (dict.length === 1 << size && size < 12) size++;
+    out.push(...entry);
+    prev = entry;
+  }
+  return out;
+}
+
+const frame = (w, h, color) => {
+  const rgba = new Uint8Array(w * h * 4);
+  for (let p = 0; p < w * h; p++) {
+    const [r, g, b] = color(p % w, Math.floor(p / w));
+    rgba.set([r, g, b, 255], p * 4);
+  }
+  return rgba;
+};
+
+const encode = async (w, h, delay, frames) => {
+  const gif = createGifEncoder(w, h, delay);
+  frames.forEach((f) => gif.addFrame(f));
+  const blob = gif.finish();
+  expect(blob.type).toBe("image/gif");
+  return readGif(new Uint8Array(await blob.arrayBuffer()));
+};
+
+test("flat-colored frames decode to their exact pixels", async () => {
+  // colors on the 5-bit grid survive the palette exactly
+  const c = (v) => Math.round((v * 255) / 31);
+  const red = [c(31), c(2), c(4)];
+  const blue = [c(1), c(9), c(31)];
+  const stripes = frame(17, 9, (x) => (x % 3 ? red : blue));
+  const solid = frame(17, 9, () => blue);
+
+  const gif = await encode(17, 9, 4, [stripes, solid]);
+  expect(gif).toMatchObject({ width: 17, height: 9 });
+  expect(gif.frames).toHaveLength(2);
+  expect(gif.frames[0].delay).toBe(4);
+  expect(gif.frames[0].rgb).toEqual([...stripes].filter((_, i) => i % 4 !== 3));
+  expect(gif.frames[1].rgb).toEqual([...solid].filter((_, i) => i % 4 !== 3));
+});
+
+test("noisy frames past the 4096-code table stay close to the source", async () => {
+  let s = 1;
+  const noise = () => {
+    s = (s * 1103515245 + 12345) & 0x7fffffff;
+    return s & 255;
+  };
+  const src = frame(96, 96, () => [noise(), noise(), noise()]);
+  const gif = await encode(96, 96, 8, [src]);
+  const rgb = gif.frames[0].rgb;
+  let err = 0;
+  for (let p = 0, i = 0; p < rgb.length; p += 3, i += 4)
+    for (let ch = 0; ch < 3; ch++) err += Math.abs(rgb[p + ch] - src[i + ch]);
+  // 256 colors for random noise: a few dozen levels off on average
+  expect(err / rgb.length).toBeLessThan(40);
+});
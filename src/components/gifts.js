@@ -0,0 +1,179 @@
+import { mulberry32 } from "./math";
+import { ORNAMENT_KINDS, ORNAMENT_LABELS } from "./ornaments";
+import {
+  PRESENT_LAYOUT_DEFAULTS,
+  PRESENT_LAYOUT_LIMITS,
+  normalizeLayoutConfig,
+} from "./presentLayout";
+
+/* =========================
+   Gift contents + Secret Santa
+========================= */
+
+const STORAGE_KEY = "x3d.gifts.v1";
+
+export const DEFAULT_GIFT_COUNT = PRESENT_LAYOUT_DEFAULTS.count;
+export const MAX_PARTICIPANTS = 40;
+export const MAX_GIFTS = PRESENT_LAYOUT_LIMITS.count[1];
+const IMAGE_MAX_PX = 256;
+
+// small 3D items that can rise out of a box (ornament shapes)
+export const GIFT_ITEMS = ["none", ...ORNAMENT_KINDS];
+export const GIFT_ITEM_LABELS = { none: "없음", ...ORNAMENT_LABELS };
+
+export const EMPTY_GIFT = { to: "", message: "", image: "", item: "none" };
+
+export function initialGiftState() {
+  return {
+    gifts: Array.from({ length: DEFAULT_GIFT_COUNT }, () => EMPTY_GIFT),
+    santa: { enabled: false, names: [], seed: 1225 },
+    opened: [],
+    layout: { ...PRESENT_LAYOUT_DEFAULTS },
+  };
+}
+
+// one name per line (or comma separated), trimmed, blanks dropped
+export function parseNames(text) {
+  return String(text)
+    .split(/[\n,]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function validateNames(names) {
+  if (names.length < 2) return "참가자가 2명 이상 필요합니다";
+  if (names.length > MAX_PARTICIPANTS)
+    return `참가자는 최대 ${MAX_PARTICIPANTS}명입니다`;
+  const seen = new Set();
+  for (const n of names) {
+    if (seen.has(n)) return `중복된 이름: ${n}`;
+    seen.add(n);
+  }
+  return null;
+}
+
+// seeded uniform derangement: shuffle until nobody draws themselves
+// (expected ~e tries). names[i] gives to names[result[i]]
+export function drawSecretSanta(names, seed) {
+  const err = validateNames(names);
+  if (err) throw new Error(err);
+
+  const rnd = mulberry32(seed >>> 0);
+  const n = names.length;
+  const order = names.map((_, i) => i);
+  for (;;) {
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rnd() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    if (order.every((r, i) => r !== i)) return order;
+  }
+}
+
+// boxes to put under the tree for the current mode; outside Secret Santa
+// mode there are `count` boxes, the ones without contents left empty
+export function giftBoxes(gifts, santa, count) {
+  if (santa.enabled && !validateNames(santa.names)) {
+    const draw = drawSecretSanta(santa.names, santa.seed);
+    return santa.names.map((giver, i) => ({
+      key: `ss:${santa.seed}:${giver}`,
+      label: giver,
+      giver,
+      receiver: santa.names[draw[i]],
+      gift: { ...EMPTY_GIFT, item: "star" },
+    }));
+  }
+  return Array.from({ length: count }, (_, i) => ({
+    key: `g${i}`,
+    label: null,
+    gift: gifts[i] ?? EMPTY_GIFT,
+  }));
+}
+
+// boxes the sleigh dropped this session; their keys are not kept across
+// reloads (see loadGifts)
+export function deliveredBoxes(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    key: `sleigh:${i}`,
+    label: null,
+    gift: {
+      ...EMPTY_GIFT,
+      message: "🛷 산타가 방금 배달한 선물",
+      item: "star",
+    },
+  }));
+}
+
+/* =========================
+   Persistence
+========================= */
+
+function cleanGift(raw) {
+  const str = (v, max) => (typeof v === "string" ? v.slice(0, max) : "");
+  return {
+    to: str(raw?.to, 40),
+    message: str(raw?.message, 400),
+    image: /^(data:image\/|https?:\/\/)/.test(raw?.image) ? raw.image : "",
+    item: GIFT_ITEMS.includes(raw?.item) ? raw.item : "none",
+  };
+}
+
+export function loadGifts() {
+  const base = initialGiftState();
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+    if (!raw || typeof raw !== "object") return base;
+    const gifts = Array.isArray(raw.gifts) ? raw.gifts : [];
+    const names = Array.isArray(raw.santa?.names)
+      ? raw.santa.names
+          .filter((n) => typeof n === "string")
+          .slice(0, MAX_PARTICIPANTS)
+      : [];
+    return {
+      gifts: gifts.slice(0, MAX_GIFTS).map(cleanGift),
+      santa: {
+        enabled: !!raw.santa?.enabled,
+        names,
+        seed: Number.isInteger(raw.santa?.seed) ? raw.santa.seed >>> 0 : 1225,
+      },
+      opened: Array.isArray(raw.opened)
+        ? raw.opened.filter(
+            (k) => typeof k === "string" && !k.startsWith("sleigh:")
+          )
+        : [],
+      layout: normalizeLayoutConfig(raw.layout),
+    };
+  } catch (e) {
+    return base;
+  }
+}
+
+export function saveGifts(state) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    // storage full (large images) or disabled: keep it for this session
+  }
+}
+
+// downscaled data URL so images fit in localStorage
+export function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const k = Math.min(1, IMAGE_MAX_PX / Math.max(img.width, img.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.width * k));
+      canvas.height = Math.max(1, Math.round(img.height * k));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/jpeg", 0.85));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("이미지를 읽을 수 없습니다"));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,60 @@
+import {
+  drawSecretSanta,
+  giftBoxes,
+  initialGiftState,
+  parseNames,
+  validateNames,
+} from "./gifts";
+
+const NAMES = ["민수", "지영", "하늘", "서준", "유나", "도윤"];
+
+test("no one draws themselves", () => {
+  for (let seed = 0; seed < 200; seed++) {
+    const draw = drawSecretSanta(NAMES, seed);
+    draw.forEach((r, i) => expect(r).not.toBe(i));
+  }
+});
+
+test("everyone receives exactly one gift", () => {
+  for (let n = 2; n <= 12; n++) {
+    const names = Array.from({ length: n }, (_, i) => `p${i}`);
+    const draw = drawSecretSanta(names, n * 31);
+    expect([...draw].sort((a, b) => a - b)).toEqual(names.map((_, i) => i));
+  }
+});
+
+test("the same seed gives the same draw", () => {
+  expect(drawSecretSanta(NAMES, 1225)).toEqual(drawSecretSanta(NAMES, 1225));
+  const draws = new Set(
+    Array.from({ length: 20 }, (_, s) => drawSecretSanta(NAMES, s).join())
+  );
+  expect(draws.size).toBeGreaterThan(1);
+});
+
+test("invalid participant lists are refused", () => {
+  expect(() => drawSecretSanta(["혼자"], 1)).toThrow();
+  expect(() => drawSecretSanta(["a", "b", "a"], 1)).toThrow("중복된 이름: a");
+  expect(validateNames(["a", "b"])).toBeNull();
+});
+
+test("names split on lines and commas", () => {
+  expect(parseNames(" 민수, 지영\n\n하늘 ,")).toEqual(["민수", "지영", "하늘"]);
+});
+
+test("secret santa boxes name giver and receiver", () => {
+  const santa = { enabled: true, names: NAMES, seed: 7 };
+  const boxes = giftBoxes([], santa, 3);
+  const draw = drawSecretSanta(NAMES, 7);
+  expect(boxes).toHaveLength(NAMES.length);
+  boxes.forEach((b, i) => {
+    expect(b.giver).toBe(NAMES[i]);
+    expect(b.receiver).toBe(NAMES[draw[i]]);
+  });
+});
+
+test("outside secret santa mode there are `count` boxes", () => {
+  const { gifts, santa } = initialGiftState();
+  const boxes = giftBoxes(gifts.slice(0, 2), santa, 5);
+  expect(boxes.map((b) => b.key)).toEqual(["g0", "g1", "g2", "g3", "g4"]);
+  expect(boxes[4].gift.item).toBe("none");
+});
@@ -0,0 +1,135 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+
+/* =========================
+   glTF export (.glb)
+========================= */
+
+export const DEFAULT_GLTF_EXPORT = { presents: true, characters: true };
+
+// ornament_012, light_033, present_004
+export const nodeName = (prefix, i) =>
+  `${prefix}_${String(i).padStart(3, "0")}`;
+
+const TREE_PARTS = /^(tier_\d+|trunk|star)$/;
+
+// frame callbacks keep animating the live materials (chase lights, the
+// star's pulse) while the exporter works, so every node gets a still copy
+function still(mesh, geometry = mesh.geometry) {
+  const out = new THREE.Mesh(geometry, mesh.material.clone());
+  out.name = mesh.name;
+  out.material.name ||= mesh.name;
+  out.position.copy(mesh.position);
+  out.quaternion.copy(mesh.quaternion);
+  out.scale.copy(mesh.scale);
+  return out;
+}
+
+// same transform in world space as source had
+function placeLike(copy, source) {
+  source.parent?.updateWorldMatrix(true, false);
+  if (source.parent) copy.applyMatrix4(source.parent.matrixWorld);
+  return copy;
+}
+
+// one mesh per instance: the instanced body tints diffuse and emissive by
+// the instance color, which becomes a plain material per ornament color.
+// Imported models (customModels.js) are already one copy per ornament.
+function ornamentNodes(tree) {
+  const order = tree.userData.ornaments ?? [];
+  const materials = new Map();
+  const matrix = new THREE.Matrix4();
+  const nodes = [];
+
+  tree.traverse((kind) => {
+    const items = kind.userData.ornaments;
+    if (kind === tree || !items) return;
+    if (kind.userData.model) {
+      items.forEach((o, i) => {
+        const node = kind.children[i].clone();
+        const index = order.indexOf(o);
+        node.name = nodeName("ornament", index);
+        node.userData = { id: o.id, kind: o.kind };
+        nodes.push([index, node]);
+      });
+      return;
+    }
+    const body = kind.getObjectByName("body");
+    const accent = kind.getObjectByName("accent");
+    const capMat = accent?.material.clone();
+
+    items.forEach((o, i) => {
+      let mat = materials.get(o.color);
+      if (!mat) {
+        mat = body.material.clone();
+        mat.color.set(o.color);
+        mat.emissive.set(o.color);
+        mat.name = `ornament_${mat.color.getHexString()}`;
+        materials.set(o.color, mat);
+      }
+      const node = new THREE.Mesh(body.geometry, mat);
+      const index = order.indexOf(o);
+      node.name = nodeName("ornament", index);
+      node.userData = { id: o.id, kind: o.kind };
+      body.getMatrixAt(i, matrix);
+      matrix.decompose(node.position, node.quaternion, node.scale);
+      if (accent) {
+        const cap = new THREE.Mesh(accent.geometry, capMat);
+        cap.name = `${node.name}_cap`;
+        node.add(cap);
+      }
+      nodes.push([index, node]);
+    });
+  });
+  return nodes.sort((a, b) => a[0] - b[0]).map(([, node]) => node);
+}
+
+function treeNode(tree) {
+  // the sway is left out: the tree stands straight in the file
+  const out = new THREE.Group();
+  out.name = "tree";
+  out.position.copy(tree.position);
+  out.userData = { seed: tree.userData.seed, style: tree.userData.style };
+
+  for (const child of tree.children) {
+    if (child.isMesh && TREE_PARTS.test(child.name)) out.add(still(child));
+    // an imported model in place of the star
+    else if (child.name === "topper") out.add(child.clone());
+  }
+
+  const ornaments = new THREE.Group();
+  ornaments.name = "ornaments";
+  ornaments.add(...ornamentNodes(tree));
+  out.add(ornaments);
+
+  const lights = tree.getObjectByName("lights");
+  if (lights?.children.length) {
+    const group = new THREE.Group();
+    group.name = "lights";
+    // every bulb has the same sphere; write it once
+    const geometry = lights.children[0].geometry;
+    for (const bulb of lights.children) group.add(still(bulb, geometry));
+    out.add(group);
+  }
+  return placeLike(out, tree);
+}
+
+// Writes the scene's tree (tiers, trunk, star, ornaments, chase-light
+// bulbs) and optionally the presents and characters to a binary glTF.
+// Colors and emissive strengths are taken as they are this frame.
+// Resolves to a Blob; throws when there is no tree to export.
+export async function exportSceneGlb(scene, options = DEFAULT_GLTF_EXPORT) {
+  const tree = scene.getObjectByName("tree");
+  if (!tree) throw new Error("내보낼 트리가 없습니다");
+
+  const root = new THREE.Group();
+  root.name = "christmas_tree";
+  root.add(treeNode(tree));
+  for (const key of ["presents", "characters"]) {
+    const source = options[key] && scene.getObjectByName(key);
+    if (source) root.add(placeLike(source.clone(), source));
+  }
+
+  const glb = await new GLTFExporter().parseAsync(root, { binary: true });
+  return new Blob([glb], { type: "model/gltf-binary" });
+}
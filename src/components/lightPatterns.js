@@ -0,0 +1,195 @@
+import * as THREE from "three";
+
+/* =========================
+   Light-string patterns
+========================= */
+
+export const LIGHT_PATTERNS = {
+  chase: "체이스",
+  twinkle: "반짝임",
+  wave: "웨이브",
+  alternating: "교차",
+  rainbow: "무지개",
+  fade: "페이드",
+  sparkle: "스파클",
+  morse: "모스 부호",
+};
+
+export const LIGHT_PATTERN_KEYS = Object.keys(LIGHT_PATTERNS);
+
+export const DEFAULT_LIGHTS = {
+  pattern: "twinkle",
+  speed: 1,
+  width: 0.12,
+  message: "MERRY XMAS",
+  turns: 4,
+  count: 44,
+  offset: 0.03,
+};
+
+// slider bounds shared by the light panel and theme validation
+export const LIGHT_LIMITS = {
+  speed: [0.1, 4],
+  width: [0.02, 0.5],
+  turns: [1, 10],
+  count: [8, 240],
+  offset: [0, 0.2],
+};
+
+const MORSE = {
+  A: ".-",
+  B: "-...",
+  C: "-.-.",
+  D: "-..",
+  E: ".",
+  F: "..-.",
+  G: "--.",
+  H: "....",
+  I: "..",
+  J: ".---",
+  K: "-.-",
+  L: ".-..",
+  M: "--",
+  N: "-.",
+  O: "---",
+  P: ".--.",
+  Q: "--.-",
+  R: ".-.",
+  S: "...",
+  T: "-",
+  U: "..-",
+  V: "...-",
+  W: ".--",
+  X: "-..-",
+  Y: "-.--",
+  Z: "--..",
+  0: "-----",
+  1: ".----",
+  2: "..---",
+  3: "...--",
+  4: "....-",
+  5: ".....",
+  6: "-....",
+  7: "--...",
+  8: "---..",
+  9: "----.",
+};
+
+// message -> on/off timeline in dot units (dot 1, dash 3, gaps 1/3/7)
+export function morseTimeline(message) {
+  const out = [];
+  const words = String(message).toUpperCase().split(/\s+/).filter(Boolean);
+  words.forEach((word, wi) => {
+    const chars = [...word].filter((c) => MORSE[c]);
+    chars.forEach((c, ci) => {
+      [...MORSE[c]].forEach((sym, si) => {
+        if (si > 0) out.push(0);
+        const on = sym === "." ? 1 : 3;
+        for (let k = 0; k < on; k++) out.push(1);
+      });
+      if (ci < chars.length - 1) out.push(0, 0, 0);
+    });
+    out.push(...Array(wi < words.length - 1 ? 7 : 10).fill(0));
+  });
+  return out.length ? out : [0];
+}
+
+// cheap stable per-light noise
+function hash(i, k) {
+  const x = Math.sin(i * 127.1 + k * 311.7) * 43758.5453;
+  return x - Math.floor(x);
+}
+
+function wrapDist(a, b) {
+  const d = Math.abs(a - b) % 1;
+  return Math.min(d, 1 - d);
+}
+
+// each pattern writes level (0..1) and color for light i at time t
+const PATTERNS = {
+  chase(out, { u, t, p }) {
+    const head = (t * p.speed * 2.2) % 1;
+    const d = wrapDist(u, head);
+    out.level = Math.exp(-(d * d) / (2 * p.width * p.width));
+  },
+
+  twinkle(out, { i, t, p }) {
+    // width spreads neighbours' phases; 0.6 rad apart at the default
+    const phase = i * p.width * 5;
+    out.level = (0.35 + 0.25 * Math.sin(t * 2.1 * p.speed + phase)) / 2.2;
+  },
+
+  wave(out, { u, t, p }) {
+    const k = (Math.PI * 2) / Math.max(0.05, p.width * 4);
+    out.level = 0.5 + 0.5 * Math.sin(u * k - t * p.speed * 3);
+  },
+
+  alternating(out, { i, t, p, colors }) {
+    const block = Math.max(1, Math.round(p.width * 10));
+    const phase = Math.floor(t * p.speed * 1.5) % 2;
+    const even = Math.floor(i / block) % 2 === 0;
+    out.level = even === (phase === 0) ? 1 : 0.08;
+    out.color.copy(colors[even ? 0 : Math.min(1, colors.length - 1)]);
+  },
+
+  rainbow(out, { u, t, p }) {
+    out.level = 0.75;
+    out.color.setHSL(
+      (u / Math.max(0.05, p.width * 2) + t * p.speed * 0.2) % 1,
+      0.9,
+      0.6
+    );
+  },
+
+  fade(out, { u, t, p }) {
+    // the breath rolls up the string, lagging more the wider it is
+    out.level = 0.5 + 0.5 * Math.sin(t * p.speed * 1.6 - u * p.width * 8);
+  },
+
+  sparkle(out, { i, t, p }) {
+    const rate = p.speed * 6;
+    const slot = Math.floor(t * rate + hash(i, 0) * 7);
+    const f = (t * rate + hash(i, 0) * 7) % 1;
+    out.level = hash(i, slot) < p.width * 1.6 ? Math.exp(-f * 4) : 0.04;
+  },
+
+  morse(out, { u, t, p, morse }) {
+    // dot unit shrinks with speed; the code ripples up the string by width
+    const unit = 0.22 / p.speed;
+    const pos = Math.floor((t - u * p.width * 2) / unit);
+    const n = morse.length;
+    out.level = morse[((pos % n) + n) % n] ? 1 : 0.05;
+  },
+};
+
+export function makeLightEvaluator(params, colors) {
+  const p = { ...DEFAULT_LIGHTS, ...params };
+  const fn = PATTERNS[p.pattern] ?? PATTERNS.twinkle;
+  const morse = p.pattern === "morse" ? morseTimeline(p.message) : null;
+  const out = { level: 0, color: new THREE.Color() };
+  const ctx = { i: 0, u: 0, t: 0, p, colors, morse };
+
+  return (i, n, t) => {
+    ctx.i = i;
+    ctx.u = i / n;
+    ctx.t = t;
+    out.color.copy(colors[0]);
+    fn(out, ctx);
+    out.level = THREE.MathUtils.clamp(out.level, 0, 1);
+    return out;
+  };
+}
+
+// helix around the tree silhouette, bottom -> top
+export function helixPositions(shape, { turns, count, offset }) {
+  const arr = [];
+  const span = shape.decorMax - shape.decorMin;
+  for (let i = 0; i < count; i++) {
+    const u = i / count;
+    const y = shape.decorMin + u * span;
+    const angle = u * Math.PI * 2 * turns;
+    const radius = shape.profileAt(y) + offset;
+    arr.push([Math.cos(angle) * radius, y, Math.sin(angle) * radius]);
+  }
+  return arr;
+}
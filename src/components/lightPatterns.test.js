@@ -0,0 +1,66 @@
+import * as THREE from "three";
+import { makeLightEvaluator, morseTimeline } from "./lightPatterns";
+
+// timeline -> on/off run lengths, e.g. "+1 -1 +3 -10" for "A"
+const runs = (timeline) =>
+  timeline
+    .join("")
+    .match(/1+|0+/g)
+    .map((r) => `${r[0] === "1" ? "+" : "-"}${r.length}`)
+    .join(" ");
+
+test("dots are one unit, dashes three, symbol gaps one", () => {
+  expect(runs(morseTimeline("A"))).toBe("+1 -1 +3 -10");
+});
+
+test("letters are three units apart and words seven", () => {
+  expect(runs(morseTimeline("SOS"))).toBe(
+    "+1 -1 +1 -1 +1 -3 +3 -1 +3 -1 +3 -3 +1 -1 +1 -1 +1 -10"
+  );
+  expect(runs(morseTimeline("E E"))).toBe("+1 -7 +1 -10");
+});
+
+test("case, extra spaces and unknown characters are ignored", () => {
+  expect(morseTimeline("  sos! ")).toEqual(morseTimeline("SOS"));
+});
+
+test("an empty message stays dark", () => {
+  expect(morseTimeline("")).toEqual([0]);
+  expect(morseTimeline("???")).toEqual(Array(10).fill(0));
+});
+
+test("the morse pattern blinks the message", () => {
+  const colors = [new THREE.Color("#ff0000")];
+  const light = makeLightEvaluator(
+    { pattern: "morse", message: "T", speed: 1, width: 0 },
+    colors
+  );
+  const unit = 0.22;
+  // "T": three units on, then ten off
+  expect(light(0, 10, unit * 0.5).level).toBe(1);
+  expect(light(0, 10, unit * 2.5).level).toBe(1);
+  expect(light(0, 10, unit * 3.5).level).toBeLessThan(0.1);
+  expect(light(0, 10, unit * 13.5).level).toBe(1);
+});
+
+// levels of every light at time t
+const levels = (params, n, t) => {
+  const light = makeLightEvaluator(params, [new THREE.Color("#ffffff")]);
+  return Array.from({ length: n }, (_, i) => light(i, n, t).level);
+};
+const spread = (l) => Math.max(...l) - Math.min(...l);
+
+test("twinkle width spreads the neighbours apart", () => {
+  const narrow = levels({ pattern: "twinkle", width: 0.02 }, 8, 1);
+  const wide = levels({ pattern: "twinkle", width: 0.4 }, 8, 1);
+  expect(narrow[0]).toBeCloseTo(wide[0]);
+  expect(spread(wide)).toBeGreaterThan(spread(narrow) * 3);
+});
+
+test("fade width ripples the breath up the string", () => {
+  const narrow = levels({ pattern: "fade", width: 0.02 }, 10, 0);
+  const wide = levels({ pattern: "fade", width: 0.5 }, 10, 0);
+  expect(narrow[0]).toBeCloseTo(wide[0]);
+  expect(spread(narrow)).toBeLessThan(0.1);
+  expect(spread(wide)).toBeGreaterThan(0.5);
+});
@@ -0,0 +1,292 @@
+import * as THREE from "three";
+import { mergeGeometries } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { mulberry32 } from "./math";
+
+/* =========================
+   Ornament shapes
+========================= */
+
+export const ORNAMENT_KINDS = [
+  "sphere",
+  "teardrop",
+  "star",
+  "bell",
+  "cane",
+  "bow",
+];
+
+export const ORNAMENT_LABELS = {
+  sphere: "구슬",
+  teardrop: "물방울",
+  star: "별",
+  bell: "종",
+  cane: "캔디케인",
+  bow: "리본",
+};
+
+export const DEFAULT_ORNAMENT_MIX = { sphere: 1 };
+
+function lathe(points, segments) {
+  return new THREE.LatheGeometry(
+    points.map(([x, y]) => new THREE.Vector2(x, y)),
+    segments
+  );
+}
+
+function teardropGeometry(segments) {
+  // round belly, pointed drip at the bottom
+  const pts = [];
+  for (let i = 16; i >= 0; i--) {
+    const t = i / 16;
+    pts.push([Math.sin(Math.PI * Math.pow(t, 0.6)) * 0.95, 1 - 2.8 * t]);
+  }
+  const geo = lathe(pts, segments);
+  geo.translate(0, 0.4, 0);
+  return geo;
+}
+
+function bellGeometry(segments) {
+  const shell = lathe(
+    [
+      [0.0, -0.72],
+      [0.95, -0.8],
+      [1.0, -0.68],
+      [0.74, -0.42],
+      [0.6, 0.0],
+      [0.55, 0.42],
+      [0.34, 0.8],
+      [0.0, 0.9],
+    ],
+    segments
+  );
+  const clapper = new THREE.SphereGeometry(0.2, 10, 10);
+  clapper.translate(0, -0.82, 0);
+  const geo = mergeGeometries([shell, clapper]);
+  shell.dispose();
+  clapper.dispose();
+  return geo;
+}
+
+function starGeometry() {
+  const shape = new THREE.Shape();
+  for (let i = 0; i < 10; i++) {
+    const r = i % 2 === 0 ? 1 : 0.45;
+    const a = Math.PI / 2 + (i / 10) * Math.PI * 2;
+    const x = Math.cos(a) * r;
+    const y = Math.sin(a) * r;
+    if (i === 0) shape.moveTo(x, y);
+    else shape.lineTo(x, y);
+  }
+  shape.closePath();
+  const geo = new THREE.ExtrudeGeometry(shape, {
+    depth: 0.26,
+    bevelEnabled: true,
+    bevelThickness: 0.08,
+    bevelSize: 0.06,
+    bevelSegments: 1,
+  });
+  geo.translate(0, 0, -0.13);
+  return geo;
+}
+
+function canePath() {
+  const pts = [
+    new THREE.Vector3(0, -1, 0),
+    new THREE.Vector3(0, -0.3, 0),
+    new THREE.Vector3(0, 0.35, 0),
+  ];
+  for (let i = 1; i <= 8; i++) {
+    const a = Math.PI - (i / 8) * Math.PI;
+    pts.push(
+      new THREE.Vector3(0.35 + Math.cos(a) * 0.35, 0.4 + Math.sin(a) * 0.35, 0)
+    );
+  }
+  return new THREE.CatmullRomCurve3(pts);
+}
+
+function caneGeometry() {
+  return new THREE.TubeGeometry(canePath(), 48, 0.12, 10, false);
+}
+
+// white spiral stripe wound around the cane
+function caneStripeGeometry() {
+  const curve = canePath();
+  const steps = 160;
+  const frames = curve.computeFrenetFrames(steps, false);
+  const pts = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const a = t * Math.PI * 2 * 7;
+    const p = curve.getPointAt(t);
+    const n = frames.normals[i].clone().multiplyScalar(Math.cos(a) * 0.11);
+    const b = frames.binormals[i].clone().multiplyScalar(Math.sin(a) * 0.11);
+    pts.push(p.add(n).add(b));
+  }
+  return new THREE.TubeGeometry(
+    new THREE.CatmullRomCurve3(pts),
+    steps,
+    0.035,
+    6,
+    false
+  );
+}
+
+function bowGeometry() {
+  const parts = [];
+  for (const side of [-1, 1]) {
+    const loop = new THREE.TorusGeometry(0.38, 0.12, 8, 20);
+    loop.scale(1, 0.62, 0.55);
+    loop.rotateZ(side * 0.3);
+    loop.translate(side * 0.44, 0.12, 0);
+    parts.push(loop);
+
+    const tail = new THREE.CylinderGeometry(0.1, 0.06, 0.75, 8);
+    tail.rotateZ(side * 0.45);
+    tail.translate(side * 0.2, -0.42, 0);
+    parts.push(tail);
+  }
+  const knot = new THREE.SphereGeometry(0.2, 12, 12);
+  knot.translate(0, 0.08, 0.02);
+  parts.push(knot);
+
+  const geo = mergeGeometries(parts);
+  parts.forEach((p) => p.dispose());
+  return geo;
+}
+
+// unit-sized (≈ radius 1) geometry per kind; accent parts render in white.
+// segments sets the round shapes' detail (quality tier)
+export function buildOrnamentGeometries(segments = 18) {
+  return {
+    sphere: { geometry: new THREE.SphereGeometry(1, segments, segments) },
+    teardrop: { geometry: teardropGeometry(segments + 2) },
+    star: { geometry: starGeometry() },
+    bell: { geometry: bellGeometry(segments + 2) },
+    cane: { geometry: caneGeometry(), accent: caneStripeGeometry() },
+    bow: { geometry: bowGeometry() },
+  };
+}
+
+export function disposeOrnamentGeometries(geos) {
+  for (const g of Object.values(geos)) {
+    g.geometry.dispose();
+    g.accent?.dispose();
+  }
+}
+
+/* =========================
+   Ornament placement
+========================= */
+
+// where an ornament hanging at (y, angle) sits on the tree
+export function surfacePose(shape, y, angle, size, tilt = 0) {
+  // sit on the branch tips, slightly tucked in
+  const radius = Math.max(0, shape.radiusAt(y, angle) - size * 0.35);
+  return {
+    x: Math.cos(angle) * radius,
+    y,
+    z: Math.sin(angle) * radius,
+    // +Z of the shape faces away from the trunk
+    rot: [0, Math.PI / 2 - angle, tilt],
+  };
+}
+
+function pickKind(rnd, mix) {
+  const entries = ORNAMENT_KINDS.map((k) => [k, Math.max(0, mix?.[k] ?? 0)]);
+  const total = entries.reduce((a, [, w]) => a + w, 0);
+  if (total <= 0) return "sphere";
+  let x = rnd() * total;
+  for (const [k, w] of entries) {
+    x -= w;
+    if (x < 0) return k;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// height table weighted by silhouette radius, so area is sampled evenly
+function buildHeightSampler(shape, bins = 64) {
+  const span = shape.decorMax - shape.decorMin;
+  const cdf = [];
+  let area = 0;
+  for (let i = 0; i < bins; i++) {
+    const y = shape.decorMin + ((i + 0.5) / bins) * span;
+    area += 2 * Math.PI * shape.profileAt(y) * (span / bins);
+    cdf.push(area);
+  }
+  const sample = (u) => {
+    const x = u * area;
+    let i = 0;
+    while (i < bins - 1 && cdf[i] < x) i++;
+    const prev = i === 0 ? 0 : cdf[i - 1];
+    const f = (x - prev) / Math.max(1e-9, cdf[i] - prev);
+    return shape.decorMin + ((i + f) / bins) * span;
+  };
+  return { area, sample };
+}
+
+// Poisson-disk style placement on the generated tree surface:
+// deterministic for (seed, count, shape) and never overlapping
+export function buildOrnaments(seed, count, palette, shape, mix) {
+  const rnd = mulberry32(seed);
+  const { area, sample } = buildHeightSampler(shape);
+
+  const maxSize = 0.065;
+  let minDist = Math.sqrt(area / Math.max(1, count)) * 0.72;
+  const cell = Math.max(minDist, maxSize * 2.1);
+  const grid = new Map();
+  const keyOf = (x, y, z) =>
+    `${Math.floor(x / cell)},${Math.floor(y / cell)},${Math.floor(z / cell)}`;
+
+  const fits = (x, y, z, size) => {
+    const cx = Math.floor(x / cell);
+    const cy = Math.floor(y / cell);
+    const cz = Math.floor(z / cell);
+    for (let i = -1; i <= 1; i++)
+      for (let j = -1; j <= 1; j++)
+        for (let k = -1; k <= 1; k++) {
+          const bucket = grid.get(`${cx + i},${cy + j},${cz + k}`);
+          if (!bucket) continue;
+          for (const o of bucket) {
+            const need = Math.max(minDist, (o.size + size) * 1.02);
+            const dx = o.x - x;
+            const dy = o.y - y;
+            const dz = o.z - z;
+            if (dx * dx + dy * dy + dz * dz < need * need) return false;
+          }
+        }
+    return true;
+  };
+
+  const items = [];
+  // relax the spacing a little whenever a pass can't fit everyone
+  for (let pass = 0; pass < 12 && items.length < count; pass++) {
+    let attempts = (count - items.length) * 30;
+    while (attempts-- > 0 && items.length < count) {
+      const y = sample(rnd());
+      const angle = rnd() * Math.PI * 2;
+      const size = Math.min(0.03 + rnd() * 0.035, minDist * 0.5);
+      const kind = pickKind(rnd, mix);
+      const color = palette[Math.floor(rnd() * palette.length)];
+      const tilt = (rnd() - 0.5) * 0.4;
+
+      const pose = surfacePose(shape, y, angle, size, tilt);
+      if (!fits(pose.x, y, pose.z, size)) continue;
+
+      const item = {
+        id: items.length,
+        ...pose,
+        angle,
+        tilt,
+        size,
+        color,
+        kind,
+      };
+      items.push(item);
+      const key = keyOf(pose.x, y, pose.z);
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(item);
+    }
+    minDist *= 0.85;
+  }
+  return items;
+}
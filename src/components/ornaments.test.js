@@ -0,0 +1,43 @@
+import { ORNAMENT_KINDS, buildOrnaments } from "./ornaments";
+import { generateTree } from "./treeGenerator";
+
+const PALETTE = ["#ff0000", "#00ff00", "#0000ff"];
+
+const overlaps = (items) => {
+  for (let i = 0; i < items.length; i++)
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i];
+      const b = items[j];
+      const d = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+      if (d < a.size + b.size) return [a.id, b.id];
+    }
+  return null;
+};
+
+test("the same seed places the same ornaments", () => {
+  const shape = generateTree(3);
+  expect(buildOrnaments(11, 60, PALETTE, shape)).toEqual(
+    buildOrnaments(11, 60, PALETTE, shape)
+  );
+});
+
+test("the full count limit fits on the tree without overlaps", () => {
+  const shape = generateTree(20251225);
+  const items = buildOrnaments(20251225, 3000, PALETTE, shape);
+  expect(items).toHaveLength(3000);
+  expect(items.map((o) => o.id)).toEqual(items.map((_, i) => i));
+  expect(overlaps(items)).toBeNull();
+});
+
+test("ornaments stay on the foliage and use the palette and mix", () => {
+  const shape = generateTree(8);
+  const mix = { star: 1, bell: 1 };
+  const items = buildOrnaments(8, 200, PALETTE, shape, mix);
+  for (const o of items) {
+    expect(o.y).toBeGreaterThanOrEqual(shape.decorMin);
+    expect(o.y).toBeLessThanOrEqual(shape.decorMax);
+    expect(PALETTE).toContain(o.color);
+    expect(["star", "bell"]).toContain(o.kind);
+    expect(ORNAMENT_KINDS).toContain(o.kind);
+  }
+});
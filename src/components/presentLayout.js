@@ -0,0 +1,154 @@
+import * as THREE from "three";
+import { mulberry32 } from "./math";
+
+/* =========================
+   Present layout
+========================= */
+
+// floor line the boxes stand on (scene space)
+const GROUND_Y = -0.53;
+const GAP = 0.025;
+const MAX_STACK = 3;
+
+export const PRESENT_LAYOUT_DEFAULTS = {
+  count: 12,
+  minSize: 0.16,
+  maxSize: 0.34,
+  stack: 0.3, // chance a box tries to sit on a bigger one
+};
+
+export const PRESENT_LAYOUT_LIMITS = {
+  count: [1, 40],
+  minSize: [0.1, 0.4],
+  maxSize: [0.12, 0.45],
+  stack: [0, 0.8],
+};
+
+export function normalizeLayoutConfig(raw) {
+  const out = { ...PRESENT_LAYOUT_DEFAULTS };
+  for (const [k, [min, max]] of Object.entries(PRESENT_LAYOUT_LIMITS)) {
+    const v = Number(raw?.[k]);
+    if (Number.isFinite(v)) out[k] = THREE.MathUtils.clamp(v, min, max);
+  }
+  out.count = Math.round(out.count);
+  out.maxSize = Math.max(out.minSize, out.maxSize);
+  return out;
+}
+
+// lid sits on top of the box, so piles have to clear it too
+export function lidThickness(h) {
+  return Math.max(0.03, h * 0.18);
+}
+
+// true when the foliage at the box's radius stays clear of its whole height
+function clearsFoliage(shape, treeY, dist, bound, bottom, top) {
+  for (let k = 0; k <= 4; k++) {
+    const y = bottom + ((top - bottom) * k) / 4 - treeY;
+    if (shape.profileAt(y) > dist - bound - GAP) return false;
+  }
+  return true;
+}
+
+// Seeded box layout around the tree. Boxes (by bounding circle) never touch
+// each other, the trunk, the foliage or the keep-out areas the characters
+// use; some smaller boxes are stacked on bigger ones.
+// scene: { shape, treeY, floorRadius,
+//          keepOut: [{ inner, outer } ring | { x, z, r } circle] }
+// -> [{ p: [x, y, z], s: [w, h, d], yaw }] in input order
+export function generatePresentLayout(seed, count, config, scene) {
+  const { shape, treeY, keepOut, floorRadius } = scene;
+  const { minSize, maxSize, stack } = config;
+  const rnd = mulberry32((seed ^ 0x91f7) >>> 0);
+  const trunkR = shape.trunk.radiusBottom;
+
+  const ground = [];
+  const boxes = [];
+
+  const fitsGround = (x, z, bound, h) => {
+    const dist = Math.hypot(x, z);
+    if (dist + bound > floorRadius) return false;
+    if (dist - bound < trunkR + GAP) return false;
+    for (const k of keepOut) {
+      if (k.r != null) {
+        const need = bound + k.r;
+        if ((k.x - x) ** 2 + (k.z - z) ** 2 < need * need) return false;
+      } else if (dist + bound > k.inner && dist - bound < k.outer) {
+        return false;
+      }
+    }
+    const top = GROUND_Y + h + lidThickness(h);
+    if (!clearsFoliage(shape, treeY, dist, bound, GROUND_Y, top)) return false;
+    for (const b of ground) {
+      const need = bound + b.bound + GAP;
+      if ((b.x - x) ** 2 + (b.z - z) ** 2 < need * need) return false;
+    }
+    return true;
+  };
+
+  const tryStack = (w, h, d) => {
+    const bound = Math.hypot(w, d) / 2;
+    const bases = boxes.filter(
+      (b) => !b.covered && b.level < MAX_STACK - 1 && b.bound >= bound + 0.04
+    );
+    if (!bases.length) return null;
+    const base = bases[Math.floor(rnd() * bases.length)];
+    const slack = (base.bound - bound) * 0.4;
+    const a = rnd() * Math.PI * 2;
+    const x = base.x + Math.cos(a) * slack * rnd();
+    const z = base.z + Math.sin(a) * slack * rnd();
+    const bottom = base.top;
+    const dist = Math.hypot(x, z);
+    const top = bottom + h + lidThickness(h);
+    if (!clearsFoliage(shape, treeY, dist, bound, bottom, top)) return null;
+    base.covered = true;
+    return { x, z, bottom, bound, level: base.level + 1 };
+  };
+
+  const tryGround = (w, h, d) => {
+    const bound = Math.hypot(w, d) / 2;
+    const rMin = trunkR + bound + GAP;
+    const rMax = floorRadius - bound;
+    for (let attempt = 0; attempt < 160; attempt++) {
+      // uniform over the annulus area
+      const r = Math.sqrt(rMin * rMin + rnd() * (rMax * rMax - rMin * rMin));
+      const a = rnd() * Math.PI * 2;
+      const x = Math.cos(a) * r;
+      const z = Math.sin(a) * r;
+      if (fitsGround(x, z, bound, h))
+        return { x, z, bottom: GROUND_Y, bound, level: 0 };
+    }
+    return null;
+  };
+
+  for (let i = 0; i < count; i++) {
+    // skewed toward small boxes
+    let w = THREE.MathUtils.lerp(minSize, maxSize, Math.pow(rnd(), 1.6));
+    let h = w * (0.45 + rnd() * 0.45);
+    let d = w * (0.85 + rnd() * 0.3);
+    const yaw = (rnd() - 0.5) * 0.9;
+    const wantStack = rnd() < stack;
+
+    let spot = null;
+    // shrink a crowded box a little at a time until it fits somewhere
+    for (let shrink = 0; shrink < 12 && !spot; shrink++) {
+      spot = (wantStack && tryStack(w, h, d)) || tryGround(w, h, d);
+      if (!spot) {
+        w *= 0.9;
+        h *= 0.9;
+        d *= 0.9;
+      }
+    }
+    if (!spot) continue;
+
+    const box = {
+      ...spot,
+      top: spot.bottom + h + lidThickness(h),
+      covered: false,
+      item: { p: [spot.x, spot.bottom + h / 2, spot.z], s: [w, h, d], yaw },
+    };
+    boxes.push(box);
+    if (box.level === 0) ground.push(box);
+  }
+
+  return boxes.map((b) => b.item);
+}
@@ -0,0 +1,89 @@
+import {
+  PRESENT_LAYOUT_DEFAULTS,
+  generatePresentLayout,
+  normalizeLayoutConfig,
+} from "./presentLayout";
+import { generateTree } from "./treeGenerator";
+
+const GROUND_Y = -0.53;
+const RING = { inner: 1.6, outer: 2 };
+const CIRCLE = { x: 2.4, z: 0, r: 0.4 };
+
+const scene = (seed) => ({
+  shape: generateTree(seed),
+  treeY: -0.25,
+  keepOut: [RING, CIRCLE],
+  floorRadius: 3.1,
+});
+const config = { ...PRESENT_LAYOUT_DEFAULTS, stack: 0.5 };
+
+const bound = ({ s: [w, , d] }) => Math.hypot(w, d) / 2;
+const bottom = ({ p, s }) => p[1] - s[1] / 2;
+const onGround = (b) => Math.abs(bottom(b) - GROUND_Y) < 1e-9;
+
+test("the same seed gives the same layout", () => {
+  expect(generatePresentLayout(5, 20, config, scene(5))).toEqual(
+    generatePresentLayout(5, 20, config, scene(5))
+  );
+});
+
+test("boxes on the floor never touch each other or the keep-out areas", () => {
+  for (const seed of [1, 2, 3, 42, 1225]) {
+    const boxes = generatePresentLayout(seed, 30, config, scene(seed));
+    const ground = boxes.filter(onGround);
+    expect(ground.length).toBeGreaterThan(0);
+
+    ground.forEach((a, i) => {
+      const [x, , z] = a.p;
+      const r = bound(a);
+      const dist = Math.hypot(x, z);
+      expect(dist + r).toBeLessThanOrEqual(3.1);
+      expect(dist + r <= RING.inner || dist - r >= RING.outer).toBe(true);
+      expect(Math.hypot(x - CIRCLE.x, z - CIRCLE.z)).toBeGreaterThanOrEqual(
+        r + CIRCLE.r
+      );
+      for (const b of ground.slice(i + 1)) {
+        const gap = Math.hypot(x - b.p[0], z - b.p[2]) - r - bound(b);
+        expect(gap).toBeGreaterThan(0);
+      }
+    });
+  }
+});
+
+test("stacked boxes sit on a bigger box below them", () => {
+  const boxes = generatePresentLayout(
+    9,
+    40,
+    { ...config, stack: 0.8 },
+    scene(9)
+  );
+  const stacked = boxes.filter((b) => !onGround(b));
+  expect(stacked.length).toBeGreaterThan(0);
+  for (const top of stacked) {
+    const base = boxes.find(
+      (b) =>
+        b !== top &&
+        bound(b) > bound(top) &&
+        Math.hypot(b.p[0] - top.p[0], b.p[2] - top.p[2]) < bound(b) &&
+        bottom(top) > b.p[1]
+    );
+    expect(base).toBeDefined();
+  }
+});
+
+test("layouts are sequential: more boxes keep the first ones in place", () => {
+  const few = generatePresentLayout(7, 8, config, scene(7));
+  const more = generatePresentLayout(7, 9, config, scene(7));
+  expect(more.slice(0, few.length)).toEqual(few);
+});
+
+test("layout settings are clamped to their limits", () => {
+  expect(
+    normalizeLayoutConfig({
+      count: 99.6,
+      minSize: 0.3,
+      maxSize: 0.2,
+      stack: "x",
+    })
+  ).toEqual({ count: 40, minSize: 0.3, maxSize: 0.3, stack: 0.3 });
+});
@@ -0,0 +1,134 @@
+/* =========================
+   Quality tiers + adaptive governor
+========================= */
+
+const STORAGE_KEY = "x3d.quality.v1";
+
+// counts are multipliers on each theme's own snow / sparkle counts
+export const QUALITY_TIERS = {
+  low: {
+    label: "Low",
+    dpr: 1,
+    snow: 0.35,
+    sparkles: 0.35,
+    segments: 8,
+    shadowResolution: 128,
+    shadowBlur: 1.2,
+    environment: false,
+  },
+  medium: {
+    label: "Med",
+    dpr: [1, 1.5],
+    snow: 0.7,
+    sparkles: 0.7,
+    segments: 12,
+    shadowResolution: 256,
+    shadowBlur: 2,
+    environment: true,
+  },
+  high: {
+    label: "High",
+    dpr: [1, 2],
+    snow: 1,
+    sparkles: 1,
+    segments: 18,
+    shadowResolution: 512,
+    shadowBlur: 2.8,
+    environment: true,
+  },
+};
+
+// lowest first; the governor steps along this list
+export const QUALITY_ORDER = ["low", "medium", "high"];
+export const QUALITY_MODES = [...QUALITY_ORDER, "auto"];
+
+export function loadQualityMode() {
+  try {
+    const v = window.localStorage.getItem(STORAGE_KEY);
+    return QUALITY_MODES.includes(v) ? v : "auto";
+  } catch (e) {
+    return "auto";
+  }
+}
+
+export function saveQualityMode(mode) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, mode);
+  } catch (e) {
+    // storage disabled: the choice lasts for this session
+  }
+}
+
+export function stepTier(tier, step) {
+  const i = QUALITY_ORDER.indexOf(tier) + step;
+  return QUALITY_ORDER[Math.min(QUALITY_ORDER.length - 1, Math.max(0, i))];
+}
+
+const WINDOW = 1; // s of frames per measurement
+const SLOW_MS = 1000 / 45;
+const FAST_MS = 1000 / 57;
+const DOWN_AFTER = 2; // slow windows in a row before stepping down
+const UP_AFTER = 6; // fast windows in a row before stepping up
+const SETTLE = 2; // s ignored after a change (shader compiles hitch)
+const BOUNCE_TIME = 15; // s; a drop this soon after a rise is a bounce
+
+// feed it frame deltas and the tier in use; it answers -1 / +1 when the
+// tier should move, never past either end of QUALITY_ORDER. Hysteresis:
+// slow to rise, quick to drop, and every rise that bounces straight back
+// down doubles the wait before the next rise.
+export function createFrameGovernor() {
+  let elapsed = 0;
+  let frames = 0;
+  let settle = SETTLE;
+  let slow = 0;
+  let fast = 0;
+  let upAfter = UP_AFTER;
+  let sinceRise = Infinity;
+
+  const reset = () => {
+    elapsed = 0;
+    frames = 0;
+    slow = 0;
+    fast = 0;
+    settle = SETTLE;
+  };
+
+  return {
+    reset,
+
+    sample(dt, tier) {
+      sinceRise += dt;
+      // a hidden tab or a long hitch says nothing about steady speed
+      if (dt > 0.25) return 0;
+      if (settle > 0) {
+        settle -= dt;
+        return 0;
+      }
+
+      elapsed += dt;
+      frames += 1;
+      if (elapsed < WINDOW) return 0;
+
+      const ms = (elapsed / frames) * 1000;
+      elapsed = 0;
+      frames = 0;
+      slow = ms > SLOW_MS ? slow + 1 : 0;
+      fast = ms < FAST_MS ? fast + 1 : 0;
+
+      // pinned at an end: no step, so nothing to count as a rise or bounce
+      if (slow >= DOWN_AFTER) {
+        if (stepTier(tier, -1) === tier) return 0;
+        if (sinceRise < BOUNCE_TIME) upAfter = Math.min(upAfter * 2, 120);
+        reset();
+        return -1;
+      }
+      if (fast >= upAfter) {
+        if (stepTier(tier, 1) === tier) return 0;
+        sinceRise = 0;
+        reset();
+        return 1;
+      }
+      return 0;
+    },
+  };
+}
@@ -0,0 +1,79 @@
+import { createFrameGovernor, stepTier } from "./quality";
+
+const SLOW = 1 / 30;
+const FAST = 1 / 60;
+
+// feeds `seconds` of frames at `dt`; returns the non-zero answers
+function run(gov, dt, seconds, tier = "medium") {
+  const out = [];
+  for (let t = 0; t < seconds; t += dt) {
+    const step = gov.sample(dt, tier);
+    if (step) out.push(step);
+  }
+  return out;
+}
+
+// past the settle time after creation or a change
+const settled = () => {
+  const gov = createFrameGovernor();
+  run(gov, FAST, 2.1);
+  return gov;
+};
+
+test("the governor steps down after two slow windows and not after one", () => {
+  const gov = settled();
+  expect(run(gov, SLOW, 1.05)).toEqual([]);
+  expect(run(gov, SLOW, 1)).toEqual([-1]);
+});
+
+test("one fast window between slow ones restarts the count", () => {
+  const gov = settled();
+  expect(run(gov, SLOW, 1.05)).toEqual([]);
+  expect(run(gov, FAST, 1)).toEqual([]);
+  expect(run(gov, SLOW, 1.05)).toEqual([]);
+});
+
+test("stepping up needs six fast windows", () => {
+  const gov = settled();
+  expect(run(gov, FAST, 4.9)).toEqual([]);
+  expect(run(gov, FAST, 1.5)).toEqual([1]);
+});
+
+test("the first seconds after a change are ignored", () => {
+  const gov = createFrameGovernor();
+  expect(run(gov, SLOW, 3.9)).toEqual([]);
+  expect(run(gov, SLOW, 0.2)).toEqual([-1]);
+});
+
+test("long hitches say nothing", () => {
+  const gov = settled();
+  expect(run(gov, 0.5, 20)).toEqual([]);
+});
+
+test("a rise that bounces straight back waits longer next time", () => {
+  const gov = settled();
+  expect(run(gov, FAST, 6.5)).toEqual([1]);
+  expect(run(gov, SLOW, 4.5)).toEqual([-1]);
+  // twice the six windows (plus settling) before the next rise
+  expect(run(gov, FAST, 10)).toEqual([]);
+  expect(run(gov, FAST, 5)).toEqual([1]);
+});
+
+test("fast frames at the top tier are not counted as rises", () => {
+  const gov = settled();
+  expect(run(gov, FAST, 30, "high")).toEqual([]);
+  expect(run(gov, SLOW, 2.1, "high")).toEqual([-1]);
+  // no phantom bounce: the next rise still needs only six windows
+  expect(run(gov, FAST, 8.5)).toEqual([1]);
+});
+
+test("slow frames at the bottom tier ask for nothing", () => {
+  const gov = settled();
+  expect(run(gov, SLOW, 10, "low")).toEqual([]);
+});
+
+test("tiers clamp at both ends", () => {
+  expect(stepTier("low", -1)).toBe("low");
+  expect(stepTier("low", 1)).toBe("medium");
+  expect(stepTier("high", 1)).toBe("high");
+});
@@ -0,0 +1,138 @@
+import * as THREE from "three";
+import { createGifEncoder } from "./gifEncoder";
+import { createZip } from "./zip";
+import { canvasToBlob } from "./capture";
+
+/* =========================
+   Recording (WebM / GIF / PNG sequence)
+========================= */
+
+export const RECORD_FORMATS = {
+  webm: "WebM 동영상",
+  gif: "GIF",
+  png: "PNG 시퀀스 (zip)",
+};
+export const RECORD_FORMAT_KEYS = Object.keys(RECORD_FORMATS);
+export const RECORD_EXTENSIONS = { webm: "webm", gif: "gif", png: "zip" };
+
+export const RECORD_LIMITS = {
+  duration: [1, 20], // seconds
+  fps: [10, 60],
+};
+// GIF delays are in 1/100 s and big GIFs get heavy fast
+const GIF_MAX_FPS = 25;
+const GIF_MAX_SIDE = 640;
+const WEBM_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+export const DEFAULT_RECORDING = {
+  format: "webm",
+  duration: 6,
+  fps: 30,
+  turntable: true,
+};
+
+export function normalizeRecording(raw) {
+  const out = { ...DEFAULT_RECORDING, turntable: raw?.turntable !== false };
+  if (RECORD_FORMATS[raw?.format]) out.format = raw.format;
+  for (const k of ["duration", "fps"]) {
+    const v = Number(raw?.[k]);
+    const [min, max] = RECORD_LIMITS[k];
+    if (Number.isFinite(v)) out[k] = THREE.MathUtils.clamp(v, min, max);
+  }
+  if (out.format === "gif") out.fps = Math.min(out.fps, GIF_MAX_FPS);
+  return out;
+}
+
+export function canRecordWebm() {
+  return (
+    typeof MediaRecorder !== "undefined" &&
+    WEBM_TYPES.some((t) => MediaRecorder.isTypeSupported(t))
+  );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// MediaRecorder stamps frames on arrival, so each one is handed over on a
+// steady wall clock (start + i / fps) no matter how long it took to render
+async function recordWebm(canvas, frames, fps, step, onProgress) {
+  if (!canRecordWebm())
+    throw new Error("이 브라우저는 WebM 녹화를 지원하지 않습니다");
+  const mimeType = WEBM_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: 12e6,
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  const stopped = new Promise((resolve) => (recorder.onstop = resolve));
+
+  recorder.start();
+  const start = performance.now();
+  for (let i = 0; i < frames; i++) {
+    step(i, frames);
+    track.requestFrame();
+    onProgress((i + 1) / frames);
+    await sleep(start + ((i + 1) * 1000) / fps - performance.now());
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: "video/webm" });
+}
+
+async function recordGif(canvas, frames, fps, step, onProgress) {
+  const k = Math.min(1, GIF_MAX_SIDE / Math.max(canvas.width, canvas.height));
+  const w = Math.round(canvas.width * k);
+  const h = Math.round(canvas.height * k);
+  const frame = document.createElement("canvas");
+  frame.width = w;
+  frame.height = h;
+  const ctx = frame.getContext("2d", { willReadFrequently: true });
+  const gif = createGifEncoder(w, h, Math.round(100 / fps));
+
+  for (let i = 0; i < frames; i++) {
+    step(i, frames);
+    ctx.drawImage(canvas, 0, 0, w, h);
+    gif.addFrame(ctx.getImageData(0, 0, w, h).data);
+    onProgress((i + 1) / frames);
+    // let the page breathe (progress, input) between frames
+    await sleep(0);
+  }
+  return gif.finish();
+}
+
+async function recordPngs(canvas, frames, fps, step, onProgress) {
+  const frame = document.createElement("canvas");
+  frame.width = canvas.width;
+  frame.height = canvas.height;
+  const ctx = frame.getContext("2d");
+  const zip = createZip();
+  const digits = String(frames).length;
+
+  for (let i = 0; i < frames; i++) {
+    step(i, frames);
+    ctx.clearRect(0, 0, frame.width, frame.height);
+    ctx.drawImage(canvas, 0, 0);
+    const name = `frame_${String(i + 1).padStart(digits, "0")}.png`;
+    await zip.add(name, await canvasToBlob(frame));
+    onProgress((i + 1) / frames);
+  }
+  return zip.finish();
+}
+
+const RECORDERS = { webm: recordWebm, gif: recordGif, png: recordPngs };
+
+// Records config.duration seconds at config.fps from canvas (the WebGL
+// canvas). step(i, frames) must render frame i synchronously: the caller owns the
+// scene clock and advances it by exactly 1 / fps per frame, so the output
+// is smooth even when the live render isn't. Resolves to the file's Blob.
+export function recordScene(canvas, config, step, onProgress = () => {}) {
+  const frames = Math.max(1, Math.round(config.duration * config.fps));
+  return RECORDERS[config.format](canvas, frames, config.fps, step, onProgress);
+}
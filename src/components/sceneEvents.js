@@ -0,0 +1,59 @@
+/* =========================
+   Scene events (bus + event types)
+========================= */
+
+// Everything the scene reports. Each event is a plain object
+// { type, time, ...payload }; positions are [x, y, z] arrays.
+//   giftOpened        { index, key, position, color }  clicked open
+//   giftAutoOpened    { index, key, position, color }  lid peeks by itself
+//   giftDelivered     { index, position, color }       sleigh drop landed
+//   characterClicked  { key, label, role, position, color }
+//   ornamentClicked   { id, kind, color, position }
+//   themeChanged      { theme, previous }
+//   seedShuffled      { seed, previous }
+//   beat              { position, color }               music beat
+export const SCENE_EVENTS = {
+  giftOpened: "선물 열기",
+  giftAutoOpened: "선물 자동 열림",
+  giftDelivered: "선물 배달",
+  characterClicked: "캐릭터 클릭",
+  ornamentClicked: "오너먼트 클릭",
+  themeChanged: "테마 변경",
+  seedShuffled: "셔플",
+  beat: "음악 비트",
+};
+export const SCENE_EVENT_TYPES = Object.keys(SCENE_EVENTS);
+
+// synchronous pub/sub; on("*") hears every event. A throwing listener
+// is reported on its own tick instead of breaking the frame or the
+// listeners after it.
+export function createSceneEvents() {
+  const listeners = new Map();
+  return {
+    on(type, fn) {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(fn);
+      return () => listeners.get(type)?.delete(fn);
+    },
+    emit(type, payload = {}) {
+      const event = { type, time: Date.now(), ...payload };
+      for (const key of [type, "*"]) {
+        for (const fn of [...(listeners.get(key) ?? [])]) {
+          try {
+            fn(event);
+          } catch (err) {
+            setTimeout(() => {
+              throw err;
+            });
+          }
+        }
+      }
+      return event;
+    },
+  };
+}
+
+// giftOpened -> onGiftOpened
+export function eventPropName(type) {
+  return `on${type[0].toUpperCase()}${type.slice(1)}`;
+}
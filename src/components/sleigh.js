@@ -0,0 +1,96 @@
+import * as THREE from "three";
+
+/* =========================
+   Sleigh flight (path + settings)
+========================= */
+
+const STORAGE_KEY = "x3d.sleigh.v1";
+
+export const SLEIGH_LIMITS = {
+  interval: [0, 120], // seconds between flights, 0: on click only
+  duration: [6, 24], // seconds for the whole path
+  x: [-10, 10],
+  y: [-0.2, 8],
+  z: [-10, 10],
+};
+export const MIN_WAYPOINTS = 2;
+export const MAX_WAYPOINTS = 12;
+// sleigh-delivered boxes kept under the tree per session
+export const MAX_DELIVERED = 12;
+
+// in from the back, one lap around the tree, swoop low over the
+// presents (the drop point) and climb away
+export const DEFAULT_WAYPOINTS = [
+  [-7.5, 5.2, -6],
+  [-3.4, 3.8, -3.6],
+  [2.6, 3.3, -3.2],
+  [3.6, 2.4, 0.4],
+  [2.2, 1.2, 2.6],
+  [-1.4, 1.5, 3.2],
+  [-3.6, 2.8, 1.2],
+  [-7, 5.6, 4.5],
+];
+
+export const DEFAULT_SLEIGH = {
+  enabled: false,
+  interval: 30,
+  duration: 12,
+  drop: 4, // waypoint index where the present is released
+  waypoints: DEFAULT_WAYPOINTS,
+};
+
+export function normalizeWaypoint(raw) {
+  return ["x", "y", "z"].map((axis, i) => {
+    const v = Number(raw?.[i]);
+    const [min, max] = SLEIGH_LIMITS[axis];
+    return Number.isFinite(v) ? THREE.MathUtils.clamp(v, min, max) : 0;
+  });
+}
+
+export function normalizeSleigh(raw) {
+  const out = { ...DEFAULT_SLEIGH, enabled: !!raw?.enabled };
+  for (const k of ["interval", "duration"]) {
+    const v = Number(raw?.[k]);
+    const [min, max] = SLEIGH_LIMITS[k];
+    if (Number.isFinite(v)) out[k] = THREE.MathUtils.clamp(v, min, max);
+  }
+  if (Array.isArray(raw?.waypoints) && raw.waypoints.length >= MIN_WAYPOINTS) {
+    out.waypoints = raw.waypoints
+      .slice(0, MAX_WAYPOINTS)
+      .map(normalizeWaypoint);
+  }
+  const drop = Number.isInteger(raw?.drop) ? raw.drop : out.drop;
+  out.drop = THREE.MathUtils.clamp(drop, 0, out.waypoints.length - 1);
+  return out;
+}
+
+export function loadSleigh() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+    return normalizeSleigh(raw);
+  } catch (e) {
+    return normalizeSleigh(null);
+  }
+}
+
+export function saveSleigh(config) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+  } catch (e) {
+    // storage disabled: keep it for this session
+  }
+}
+
+// smooth curve through the waypoints; dropU is where the drop waypoint
+// falls in arc-length terms, so getPointAt(dropU) passes right over it
+export function buildFlightPath(waypoints, drop) {
+  const curve = new THREE.CatmullRomCurve3(
+    waypoints.map((p) => new THREE.Vector3(...p)),
+    false,
+    "centripetal"
+  );
+  const lengths = curve.getLengths(200);
+  const total = lengths[lengths.length - 1] || 1;
+  const k = Math.round((drop / (waypoints.length - 1)) * 200);
+  return { curve, dropU: lengths[k] / total };
+}
@@ -0,0 +1,125 @@
+import * as THREE from "three";
+
+/* =========================
+   Steering (characters on the floor)
+========================= */
+
+const SEPARATION = 0.1; // extra gap kept between characters
+const CLEARANCE = 0.06; // extra gap kept around obstacles
+const MAX_ACCEL = 2.4; // units/s^2: speed and direction changes ease in
+const TURN_RATE = 8; // heading follow rate
+const MOVING = 0.04; // below this speed a character counts as standing
+
+// shared by everything walking on the floor; characters register
+// themselves in agents, Presents publishes its boxes as obstacles and the
+// tree its trunk
+export function createCrowd() {
+  return {
+    agents: new Map(), // key -> motion state ({ x, z, vx, vz, r, ... })
+    obstacles: [], // [{ x, z, r }]
+    trunk: { x: 0, z: 0, r: 0.25 },
+    floor: 3.15, // characters stay inside this radius
+  };
+}
+
+export function lerpAngle(a, b, k) {
+  const d = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+  return a + d * k;
+}
+
+// push a circle out of another (hard constraint after integration)
+function separate(agent, x, z, r) {
+  const dx = agent.x - x;
+  const dz = agent.z - z;
+  const d = Math.hypot(dx, dz);
+  const min = agent.r + r;
+  if (d >= min) return;
+  const nx = d > 1e-5 ? dx / d : 1;
+  const nz = d > 1e-5 ? dz / d : 0;
+  agent.x = x + nx * min;
+  agent.z = z + nz * min;
+}
+
+// desired-velocity steering toward goal { x, z, speed, arrive, heading }:
+// seek (or arrive), separation from other agents, avoidance of obstacles
+// and the trunk, containment on the floor. Acceleration is capped so
+// speed/radius changes ease instead of popping, and the heading follows
+// the actual velocity.
+export function steer(agent, goal, crowd, dt) {
+  const dx = goal.x - agent.x;
+  const dz = goal.z - agent.z;
+  const d = Math.hypot(dx, dz);
+  let speed = goal.speed;
+  if (goal.arrive) speed *= THREE.MathUtils.clamp(d / 0.4, 0, 1);
+  let wx = d > 1e-5 ? (dx / d) * speed : 0;
+  let wz = d > 1e-5 ? (dz / d) * speed : 0;
+
+  if (crowd) {
+    const push = (x, z, r, gap, gain) => {
+      const ox = agent.x - x;
+      const oz = agent.z - z;
+      const od = Math.hypot(ox, oz);
+      const reach = agent.r + r + gap * 4;
+      if (od >= reach || od < 1e-5) return;
+      const k = ((reach - od) / reach) * gain;
+      wx += (ox / od) * k;
+      wz += (oz / od) * k;
+      // slide around it on the side we're already heading
+      const side = Math.sign(wx * -oz + wz * ox) || 1;
+      wx += (-oz / od) * k * 0.6 * side;
+      wz += (ox / od) * k * 0.6 * side;
+    };
+
+    for (const other of crowd.agents.values()) {
+      if (other === agent || other.away) continue;
+      push(other.x, other.z, other.r, SEPARATION, 1.6);
+    }
+    for (const o of crowd.obstacles) push(o.x, o.z, o.r, CLEARANCE, 2.2);
+    push(crowd.trunk.x, crowd.trunk.z, crowd.trunk.r, CLEARANCE, 2.2);
+
+    const r = Math.hypot(agent.x, agent.z);
+    const over = r + agent.r - crowd.floor;
+    if (over > 0 && r > 1e-5) {
+      wx -= (agent.x / r) * over * 8;
+      wz -= (agent.z / r) * over * 8;
+    }
+  }
+
+  // ease the velocity toward the desired one
+  let ax = wx - agent.vx;
+  let az = wz - agent.vz;
+  const a = Math.hypot(ax, az);
+  const maxA = MAX_ACCEL * dt;
+  if (a > maxA) {
+    ax = (ax / a) * maxA;
+    az = (az / a) * maxA;
+  }
+  agent.vx += ax;
+  agent.vz += az;
+  agent.x += agent.vx * dt;
+  agent.z += agent.vz * dt;
+
+  if (crowd) {
+    for (const o of crowd.obstacles) separate(agent, o.x, o.z, o.r + CLEARANCE);
+    separate(agent, crowd.trunk.x, crowd.trunk.z, crowd.trunk.r + CLEARANCE);
+    for (const other of crowd.agents.values()) {
+      if (other === agent || other.away) continue;
+      separate(agent, other.x, other.z, other.r);
+    }
+    const r = Math.hypot(agent.x, agent.z);
+    const max = crowd.floor - agent.r;
+    if (r > max) {
+      agent.x *= max / r;
+      agent.z *= max / r;
+    }
+  }
+
+  const v = Math.hypot(agent.vx, agent.vz);
+  agent.moving = v > MOVING;
+  const k = 1 - Math.exp(-dt * TURN_RATE);
+  if (agent.moving) {
+    agent.heading = lerpAngle(agent.heading, Math.atan2(agent.vx, agent.vz), k);
+  } else if (goal.heading != null) {
+    agent.heading = lerpAngle(agent.heading, goal.heading, k);
+  }
+}
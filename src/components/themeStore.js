@@ -0,0 +1,287 @@
+import * as THREE from "three";
+import { BURST_PRESET_KEYS, BURST_ROLES, DEFAULT_BURSTS } from "./bursts";
+import { LIGHT_LIMITS, LIGHT_PATTERN_KEYS } from "./lightPatterns";
+import { DEFAULT_ORNAMENT_MIX, ORNAMENT_KINDS } from "./ornaments";
+
+/* =========================
+   Custom themes (storage + validation)
+========================= */
+
+const STORAGE_KEY = "x3d.customThemes.v1";
+const FILE_VERSION = 1;
+
+export const ENV_PRESETS = [
+  "apartment",
+  "city",
+  "dawn",
+  "forest",
+  "lobby",
+  "night",
+  "park",
+  "studio",
+  "sunset",
+  "warehouse",
+];
+
+// slider bounds shared with the editor
+export const LIMITS = {
+  swayAx: [0, 0.12],
+  swayAy: [0, 0.12],
+  swaySpeed: [0.1, 2.5],
+  fogNear: [2, 40],
+  fogFar: [10, 90],
+  fov: [30, 70],
+  autoRotateSpeed: [0, 3],
+  camPos: [-14, 14],
+  camTargetY: [0, 2.5],
+  ornamentWeight: [0, 5],
+  windAngle: [0, 360],
+  windStrength: [0, 1.5],
+  paletteMin: 1,
+  paletteMax: 8,
+};
+
+const COLOR_TOKENS = ["bg", "tree", "trunk", "star", "light", "spark"];
+const ALPHA_TOKENS = ["panel", "stroke", "fg"];
+
+const HEX_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const RGBA_RE =
+  /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*([\d.]+)\s*)?\)$/i;
+
+function expandHex(hex) {
+  if (hex.length === 4)
+    return `#${hex[1]}${hex[1]}${hex[2]}${hex[2]}${hex[3]}${hex[3]}`;
+  return hex.toLowerCase();
+}
+
+// "#rrggbb" or "rgba(r,g,b,a)" -> { hex, alpha }
+export function splitColor(value) {
+  if (typeof value !== "string") return null;
+  const v = value.trim();
+  if (HEX_RE.test(v)) return { hex: expandHex(v), alpha: 1 };
+
+  const m = v.match(RGBA_RE);
+  if (!m) return null;
+  const [r, g, b] = [m[1], m[2], m[3]].map(Number);
+  if (r > 255 || g > 255 || b > 255) return null;
+  const alpha = m[4] === undefined ? 1 : Number(m[4]);
+  if (!(alpha >= 0 && alpha <= 1)) return null;
+
+  const hex = `#${new THREE.Color(r / 255, g / 255, b / 255).getHexString()}`;
+  return { hex, alpha };
+}
+
+export function joinColor(hex, alpha) {
+  const c = new THREE.Color(hex);
+  const a = Math.round(THREE.MathUtils.clamp(alpha, 0, 1) * 100) / 100;
+  return `rgba(${Math.round(c.r * 255)},${Math.round(c.g * 255)},${Math.round(
+    c.b * 255
+  )},${a})`;
+}
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function num(value, [min, max], name) {
+  if (typeof value !== "number" || !Number.isFinite(value))
+    fail(`${name}: 숫자가 아닙니다`);
+  return THREE.MathUtils.clamp(value, min, max);
+}
+
+function hexColor(value, name) {
+  const c = splitColor(value);
+  if (!c) fail(`${name}: 잘못된 색상 "${value}"`);
+  return c.hex;
+}
+
+function alphaColor(value, name) {
+  const c = splitColor(value);
+  if (!c) fail(`${name}: 잘못된 색상 "${value}"`);
+  return c.alpha < 1 ? joinColor(c.hex, c.alpha) : c.hex;
+}
+
+export function makeThemeKey() {
+  return `custom-${Date.now().toString(36)}${Math.floor(
+    Math.random() * 1296
+  ).toString(36)}`;
+}
+
+// validates a raw theme (storage or imported file) and returns a clean copy;
+// throws with a readable message on bad input
+export function normalizeTheme(raw, baseKeys) {
+  if (!raw || typeof raw !== "object") fail("테마 형식이 아닙니다");
+
+  const label =
+    typeof raw.label === "string" && raw.label.trim()
+      ? raw.label.trim().slice(0, 24)
+      : fail("label: 이름이 필요합니다");
+  const base = baseKeys.includes(raw.base) ? raw.base : baseKeys[0];
+
+  const t = raw.tokens;
+  if (!t || typeof t !== "object") fail("tokens: 누락");
+
+  const tokens = {};
+  for (const k of COLOR_TOKENS) tokens[k] = hexColor(t[k], k);
+  for (const k of ALPHA_TOKENS) tokens[k] = alphaColor(t[k], k);
+
+  if (!Array.isArray(t.palette)) fail("palette: 배열이 아닙니다");
+  if (
+    t.palette.length < LIMITS.paletteMin ||
+    t.palette.length > LIMITS.paletteMax
+  )
+    fail(`palette: ${LIMITS.paletteMin}~${LIMITS.paletteMax}개여야 합니다`);
+  tokens.palette = t.palette.map((c, i) => hexColor(c, `palette[${i}]`));
+
+  const sway = t.sway ?? fail("sway: 누락");
+  tokens.sway = {
+    ax: num(sway.ax, LIMITS.swayAx, "sway.ax"),
+    ay: num(sway.ay, LIMITS.swayAy, "sway.ay"),
+    speed: num(sway.speed, LIMITS.swaySpeed, "sway.speed"),
+  };
+
+  const fog = t.fog ?? fail("fog: 누락");
+  const near = num(fog.near, LIMITS.fogNear, "fog.near");
+  tokens.fog = {
+    color: hexColor(fog.color, "fog.color"),
+    near,
+    far: Math.max(near + 1, num(fog.far, LIMITS.fogFar, "fog.far")),
+  };
+
+  // older files have no wind: a light breeze
+  const wind = t.wind ?? { angle: 0, strength: 0.2 };
+  tokens.wind = {
+    angle: num(wind.angle, LIMITS.windAngle, "wind.angle"),
+    strength: num(wind.strength, LIMITS.windStrength, "wind.strength"),
+  };
+
+  tokens.env = ENV_PRESETS.includes(t.env)
+    ? t.env
+    : fail(`env: 알 수 없는 프리셋 "${t.env}"`);
+
+  // older files have no ornament mix: fall back to plain spheres
+  const mix = t.ornaments ?? DEFAULT_ORNAMENT_MIX;
+  if (typeof mix !== "object") fail("ornaments: 객체가 아닙니다");
+  tokens.ornaments = {};
+  for (const k of Object.keys(mix)) {
+    if (!ORNAMENT_KINDS.includes(k)) fail(`ornaments: 알 수 없는 모양 "${k}"`);
+    const w = num(mix[k], LIMITS.ornamentWeight, `ornaments.${k}`);
+    if (w > 0) tokens.ornaments[k] = w;
+  }
+  if (!Object.keys(tokens.ornaments).length)
+    fail("ornaments: 하나 이상의 모양이 필요합니다");
+
+  // burst preset per role; missing roles use the defaults
+  const bursts = t.bursts ?? {};
+  if (typeof bursts !== "object") fail("bursts: 객체가 아닙니다");
+  tokens.bursts = {};
+  for (const role of Object.keys(BURST_ROLES)) {
+    const v = bursts[role] ?? DEFAULT_BURSTS[role];
+    tokens.bursts[role] = BURST_PRESET_KEYS.includes(v)
+      ? v
+      : fail(`bursts.${role}: 알 수 없는 이펙트 "${v}"`);
+  }
+
+  // light-string defaults; older files have none
+  const lights = t.lights ?? {};
+  if (typeof lights !== "object") fail("lights: 객체가 아닙니다");
+  tokens.lights = {
+    pattern: LIGHT_PATTERN_KEYS.includes(lights.pattern ?? "twinkle")
+      ? (lights.pattern ?? "twinkle")
+      : fail(`lights.pattern: 알 수 없는 패턴 "${lights.pattern}"`),
+  };
+  for (const k of Object.keys(LIGHT_LIMITS)) {
+    if (lights[k] !== undefined)
+      tokens.lights[k] = num(lights[k], LIGHT_LIMITS[k], `lights.${k}`);
+  }
+  if (tokens.lights.count !== undefined)
+    tokens.lights.count = Math.round(tokens.lights.count);
+  if (typeof lights.message === "string")
+    tokens.lights.message = lights.message.slice(0, 40);
+
+  const cam = raw.camera;
+  if (!cam || typeof cam !== "object") fail("camera: 누락");
+  const vec = (v, name, limits) =>
+    Array.isArray(v) && v.length === 3
+      ? v.map((x, i) => num(x, limits[i], `${name}[${i}]`))
+      : fail(`${name}: [x, y, z] 형식이어야 합니다`);
+  const { camPos, camTargetY } = LIMITS;
+  const camera = {
+    pos: vec(cam.pos, "camera.pos", [camPos, camPos, camPos]),
+    // the editor only moves the target's height, within camTargetY
+    target: vec(cam.target, "camera.target", [camPos, camTargetY, camPos]),
+    fov: num(cam.fov, LIMITS.fov, "camera.fov"),
+    autoRotate: Boolean(cam.autoRotate),
+    autoRotateSpeed: num(
+      cam.autoRotateSpeed ?? 0.8,
+      LIMITS.autoRotateSpeed,
+      "camera.autoRotateSpeed"
+    ),
+  };
+
+  const key =
+    typeof raw.key === "string" && /^custom-[a-z0-9]+$/.test(raw.key)
+      ? raw.key
+      : makeThemeKey();
+
+  return { key, label, base, tokens, camera };
+}
+
+export function loadCustomThemes(baseKeys) {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? "[]");
+    if (!Array.isArray(raw)) return [];
+    const out = [];
+    for (const item of raw) {
+      // skip broken entries instead of losing the whole list
+      try {
+        out.push(normalizeTheme(item, baseKeys));
+      } catch (e) {}
+    }
+    return out;
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveCustomThemes(themes) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(themes));
+  } catch (e) {
+    // storage full or disabled: themes stay for this session only
+  }
+}
+
+export function themeToFile(theme) {
+  const { key, ...rest } = theme;
+  return JSON.stringify({ version: FILE_VERSION, ...rest }, null, 2);
+}
+
+export function themeFromFile(text, baseKeys) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    fail("JSON 파싱 실패");
+  }
+  if (raw?.version !== FILE_VERSION)
+    fail(`지원하지 않는 버전: ${raw?.version}`);
+  // imports always get a fresh key so they never overwrite a saved theme
+  const { key, ...rest } = raw;
+  return normalizeTheme(rest, baseKeys);
+}
+
+export function downloadText(filename, text, type = "application/json") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,50 @@
+import { themeFromFile, themeToFile } from "./themeStore";
+
+const BASE_KEYS = ["minimal", "lux"];
+
+const THEME = {
+  label: "테스트",
+  base: "lux",
+  tokens: {
+    bg: "#070a13",
+    panel: "rgba(255,255,255,0.07)",
+    stroke: "rgba(255,255,255,0.12)",
+    fg: "rgba(255,255,255,0.94)",
+    tree: "#1f9a60",
+    trunk: "#7c553c",
+    star: "#ffd57c",
+    light: "#ffd57c",
+    spark: "#ffd57c",
+    palette: ["#ff4d4d", "#ffd57c"],
+    sway: { ax: 0.03, ay: 0.045, speed: 0.75 },
+    fog: { color: "#070a13", near: 14, far: 50 },
+    env: "city",
+  },
+  camera: { pos: [0, 2.2, 9], target: [0, 1.2, 0], fov: 42 },
+};
+
+const withCamera = (camera) =>
+  themeToFile({ ...THEME, camera: { ...THEME.camera, ...camera } });
+
+test("an exported theme imports back with its camera", () => {
+  const theme = themeFromFile(themeToFile(THEME), BASE_KEYS);
+  expect(theme.label).toBe("테스트");
+  expect(theme.camera.pos).toEqual([0, 2.2, 9]);
+  expect(theme.camera.target).toEqual([0, 1.2, 0]);
+});
+
+test("imported camera targets are clamped to the editor's height range", () => {
+  const high = themeFromFile(withCamera({ target: [1, 12, -2] }), BASE_KEYS);
+  expect(high.camera.target).toEqual([1, 2.5, -2]);
+  const low = themeFromFile(withCamera({ target: [0, -3, 0] }), BASE_KEYS);
+  expect(low.camera.target).toEqual([0, 0, 0]);
+  // positions keep the wider range
+  const far = themeFromFile(withCamera({ pos: [0, 12, 20] }), BASE_KEYS);
+  expect(far.camera.pos).toEqual([0, 12, 14]);
+});
+
+test("a camera target that isn't [x, y, z] is rejected", () => {
+  expect(() =>
+    themeFromFile(withCamera({ target: [0, 1] }), BASE_KEYS)
+  ).toThrow("camera.target");
+});
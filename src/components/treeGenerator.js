@@ -0,0 +1,233 @@
+import * as THREE from "three";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { mulberry32 } from "./math";
+
+/* =========================
+   Procedural tree
+========================= */
+
+// ground line of the tree group (trunk foot)
+const GROUND_Y = -0.3;
+const STAR_OFFSET = 0.075;
+
+export const TREE_STYLES = {
+  fir: {
+    label: "전나무",
+    tiers: 3,
+    height: 2.03,
+    baseRadius: 0.9,
+    taper: 0.5,
+    droop: 0.1,
+    edge: 0.16,
+    lobes: [9, 13],
+    twist: 0,
+    trunkHeight: 0.5,
+    wireframe: false,
+  },
+  pine: {
+    label: "슬림 파인",
+    tiers: 6,
+    height: 2.25,
+    baseRadius: 0.62,
+    taper: 0.35,
+    droop: 0.18,
+    edge: 0.2,
+    lobes: [7, 10],
+    twist: 0,
+    trunkHeight: 0.55,
+    wireframe: false,
+  },
+  spiral: {
+    label: "스파이럴",
+    tiers: 5,
+    height: 2.1,
+    baseRadius: 0.85,
+    taper: 0.42,
+    droop: 0.04,
+    edge: 0.24,
+    lobes: [5, 7],
+    twist: 2.6,
+    trunkHeight: 0.5,
+    wireframe: false,
+  },
+  neon: {
+    label: "네온 와이어",
+    tiers: 4,
+    height: 2.05,
+    baseRadius: 0.88,
+    taper: 0.45,
+    droop: 0.06,
+    edge: 0.1,
+    lobes: [8, 12],
+    twist: 0.8,
+    trunkHeight: 0.5,
+    wireframe: true,
+  },
+};
+
+export const TREE_STYLE_KEYS = Object.keys(TREE_STYLES);
+export const DEFAULT_TREE_STYLE = "fir";
+
+const RADIAL_SEGMENTS = 96;
+const HEIGHT_SEGMENTS = 10;
+
+function tierEdge(tier, angle, h) {
+  // h: 0 at the tier apex, 1 at its rim
+  const a = angle + tier.twist * h + tier.phase;
+  const lobe = Math.pow(0.5 + 0.5 * Math.cos(tier.lobes * a), 2);
+  const noise =
+    0.35 * Math.sin(3 * a + tier.noise[0]) +
+    0.2 * Math.sin(7 * a + tier.noise[1]);
+  return tier.edge * Math.pow(h, 1.5) * (lobe * 0.8 + noise * 0.4 - 0.3);
+}
+
+function tierPoint(tier, angle, h) {
+  const r = tier.radius * h * (1 + tierEdge(tier, angle, h));
+  const y = tier.top - h * tier.height - tier.droop * tier.height * h * h * h;
+  return [r, y];
+}
+
+// y(h) only falls with h, so bisect for the h that reaches y
+function tierHAt(tier, y) {
+  if (y > tier.top || y < tier.rimY) return null;
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 18; i++) {
+    const mid = (lo + hi) / 2;
+    const my =
+      tier.top - mid * tier.height - tier.droop * tier.height * mid ** 3;
+    if (my > y) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function buildTierGeometry(tier) {
+  const positions = [];
+  const indices = [];
+  const row = RADIAL_SEGMENTS + 1;
+
+  for (let j = 0; j <= HEIGHT_SEGMENTS; j++) {
+    const h = j / HEIGHT_SEGMENTS;
+    for (let k = 0; k <= RADIAL_SEGMENTS; k++) {
+      const angle = (k / RADIAL_SEGMENTS) * Math.PI * 2;
+      const [r, y] = tierPoint(tier, angle, h);
+      positions.push(Math.cos(angle) * r, y, Math.sin(angle) * r);
+    }
+  }
+  for (let j = 0; j < HEIGHT_SEGMENTS; j++) {
+    for (let k = 0; k < RADIAL_SEGMENTS; k++) {
+      const a = j * row + k;
+      const b = a + row;
+      indices.push(a, b, a + 1, b, b + 1, a + 1);
+    }
+  }
+
+  // bottom cap
+  const center = positions.length / 3;
+  positions.push(0, tier.rimY + tier.droop * tier.height * 0.5, 0);
+  const rim = HEIGHT_SEGMENTS * row;
+  for (let k = 0; k < RADIAL_SEGMENTS; k++) {
+    indices.push(center, rim + k, rim + k + 1);
+  }
+
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geo.setIndex(indices);
+  const merged = mergeVertices(geo);
+  geo.dispose();
+  merged.computeVertexNormals();
+  return merged;
+}
+
+// seeded tree shape: tier data, surface queries for decorations and a
+// geometry builder for the foliage
+export function generateTree(seed, styleKey = DEFAULT_TREE_STYLE, overrides) {
+  const style = {
+    ...(TREE_STYLES[styleKey] ?? TREE_STYLES[DEFAULT_TREE_STYLE]),
+    ...overrides,
+  };
+  const rnd = mulberry32((seed ^ 0x5eed7ee) >>> 0);
+
+  const n = Math.max(1, Math.round(style.tiers));
+  const foot = GROUND_Y + style.trunkHeight * 0.5;
+  const H = style.height;
+
+  // more tiers -> shorter, more layered cones
+  const squash = THREE.MathUtils.lerp(
+    1,
+    0.6,
+    THREE.MathUtils.clamp((n - 3) / 5, 0, 1)
+  );
+  const hFirst = H * 0.6 * squash;
+  const hLast = H * 0.42 * squash;
+
+  const tiers = [];
+  for (let i = 0; i < n; i++) {
+    const u = n === 1 ? 0 : i / (n - 1);
+    const height = n === 1 ? H : THREE.MathUtils.lerp(hFirst, hLast, u);
+    const bottom = foot + u * (H - (n === 1 ? H : hLast));
+    const [lobeMin, lobeMax] = style.lobes;
+
+    const tier = {
+      index: i,
+      top: bottom + height,
+      height,
+      radius:
+        style.baseRadius *
+        THREE.MathUtils.lerp(1, style.taper, u) *
+        (0.96 + rnd() * 0.08),
+      droop: style.droop * (1 - u * 0.5),
+      edge: style.edge,
+      lobes: Math.round(lobeMin + rnd() * (lobeMax - lobeMin)),
+      twist: style.twist,
+      phase: rnd() * Math.PI * 2,
+      noise: [rnd() * Math.PI * 2, rnd() * Math.PI * 2],
+    };
+    tier.rimY = tier.top - tier.height * (1 + tier.droop);
+    tiers.push(tier);
+  }
+
+  const topY = foot + H;
+
+  // outer silhouette radius at (y, angle), 0 when no foliage there
+  const radiusAt = (y, angle) => {
+    let best = 0;
+    for (const tier of tiers) {
+      const h = tierHAt(tier, y);
+      if (h === null) continue;
+      const r = tier.radius * h * (1 + tierEdge(tier, angle, h));
+      if (r > best) best = r;
+    }
+    return best;
+  };
+
+  // smooth envelope (no branch noise), for things that wrap the tree
+  const profileAt = (y) => {
+    let best = 0;
+    for (const tier of tiers) {
+      const h = tierHAt(tier, y);
+      if (h !== null) best = Math.max(best, tier.radius * h);
+    }
+    return best;
+  };
+
+  return {
+    style: styleKey,
+    wireframe: style.wireframe,
+    tiers,
+    trunk: {
+      y: GROUND_Y + style.trunkHeight / 2,
+      height: style.trunkHeight,
+      radiusTop: 0.18 * (style.baseRadius / 0.9),
+      radiusBottom: 0.22 * (style.baseRadius / 0.9),
+    },
+    topY,
+    starY: topY + STAR_OFFSET,
+    decorMin: foot + 0.08,
+    decorMax: topY - 0.14,
+    radiusAt,
+    profileAt,
+    buildGeometries: () => tiers.map(buildTierGeometry),
+  };
+}
@@ -0,0 +1,111 @@
+/* =========================
+   Zip archive (stored, no compression)
+========================= */
+
+// for files that are already compressed (PNG frames); names are ASCII
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++)
+    c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function record(fields) {
+  const size = fields.reduce((n, [, bytes]) => n + bytes, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let o = 0;
+  for (const [v, bytes] of fields) {
+    if (bytes === 2) view.setUint16(o, v, true);
+    else view.setUint32(o, v, true);
+    o += bytes;
+  }
+  return new Uint8Array(view.buffer);
+}
+
+// add(name, Blob) stores one file; finish() -> Blob
+export function createZip() {
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+
+  // DOS date/time of "now" for every entry
+  const d = new Date();
+  const time =
+    (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const date =
+    ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+  return {
+    async add(name, blob) {
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      const crc = crc32(bytes);
+      const nameBytes = new TextEncoder().encode(name);
+      const head = record([
+        [0x04034b50, 4],
+        [20, 2], // version needed
+        [0, 2], // flags
+        [0, 2], // stored
+        [time, 2],
+        [date, 2],
+        [crc, 4],
+        [bytes.length, 4],
+        [bytes.length, 4],
+        [nameBytes.length, 2],
+        [0, 2],
+      ]);
+      entries.push({ nameBytes, crc, size: bytes.length, offset });
+      parts.push(head, nameBytes, blob);
+      offset += head.length + nameBytes.length + bytes.length;
+    },
+    finish() {
+      const start = offset;
+      for (const e of entries) {
+        const head = record([
+          [0x02014b50, 4],
+          [20, 2], // made by
+          [20, 2], // version needed
+          [0, 2],
+          [0, 2],
+          [time, 2],
+          [date, 2],
+          [e.crc, 4],
+          [e.size, 4],
+          [e.size, 4],
+          [e.nameBytes.length, 2],
+          [0, 2], // extra
+          [0, 2], // comment
+          [0, 2], // disk
+          [0, 2], // internal attributes
+          [0, 4], // external attributes
+          [e.offset, 4],
+        ]);
+        parts.push(head, e.nameBytes);
+        offset += head.length + e.nameBytes.length;
+      }
+      parts.push(
+        record([
+          [0x06054b50, 4],
+          [0, 2],
+          [0, 2],
+          [entries.length, 2],
+          [entries.length, 2],
+          [offset - start, 4],
+          [start, 4],
+          [0, 2],
+        ])
+      );
+      return new Blob(parts, { type: "application/zip" });
+    },
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from "buffer";
+import { createZip } from "./zip";
+
+// jest's node environment leaves out the Blob global
+global.Blob = Blob;
+
+// local entries as a zip reader finds them through the central directory
+function readZip(buf) {
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const end = buf.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const crc = view.getUint32(at + 16, true);
+    const size = view.getUint32(at + 20, true);
+    const nameLen = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = new TextDecoder().decode(
+      buf.slice(at + 46, at + 46 + nameLen)
+    );
+    at += 46 + nameLen;
+
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    expect(view.getUint32(offset + 14, true)).toBe(crc);
+    const localName = view.getUint16(offset + 26, true);
+    const data = offset + 30 + localName;
+    files.push({ name, crc, data: buf.slice(data, data + size) });
+  }
+  return files;
+}
+
+const text = (s) => new Blob([s]);
+
+test("stored files come back byte for byte", async () => {
+  const zip = createZip();
+  const png = new Uint8Array(3000).map((_, i) => (i * 7) & 255);
+  await zip.add("frame_0000.png", new Blob([png]));
+  await zip.add("notes.txt", text("hello"));
+
+  const blob = zip.finish();
+  expect(blob.type).toBe("application/zip");
+  const files = readZip(new Uint8Array(await blob.arrayBuffer()));
+
+  expect(files.map((f) => f.name)).toEqual(["frame_0000.png", "notes.txt"]);
+  expect(files[0].data).toEqual(png);
+  expect(new TextDecoder().decode(files[1].data)).toBe("hello");
+});
+
+test("entries carry the standard CRC-32", async () => {
+  const zip = createZip();
+  await zip.add("a.txt", text("hello"));
+  await zip.add("b.txt", text("123456789"));
+  const files = readZip(new Uint8Array(await zip.finish().arrayBuffer()));
+  expect(files[0].crc).toBe(0x3610a686);
+  expect(files[1].crc).toBe(0xcbf43926);
+});
+
+test("an empty archive is just the end record", async () => {
+  const buf = new Uint8Array(await createZip().finish().arrayBuffer());
+  expect(buf.length).toBe(22);
+  expect(readZip(buf)).toEqual([]);
+});
@@ -0,0 +1,92 @@
+/* eslint-disable no-restricted-globals */
+
+/* =========================
+   Service worker (offline kiosk)
+========================= */
+
+// Built by react-scripts (workbox InjectManifest) in production only.
+// The webpack bundle is precached; files from public/ that the scene
+// loads at runtime are cached on install when they exist and on first use
+// otherwise, so after one online visit nothing needs the network.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { ENV_FILES, isFileResponse } from "./components/envFiles";
+
+const BASE = process.env.PUBLIC_URL;
+const ASSET_CACHE = "x3d-assets";
+const CDN_CACHE = "x3d-cdn";
+
+// public/ files outside the webpack bundle
+const SHELL_FILES = [
+  "manifest.json",
+  "favicon.ico",
+  "logo192.png",
+  "logo512.png",
+];
+const ENV_URLS = Object.values(ENV_FILES).map((f) => `${BASE}/env/${f}`);
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// every navigation gets the app shell; paths that look like files don't
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== "navigate") return false;
+    if (url.pathname.startsWith("/_")) return false;
+    return !url.pathname.match(fileExtension);
+  },
+  createHandlerBoundToURL(`${BASE}/index.html`)
+);
+
+// HDRs and models copied into public/ (env, models) and the shell files
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin &&
+    (/\.(hdr|exr|glb|gltf|bin|ktx2)$/i.test(url.pathname) ||
+      SHELL_FILES.some((f) => url.pathname === `${BASE}/${f}`)),
+  new CacheFirst({ cacheName: ASSET_CACHE })
+);
+
+// drei's CDN environment presets, kept once they were fetched online
+registerRoute(
+  ({ url }) => url.hostname === "raw.githack.com",
+  new StaleWhileRevalidate({
+    cacheName: CDN_CACHE,
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// a missing file (no HDRs ship with the app) must not fail the install
+async function cacheIfPresent(cache, url) {
+  try {
+    const res = await fetch(url);
+    if (isFileResponse(res)) await cache.put(url, res);
+  } catch (e) {
+    // offline during install: the route caches it on first use instead
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(ASSET_CACHE)
+      .then((cache) =>
+        Promise.all(
+          [...SHELL_FILES.map((f) => `${BASE}/${f}`), ...ENV_URLS].map((url) =>
+            cacheIfPresent(cache, url)
+          )
+        )
+      )
+  );
+});
+
+// the page asks the waiting worker to take over ("new version" prompt)
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
@@ -0,0 +1,69 @@
+/* =========================
+   Service worker registration
+========================= */
+
+// lobby displays run for days: look for a new version this often
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// Registers src/service-worker.js (production builds only).
+//   onUpdate(registration)  a new version is installed and waiting
+//   onReady(registration)   first install done: the app now works offline
+//   onError(error)          the worker couldn't be registered
+// Returns a function that stops the callbacks and update checks.
+export function register({ onUpdate, onReady, onError } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator))
+    return () => {};
+  // a PUBLIC_URL on another origin (CDN) can't serve the worker
+  const base = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (base.origin !== window.location.origin) return () => {};
+
+  let live = true;
+  let timer = null;
+  const start = async () => {
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register(
+        `${process.env.PUBLIC_URL}/service-worker.js`
+      );
+    } catch (err) {
+      if (live) onError?.(err);
+      return;
+    }
+    if (!live) return;
+
+    // installed while an older tab kept the previous version
+    if (registration.waiting && navigator.serviceWorker.controller)
+      onUpdate?.(registration);
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker?.addEventListener("statechange", () => {
+        if (!live || worker.state !== "installed") return;
+        if (navigator.serviceWorker.controller) onUpdate?.(registration);
+        else onReady?.(registration);
+      });
+    });
+    timer = setInterval(
+      () => registration.update().catch(() => {}),
+      UPDATE_CHECK_MS
+    );
+  };
+
+  if (document.readyState === "complete") start();
+  else window.addEventListener("load", start, { once: true });
+
+  return () => {
+    live = false;
+    clearInterval(timer);
+    window.removeEventListener("load", start);
+  };
+}
+
+// lets the waiting worker take over and reloads into the new version
+export function applyUpdate(registration) {
+  navigator.serviceWorker.addEventListener(
+    "controllerchange",
+    () => window.location.reload(),
+    { once: true }
+  );
+  registration.waiting?.postMessage({ type: "SKIP_WAITING" });
+}